@@ -1,151 +1,48 @@
-class OceanSimulation {
-    constructor(config) {
-        this.totalDays = config.totalDays || 1825;
-        this.currentDay = 0;
-        this.delay = 50; // ms
-        this.isRunning = false;
-        this.drops = [];
-        this.stats = {
-            land: 0,
-            water: 0,
-            avgTemp: 0,
-            totalAttempts: 0,  // Track total random point attempts
-            landAttempts: 0   // Track how many hit land
-        };
-
-        // Callbacks
-        this.onTick = config.onTick || (() => { });
-        this.onFinish = config.onFinish || (() => { });
-        this.onCheckLand = config.onCheckLand || (() => false); // External dependency
-    }
-
-    start() {
-        if (!this.isRunning && this.currentDay < this.totalDays) {
-            this.isRunning = true;
-            this.loop();
-        }
-    }
-
-    pause() {
-        this.isRunning = false;
-    }
-
-    reset() {
-        this.isRunning = false;
-        this.currentDay = 0;
-        this.drops = [];
-        this.stats = { land: 0, coastal: 0, water: 0, avgTemp: 0, totalAttempts: 0, landAttempts: 0 };
-        this.onTick(null, this.stats);
-    }
-
-    setSpeed(speedVal) {
-        // speedVal 1-100.
-        // 1 = slow (200ms), 100 = fast (1ms)
-        this.delay = 200 - ((speedVal / 100) * 199);
-    }
-
-    loop() {
-        if (!this.isRunning) return;
-
-        if (this.currentDay >= this.totalDays) {
-            this.isRunning = false;
-            this.onFinish();
-            return;
-        }
-
-        this.simulateDay();
-
-        setTimeout(() => this.loop(), this.delay);
-    }
-
-    simulateDay() {
-        let drop = null;
-        let attempts = 0;
-
-        // Retry loop (max attempts to prevent infinite freeze if map is broken)
-        while (attempts < 100) {
-            attempts++;
-
-            // Spherical Sampling
-            const u = Math.random();
-            const v = Math.random();
-
-            const latRad = Math.asin(2 * u - 1);
-            const lonRad = 2 * Math.PI * v;
-
-            const lat = latRad * (180 / Math.PI);
-            const lon = (lonRad * (180 / Math.PI)) - 180;
-
-            // Check location type - now returns { type, distanceKm }
-            const terrainInfo = this.onCheckLand(lon, lat);
-            const locationType = typeof terrainInfo === 'object' ? terrainInfo.type : terrainInfo;
-            const distanceKm = typeof terrainInfo === 'object' ? terrainInfo.distanceKm : null;
-
-            // Track attempts
-            this.stats.totalAttempts++;
-
-            if (locationType === 'LAND') {
-                // Track land hit and retry
-                this.stats.landAttempts++;
-                continue;
-            }
-
-            // If we are here, it's WATER or COASTAL
-            this.currentDay++; // Only increment day on success
-
-            const temp = this.calculateTemperature(lat);
-
-            drop = {
-                day: this.currentDay,
-                lon,
-                lat,
-                locationType,
-                distanceKm, // Store distance for display
-                temp
-            };
-
-            break;
-        }
-
-        if (!drop) {
-            console.warn("Could not find water point after 100 attempts!");
-            return;
-        }
-
-        this.drops.push(drop);
-
-        // Update stats
-        this.stats.water++;
-        if (drop.locationType === 'COASTAL') this.stats.coastal++;
-
-        // Running average for temp
-        this.stats.avgTemp += (drop.temp - this.stats.avgTemp) / this.currentDay;
-
-        this.onTick(drop, this.stats);
-    }
-
-    calculateTemperature(lat) {
-        // Simple model: 
-        // Equator (0) = ~30C
-        // Poles (90) = ~-2C
-        // Cosine approximation
-        const absLat = Math.abs(lat);
-        // temp = 30 * cos(lat) - 2 * sin(lat)? No, checking simple graph
-        // Let's use: T = 30 - 32 * (lat/90)^2 (Simple quadratic dropoff)
-        // Or cleaner: T = -2 + 32 * cos(latRad)
-        const latRad = lat * (Math.PI / 180);
-        return -2 + (32 * Math.cos(latRad));
-    }
-}
+// Shared engine modules (see engine/)
+const { randomSeed, parseSeed } = OceanRandom;
+const { initialBearing } = OceanGeo;
+const { toDms, toUtm, formatUtm, encodeGeohash } = OceanCoords;
+const { OceanSimulation } = OceanSim;
+const { getTerrainTypeWithDistance, isDropWater, extractPolygons, createLandData } = OceanLand;
+const { parsePrecomputedLand } = OceanPrecomputed;
+const { parseSstGrid, createTemperatureModel } = OceanSST;
+const { parseBathymetryGrid, createDepthModel } = OceanBathymetry;
+const { parseCurrentGrid, createDriftModel } = OceanDrift;
+const { BASINS, createSeaIndex, createBasinModel } = OceanBasins;
+const { INTERNATIONAL_WATERS, createCountryIndex, nearestCountry, createEezIndex, createJurisdictionModel, jurisdictionLabel } = OceanCountries;
+const { DEFAULT_SCENARIO, PRESETS, normalizeScenario, createRegionSampler } = OceanScenario;
+const { WorkerSimulation, canUseWorker } = OceanWorkerClient;
+const { toCsv, toGeoJson, toKml, toRunJson } = OceanExport;
+const { parseRunFile, ReplaySimulation } = OceanReplay;
+const { summarizeRun } = OceanBatch;
 
 // Map Settings
 const width = 800;
 const height = 400;
 
+// Map projections for the picker. Everything but the original equirectangular view is
+// fitted to the map box; Mollweide needs the d3-geo-projection plugin.
+const PROJECTIONS = {
+    equirectangular: () => d3.geoEquirectangular()
+        .scale(130)
+        .translate([width / 2, height / 2]),
+    equalEarth: () => d3.geoEqualEarth(),
+    mollweide: () => d3.geoMollweide ? d3.geoMollweide() : null,
+    orthographic: () => d3.geoOrthographic().rotate([0, -20]), // Drag to rotate
+    polarNorth: () => d3.geoStereographic().rotate([0, -90]).clipAngle(100),
+    polarSouth: () => d3.geoStereographic().rotate([0, 90]).clipAngle(100)
+};
+
+function createProjection(key) {
+    const projection = (PROJECTIONS[key] || PROJECTIONS.equirectangular)();
+    if (!projection) return null;
+    if (key !== 'equirectangular') projection.fitExtent([[10, 10], [width - 10, height - 10]], { type: "Sphere" });
+    return projection;
+}
+
 // Setup D3 Projection
-const projection = d3.geoEquirectangular()
-    .scale(130)
-    .translate([width / 2, height / 2]);
+let projectionKey = 'equirectangular';
+let projection = createProjection(projectionKey);
 
 const path = d3.geoPath().projection(projection);
 
@@ -159,15 +56,22 @@ const svg = d3.select("#map-container")
 // Container for zoomable content
 const gZoom = svg.append("g").attr("class", "zoom-container");
 
-// Ocean background (drawn first, behind land)
-gZoom.append("rect")
-    .attr("width", width)
-    .attr("height", height)
+// Globe background (drawn first, behind land); the sphere outline follows the projection
+gZoom.append("path")
+    .datum({ type: "Sphere" })
+    .attr("class", "sphere-path")
+    .attr("d", path)
     .attr("fill", "#3d5a3d"); // Background is land (green) because path is ocean
 
-// Layers inside zoom container
+// Layers inside zoom container (drops go on the canvas layer below)
 const gMap = gZoom.append("g").attr("class", "map-layer");
-const gDrops = gZoom.append("g").attr("class", "drop-layer");
+
+// Outline of the scenario's sampling region (or the polygon being drawn)
+const regionPath = gZoom.append("path").attr("class", "region-path");
+
+// Inspected drop and its nearest coastline point
+const inspectLink = gZoom.append("path").attr("class", "inspect-link");
+const inspectPoints = gZoom.append("path").attr("class", "inspect-points");
 
 // Add zoom behavior with smart panning
 const zoom = d3.zoom()
@@ -176,25 +80,246 @@ const zoom = d3.zoom()
     .filter((event) => {
         // Allow wheel events (zoom) always
         if (event.type === 'wheel') return true;
+        // On the globe, dragging rotates instead (see below)
+        if (isGlobe()) return false;
         // Only allow drag (pan) when zoomed in
         const currentTransform = d3.zoomTransform(svg.node());
         return currentTransform.k > 1;
     })
     .on("zoom", (event) => {
         gZoom.attr("transform", event.transform);
-    });
+        dropLayer.setTransform(event.transform);
+    })
+    .on("end", () => renderLandDetail());
 
 svg.call(zoom);
 
+// Map colour for a drop - only highlight coastal prominently
+function dropColor(drop) {
+    if (drop.locationType === 'COASTAL') return "#ef4444";
+    if (drop.locationType === 'SHELF') return "#fbbf24";
+    if (drop.locationType === 'LAKE') return "#a855f7";
+    if (drop.locationType === 'TRENCH') return "#818cf8";
+    return "#0ea5e9";
+}
+
+// Drops are drawn on a canvas over the SVG (one <circle> per drop doesn't scale)
+const dropLayer = new DropLayer(document.getElementById('map-container'), svg.node(), {
+    width,
+    height,
+    projection,
+    colorFor: dropColor
+});
+
+// --- Projections ---
+
+function isGlobe() {
+    return projectionKey === 'orthographic';
+}
+
+// Re-render everything drawn through the projection
+function reproject() {
+    gZoom.selectAll(".sphere-path, .land-path, .lake-path, .region-path").attr("d", path);
+    renderLandDetail();
+    drawInspectMarks();
+    dropLayer.setProjection(projection);
+    hexLayer.setProjection(projection);
+    updateHexLayer(sim ? sim.drops : []);
+    renderHitCanvas();
+}
+
+function setProjection(key) {
+    const next = createProjection(key);
+    if (!next) return false;
+    projectionKey = key;
+    projection = next;
+    path.projection(projection);
+    svg.call(zoom.transform, d3.zoomIdentity);
+    reproject();
+    return true;
+}
+
+// Drag to rotate the orthographic globe (re-rendered at most once per frame)
+let rotatePending = false;
+svg.call(d3.drag()
+    .filter((event) => isGlobe() && !event.button)
+    .on("drag", (event) => {
+        const [lambda, phi] = projection.rotate();
+        const k = 0.3 / d3.zoomTransform(svg.node()).k;
+        projection.rotate([lambda + event.dx * k, Math.max(-90, Math.min(90, phi - event.dy * k))]);
+        if (rotatePending) return;
+        rotatePending = true;
+        requestAnimationFrame(() => {
+            rotatePending = false;
+            reproject();
+        });
+    }));
+
+// Hexbin map mode (hidden until picked); clicking a cell filters to its drops
+const hexLayer = new HexLayer(gZoom, {
+    projection,
+    radius: 6,
+    onSelect: (cell) => applyFilter({ cell })
+});
+
+// Click a drop to inspect it (zoom suppresses the click after a pan)
+svg.on("click", (event) => {
+    const [x, y] = d3.pointer(event, gZoom.node());
+    if (drawingRegion) {
+        addRegionPoint(x, y);
+        return;
+    }
+    const drop = dropLayer.hitTest(x, y);
+    if (drop) inspectDrop(drop);
+});
+svg.on("mousemove", (event) => {
+    const [x, y] = d3.pointer(event, gZoom.node());
+    svg.style("cursor", dropLayer.hitTest(x, y) ? "pointer" : null);
+});
+
 // Offscreen Canvas for detection
 const hitCanvas = document.createElement('canvas');
 hitCanvas.width = width;
 hitCanvas.height = height;
 const hitCtx = hitCanvas.getContext('2d', { willReadFrequently: true });
 
+// Paint land blue on the hit canvas in the current projection (same even-odd trick as
+// the visible map: the land path covers the ocean)
+function renderHitCanvas() {
+    if (!hitCtx || !landFeatures) return;
+    const hitPath = d3.geoPath(projection, hitCtx);
+    hitCtx.clearRect(0, 0, width, height);
+    hitCtx.beginPath();
+    hitPath({ type: "Sphere" });
+    hitCtx.fillStyle = "rgb(0, 0, 255)";
+    hitCtx.fill();
+    hitCtx.beginPath();
+    hitPath(landFeatures);
+    if (lakeFeatures) hitPath(lakeFeatures);
+    hitCtx.fillStyle = "rgb(0, 0, 0)";
+    hitCtx.fill("evenodd");
+    hitData = hitCtx.getImageData(0, 0, width, height).data;
+}
+
+// --- Land Level of Detail ---
+// The world view draws the 50m outlines; past DETAIL_ZOOM the 10m outlines go on top,
+// clipped to the visible part of the map so the path stays small. Which dataset backs the
+// land test is picked separately (resolution picker): 10m is exact, 50m is faster.
+const DETAIL_ZOOM = 3;
+const LAND_RESOLUTIONS = {
+    '10m': { topology: 'land-10m.json', precomputed: 'land-precomputed.json' },
+    '50m': { topology: 'land-50m.json', precomputed: 'land-precomputed-50m.json' }
+};
+const landFeatureRequests = {};
+
+// Land FeatureCollection for a resolution, fetched once
+function loadLandFeatures(resolution) {
+    if (!landFeatureRequests[resolution]) {
+        const file = LAND_RESOLUTIONS[resolution].topology;
+        landFeatureRequests[resolution] = fetch(`./data/${file}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load ${file}`);
+                return response.json();
+            })
+            .then(world => topojson.feature(world, world.objects.land));
+        landFeatureRequests[resolution].catch(() => {
+            delete landFeatureRequests[resolution]; // Try again next time
+        });
+    }
+    return landFeatureRequests[resolution];
+}
+
+// Engine polygons for a resolution: the precomputed file when it validates (a file from
+// another version or with a bad checksum is ignored), else extracted from the TopoJSON
+async function loadLandPolygons(resolution) {
+    const { topology, precomputed } = LAND_RESOLUTIONS[resolution];
+    try {
+        console.log("Loading precomputed polygons...");
+        const response = await fetch(`./data/${precomputed}`);
+        if (response.ok) {
+            const parsed = parsePrecomputedLand(await response.json());
+            console.log("Loaded precomputed:", parsed.polygons.length, "polygons");
+            return { polygons: parsed.polygons, coastIndexOrder: parsed.coastIndexOrder, source: `${precomputed} (${parsed.source})` };
+        }
+    } catch (e) {
+        console.warn("Precomputed data not usable, extracting from TopoJSON:", e.message);
+    }
+    elStatus.textContent = "Extracting coastlines...";
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const polygons = extractPolygons(await loadLandFeatures(resolution));
+    console.log(`Extracted ${polygons.length} polygons`);
+    return { polygons, coastIndexOrder: null, source: topology };
+}
+
+// Switch the dataset behind the land test (the run is restarted by the caller);
+// false, with nothing changed, when it can't be loaded
+async function useLandResolution(resolution) {
+    if (!LAND_RESOLUTIONS[resolution]) return false;
+    try {
+        const land = await loadLandPolygons(resolution);
+        landPolygons = land.polygons;
+        coastIndexOrder = land.coastIndexOrder;
+        dataSources.land = land.source;
+        landResolution = resolution;
+    } catch (e) {
+        console.warn(`${resolution} land data not usable:`, e.message);
+        return false;
+    }
+    resolutionSelect.value = landResolution;
+    return true;
+}
+
+// Draw (or clear) the 10m detail for the visible part of the map
+function renderLandDetail() {
+    if (!landDetail) return;
+    const transform = d3.zoomTransform(svg.node());
+    if (transform.k < DETAIL_ZOOM || renderResolution === '10m') {
+        landDetail.selectAll("path").attr("d", null);
+        return;
+    }
+    if (!detailFeatures) {
+        loadLandFeatures('10m')
+            .then(features => {
+                if (detailFeatures) return;
+                detailFeatures = features;
+                renderLandDetail();
+            })
+            .catch(e => console.warn("10m detail not available:", e.message));
+        return;
+    }
+
+    // Visible area in map coordinates, padded so a short pan doesn't uncover the 50m
+    // outlines before the zoom ends and this runs again
+    const [x0, y0] = transform.invert([0, 0]);
+    const [x1, y1] = transform.invert([width, height]);
+    const padX = (x1 - x0) / 2;
+    const padY = (y1 - y0) / 2;
+    projection.clipExtent([[x0 - padX, y0 - padY], [x1 + padX, y1 + padY]]);
+    landDetail.select(".land-detail-bg").attr("d", path({ type: "Sphere" }));
+    landDetail.select(".land-detail-path").attr("d", path(detailFeatures));
+    projection.clipExtent(null);
+}
+
 // Simulation Instance
 let sim = null;
-let landFeatures = null;
+let landFeatures = null; // World-view outlines: 50m, or 10m when that's all there is
+let renderResolution = '50m';
+let detailFeatures = null; // 10m outlines, loaded on the first zoom past DETAIL_ZOOM
+let landDetail = null; // Map layer for them
+let landResolution = '10m'; // Dataset behind the land test (resolution picker)
+let landPolygons = null; // Land polygons for the engine (precomputed or extracted from the map)
+let coastIndexOrder = null; // Saved coastline index order from the precomputed file
+let lakePolygons = []; // Extra lake polygons for the engine
+let landData = null; // { polygons, lakes, coastlineCoords, coastIndex }, only without a worker
+let lakeFeatures = null; // Optional extra lakes (data/lakes.json)
+let countryFeatures = null; // Optional country outlines (data/world-50m.json), nearest country per drop
+let eezFeatures = null; // Optional EEZ boundaries (data/eez.json), whose waters each drop is in
+let basinFeatures = null; // Marginal sea outlines (data/basins.json), ocean basins alone without them
+let sstGrid = null; // Optional SST climatology (data/sst-grid.json), cosine model otherwise
+let bathymetry = null; // Optional depth grid (data/bathymetry-grid.json), distance bands otherwise
+let depthModel = null;
+let currents = null; // Optional surface currents (data/currents-grid.json), enables drift
+let dataSources = {}; // Data files behind the run, for export metadata
 
 // UI Elements
 const btnStart = document.getElementById('btn-start');
@@ -205,11 +330,50 @@ const elDay = document.getElementById('day-count');
 const elStatus = document.getElementById('status-indicator');
 const elLand = document.getElementById('land-count'); // Now used for Coastal
 const elTemp = document.getElementById('avg-temp');
+const elSurvival = document.getElementById('survival-rate');
 const elLog = document.getElementById('event-log');
+const elSeed = document.getElementById('seed-value');
+const seedInput = document.getElementById('seed-input');
+const btnNewSeed = document.getElementById('btn-new-seed');
+const btnShare = document.getElementById('btn-share');
+const lakesToggle = document.getElementById('lakes-toggle');
+const resolutionSelect = document.getElementById('resolution-select');
+const driftToggle = document.getElementById('drift-toggle');
+const projectionSelect = document.getElementById('projection-select');
+const mapModeSelect = document.getElementById('map-mode');
+const hexMetricSelect = document.getElementById('hex-metric');
+const elHexLegend = document.getElementById('hex-legend');
+const exportFilteredToggle = document.getElementById('export-filtered');
+const btnLoadRun = document.getElementById('btn-load-run');
+const runFileInput = document.getElementById('run-file');
+const replayBar = document.getElementById('replay-bar');
+const timeline = document.getElementById('timeline');
+const elTimelineDay = document.getElementById('timeline-day');
+const btnPinRun = document.getElementById('btn-pin-run');
+const comparePanel = document.getElementById('compare-panel');
 
 // Update labels
 document.querySelector('#stats-panel .stat-card:nth-child(3) h3').textContent = "Coastal Hits";
 
+// Zone display: log label and colour, chart label and colour
+const ZONES = {
+    COASTAL: { label: "NEAR SHORE", color: "#ef4444", short: "Coast", chartColor: "#ef4444" },
+    SHELF: { label: "CONT. SHELF", color: "#fbbf24", short: "Shelf", chartColor: "#fbbf24" },
+    SLOPE: { label: "CONT. SLOPE", color: "#22c55e", short: "Slope", chartColor: "#22c55e" },
+    ABYSSAL: { label: "ABYSSAL PLAIN", color: "#0ea5e9", short: "Abyssal", chartColor: "#334155" },
+    TRENCH: { label: "TRENCH", color: "#818cf8", short: "Trench", chartColor: "#6366f1" },
+    FAR: { label: "FAR OFFSHORE", color: "#22c55e", short: "Far", chartColor: "#22c55e" },
+    DEEP_OCEAN: { label: "DEEP OCEAN", color: "#0ea5e9", short: "Deep", chartColor: "#334155" },
+    LAKE: { label: "LAKE", color: "#a855f7", short: "Lake", chartColor: "#a855f7" }
+};
+
+// Zones shown in the chart: depth zones with bathymetry, distance bands without
+function chartZones() {
+    return depthModel
+        ? ['COASTAL', 'SHELF', 'SLOPE', 'ABYSSAL', 'TRENCH']
+        : ['COASTAL', 'SHELF', 'FAR', 'DEEP_OCEAN'];
+}
+
 // Open Google Maps satellite view for a location with marker
 function openGoogleMaps(lat, lon) {
     // Zoom 8 = regional view, place adds a marker
@@ -217,6 +381,45 @@ function openGoogleMaps(lat, lon) {
     window.open(url, '_blank');
 }
 
+// --- Shareable Seed URLs ---
+
+// Seed from ?seed=123 in the page URL (null if absent or invalid)
+function getSeedFromUrl() {
+    return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+}
+
+// ?lakes=1 makes lakes droppable; part of the run setup, so it travels with the seed
+function getLakesFromUrl() {
+    return new URLSearchParams(window.location.search).get('lakes') === '1';
+}
+
+// ?land=50m classifies against the 50m coastlines (faster, coarser); 10m otherwise
+function getLandResolutionFromUrl() {
+    return new URLSearchParams(window.location.search).get('land') === '50m' ? '50m' : '10m';
+}
+
+// ?drift=1 turns on the current drift phase (ignored without current data)
+function getDriftFromUrl() {
+    return new URLSearchParams(window.location.search).get('drift') === '1';
+}
+
+function buildShareUrl(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    if (lakesToggle.checked) url.searchParams.set('lakes', '1');
+    else url.searchParams.delete('lakes');
+    if (landResolution !== '10m') url.searchParams.set('land', landResolution);
+    else url.searchParams.delete('land');
+    if (driftToggle.checked) url.searchParams.set('drift', '1');
+    else url.searchParams.delete('drift');
+    return url.toString();
+}
+
+// Keep the address bar in sync so a plain copy of the URL reproduces the run
+function syncSeedToUrl(seed) {
+    window.history.replaceState(null, '', buildShareUrl(seed));
+}
+
 let hitData = null; // Store Uint8ClampedArray
 
 async function init() {
@@ -224,46 +427,133 @@ async function init() {
     console.log("Starting initialization...");
 
     try {
-        let hasPolygons = false;
+        // Optional extra lakes (e.g. Great Lakes) as GeoJSON
+        try {
+            const response = await fetch('./data/lakes.json');
+            if (response.ok) {
+                lakeFeatures = await response.json();
+                console.log("Loaded lakes");
+            }
+        } catch (e) {
+            console.log("Lake data not available");
+        }
 
-        // Try precomputed polygons first (for fast land detection)
+        // Optional gridded sea surface temperatures
         try {
-            console.log("Loading precomputed polygons...");
-            const response = await fetch('./data/land-precomputed.json');
+            const response = await fetch('./data/sst-grid.json');
             if (response.ok) {
-                const precomputed = await response.json();
-                landPolygons = precomputed.landPolygons;
-                // Derive coastlineCoords from polygons
-                coastlineCoords = [];
-                landPolygons.forEach(ring => {
-                    ring.forEach(coord => coastlineCoords.push(coord));
-                });
-                hasPolygons = true;
-                console.log("Loaded precomputed:", coastlineCoords.length, "points,", landPolygons.length, "polygons");
+                sstGrid = parseSstGrid(await response.json());
+                console.log("Loaded SST grid:", sstGrid.source);
             }
         } catch (e) {
-            console.log("Precomputed data not available");
+            console.warn("SST grid not usable, falling back to cosine model:", e.message);
         }
+        document.getElementById('temp-source').textContent = sstGrid
+            ? `Source: ${sstGrid.source}`
+            : "Source: latitude cosine model (no data/sst-grid.json, see bin/build-sst-grid.js)";
 
-        // Load TopoJSON for map rendering
-        elStatus.textContent = "Loading map...";
-        const response = await fetch('./data/land-10m.json');
-        if (!response.ok) throw new Error("Failed to load map data");
-        const world = await response.json();
-        console.log("Map data loaded");
+        // Optional bathymetry for depth-based zones
+        try {
+            const response = await fetch('./data/bathymetry-grid.json');
+            if (response.ok) {
+                bathymetry = parseBathymetryGrid(await response.json());
+                depthModel = createDepthModel(bathymetry);
+                console.log("Loaded bathymetry:", bathymetry.source);
+            }
+        } catch (e) {
+            console.warn("Bathymetry grid not usable, using distance zones:", e.message);
+        }
+        document.getElementById('dist-title').textContent = depthModel ? "Depth Zones" : "Distance Zones";
+        document.getElementById('depth-source').textContent = depthModel
+            ? `Source: ${bathymetry.source}`
+            : "Distance bands (no data/bathymetry-grid.json, see bin/build-bathymetry-grid.js)";
+        document.querySelectorAll('.legend-depth').forEach(el => { el.hidden = !depthModel; });
+        document.querySelectorAll('.legend-distance').forEach(el => { el.hidden = !!depthModel; });
+
+        // Optional surface currents for the drift phase
+        try {
+            const response = await fetch('./data/currents-grid.json');
+            if (response.ok) {
+                currents = parseCurrentGrid(await response.json());
+                console.log("Loaded currents:", currents.source);
+            }
+        } catch (e) {
+            console.warn("Current grid not usable, drift disabled:", e.message);
+        }
 
-        elStatus.textContent = "Processing map...";
-        await new Promise(resolve => setTimeout(resolve, 10));
-        landFeatures = topojson.feature(world, world.objects.land);
-        console.log("TopoJSON converted");
-
-        // Extract coastlines if no precomputed data
-        if (!hasPolygons) {
-            elStatus.textContent = "Extracting coastlines...";
-            await new Promise(resolve => setTimeout(resolve, 10));
-            extractCoastlineCoords();
+        // Country outlines (world-atlas countries-50m) for naming the nearest country
+        let countryError = null;
+        try {
+            const response = await fetch('./data/world-50m.json');
+            if (response.ok) {
+                const countries = await response.json();
+                countryFeatures = topojson.feature(countries, countries.objects.countries);
+                console.log("Loaded countries:", countryFeatures.features.length);
+            }
+        } catch (e) {
+            // Shipped with the app, so a broken file is a problem worth showing
+            countryError = e.message;
+            console.error("Country data not usable, drops get no country names:", e.message);
         }
 
+        // Optional EEZ boundaries (GeoJSON or TopoJSON, e.g. Marine Regions' World EEZ)
+        try {
+            const response = await fetch('./data/eez.json');
+            if (response.ok) {
+                const eez = await response.json();
+                eezFeatures = eez.type === 'Topology'
+                    ? topojson.feature(eez, eez.objects[Object.keys(eez.objects)[0]])
+                    : eez;
+                console.log("Loaded EEZs:", eezFeatures.features.length);
+            }
+        } catch (e) {
+            console.warn("EEZ data not usable, no international waters:", e.message);
+        }
+        document.getElementById('jurisdiction-source').textContent = countryError
+            ? `data/world-50m.json not usable: ${countryError}`
+            : eezFeatures
+                ? (countryFeatures ? "EEZ sovereign, nearest country for lake drops" : "EEZ sovereign")
+                : (countryFeatures ? "Nearest country (no EEZ data)" : "Needs data/world-50m.json or data/eez.json");
+
+        // Marginal sea outlines; drops outside them (or without the file) get their ocean basin
+        try {
+            const response = await fetch('./data/basins.json');
+            if (response.ok) {
+                basinFeatures = await response.json();
+                console.log("Loaded seas:", basinFeatures.features.length);
+            }
+        } catch (e) {
+            console.warn("Sea outlines not usable, ocean basins only:", e.message);
+        }
+        document.getElementById('basin-source').textContent = basinFeatures
+            ? `${basinFeatures.features.length} marginal seas, then ocean basins`
+            : "Ocean basins only (no data/basins.json)";
+
+        // Polygons for the land test, at the resolution from the URL (10m if that fails)
+        const requested = getLandResolutionFromUrl();
+        if (!await useLandResolution(requested) && (requested === '10m' || !await useLandResolution('10m'))) {
+            throw new Error("Failed to load land data");
+        }
+
+        // Load TopoJSON for map rendering: 50m for the world view, 10m detail when zoomed in
+        elStatus.textContent = "Loading map...";
+        try {
+            landFeatures = await loadLandFeatures('50m');
+        } catch (e) {
+            console.warn("50m outlines not usable, rendering 10m:", e.message);
+            landFeatures = await loadLandFeatures('10m');
+            renderResolution = '10m';
+        }
+        console.log("Map data loaded");
+        dataSources.lakes = lakeFeatures ? 'lakes.json' : null;
+        dataSources.countries = countryFeatures ? 'world-50m.json' : null;
+        dataSources.eez = eezFeatures ? 'eez.json' : null;
+        dataSources.basins = basinFeatures ? 'basins.json' : null;
+        dataSources.sst = sstGrid ? `sst-grid.json (${sstGrid.source})` : 'latitude cosine model';
+        dataSources.bathymetry = bathymetry ? `bathymetry-grid.json (${bathymetry.source})` : null;
+        dataSources.currents = currents ? `currents-grid.json (${currents.source})` : null;
+        lakePolygons = extractPolygons(lakeFeatures);
+
         // Render Visible Map
         elStatus.textContent = "Rendering map...";
         await new Promise(resolve => setTimeout(resolve, 10));
@@ -272,6 +562,16 @@ async function init() {
             .datum(landFeatures)
             .attr("class", "land-path")
             .attr("d", path);
+        landDetail = gMap.append("g").attr("class", "land-detail");
+        landDetail.append("path").attr("class", "land-detail-bg");
+        landDetail.append("path").attr("class", "land-detail-path");
+        if (lakeFeatures) {
+            gMap.append("path")
+                .datum(lakeFeatures)
+                .attr("class", "lake-path")
+                .attr("d", path);
+        }
+        renderHitCanvas();
         console.log("Map rendered");
 
         elStatus.textContent = "Ready";
@@ -284,194 +584,136 @@ async function init() {
     }
 }
 
-// --- Geodesic Distance Functions ---
-
-// Haversine distance between two points in km
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+function isOnLandPixel(lon, lat) {
+    if (!hitData) return false;
+    const coords = DropLayer.projectVisible(projection, [lon, lat]);
+    if (!coords) return false;
+    const x = Math.floor(coords[0]);
+    const y = Math.floor(coords[1]);
+    if (x < 0 || x >= width || y < 0 || y >= height) return false;
+    const index = (y * width + x) * 4;
+    return hitData[index + 2] > 100; // Blue > 100 means land
 }
 
-// Minimum distance from point to line segment (in km)
-function pointToSegmentDistance(pLat, pLon, aLat, aLon, bLat, bLon) {
-    const segLen = haversineDistance(aLat, aLon, bLat, bLon);
-    if (segLen < 0.001) return haversineDistance(pLat, pLon, aLat, aLon);
-
-    // Project point onto line (approximation for short segments)
-    const t = Math.max(0, Math.min(1, (
-        (pLat - aLat) * (bLat - aLat) + (pLon - aLon) * (bLon - aLon)
-    ) / (segLen * segLen * 0.0001))); // Rough scaling
-
-    const projLat = aLat + t * (bLat - aLat);
-    const projLon = aLon + t * (bLon - aLon);
-    return haversineDistance(pLat, pLon, projLat, projLon);
+// Backwards compatible wrapper
+function getTerrainType(lon, lat) {
+    return getTerrainTypeWithDistance(lon, lat, landData, { lakes: lakesToggle.checked, depthModel }).type;
 }
 
-// Get minimum distance to any coastline segment (sampled for performance)
-let coastlineCoords = null;
-function getDistanceToCoast(lat, lon) {
-    if (!coastlineCoords) return Infinity;
+let countryIndex = null; // Built from countryFeatures on first use
 
-    let minDist = Infinity;
-    // Sample every Nth point for performance
-    const step = 10;
-    for (let i = 0; i < coastlineCoords.length - 1; i += step) {
-        const [aLon, aLat] = coastlineCoords[i];
-        const [bLon, bLat] = coastlineCoords[Math.min(i + step, coastlineCoords.length - 1)];
-        const dist = pointToSegmentDistance(lat, lon, aLat, aLon, bLat, bLon);
-        if (dist < minDist) minDist = dist;
-    }
-    return minDist;
+// Country index for the jurisdiction hook and the inspector, null without country data
+function getCountryIndex() {
+    if (!countryFeatures) return null;
+    if (!countryIndex) countryIndex = createCountryIndex(countryFeatures);
+    return countryIndex;
 }
 
-// Store land polygons for point-in-polygon test
-let landPolygons = [];
-
-// Ray-casting algorithm for point-in-polygon
-function isPointInPolygon(lon, lat, polygon) {
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-        const [xi, yi] = polygon[i];
-        const [xj, yj] = polygon[j];
-
-        if (((yi > lat) !== (yj > lat)) &&
-            (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
-            inside = !inside;
-        }
-    }
-    return inside;
+// Drift hook for the simulation, null when drift is off or there is no current data.
+// Landfall is reaching the scenario's coastal zone.
+function getDriftModel() {
+    return driftToggle.checked ? createDriftModel(currents, landData, { coastalKm: scenario.zones.coastalKm }) : null;
 }
 
-// Check if point is on land using polygon test (more accurate than pixels)
-function isOnLandPolygon(lon, lat) {
-    // Fix for Antarctica: Ray-casting often fails at the poles due to date-line wrapping
-    if (lat < -80) return true;
+// Region sampler for the main-thread engine, refusing regions with no water. In a worker
+// the page has no land data; the worker checks the region itself.
+function regionSampler(region) {
+    const isWater = landData ? (lon, lat) => isDropWater(lon, lat, landData, { lakes: lakesToggle.checked }) : null;
+    return createRegionSampler(region, isWater);
+}
 
-    for (const polygon of landPolygons) {
-        if (isPointInPolygon(lon, lat, polygon)) {
-            return true;
-        }
-    }
-    return false;
+// A run stopped on an engine error (e.g. a region with no water): say so, allow a retry
+function showEngineError(message) {
+    console.error("Simulation:", message);
+    elStatus.textContent = "Engine Error";
+    btnStart.disabled = false;
+    btnPause.disabled = true;
 }
 
-// Extract coastline coordinates AND polygons from landFeatures
-function extractCoastlineCoords() {
-    if (!landFeatures) {
-        console.error("No landFeatures available");
-        return;
+// The engine runs in a Web Worker when it can, so the map and controls stay responsive;
+// from file:// (or without Worker support) it falls back to the main thread
+function createSimulation(callbacks) {
+    if (canUseWorker()) {
+        console.log("Running simulation in a worker");
+        return new WorkerSimulation(Object.assign({
+            seed: getSeedFromUrl(),
+            data: {
+                polygons: landPolygons, coastIndexOrder, lakes: lakePolygons, sstGrid, bathymetry, currents,
+                countryFeatures, eezFeatures, basinFeatures
+            },
+            lakes: lakesToggle.checked,
+            drift: driftToggle.checked,
+            scenario,
+            speed: speedSlider.value,
+            onError: showEngineError
+        }, callbacks));
     }
-    coastlineCoords = [];
-    landPolygons = [];
-
-    const processRing = (ring) => {
-        if (!ring || !Array.isArray(ring)) return;
-        if (ring.length > 0 && typeof ring[0][0] === 'number') {
-            // This is a valid ring of [lon, lat] pairs
-            landPolygons.push(ring);
-            ring.forEach(coord => coastlineCoords.push(coord));
-        }
-    };
 
-    const processCoords = (coords, type) => {
-        if (!coords) return;
-
-        if (type === 'Polygon') {
-            // Polygon: array of rings, first is exterior
-            coords.forEach(ring => processRing(ring));
-        } else if (type === 'MultiPolygon') {
-            // MultiPolygon: array of polygons
-            coords.forEach(polygon => {
-                polygon.forEach(ring => processRing(ring));
-            });
-        } else {
-            // Unknown structure, try to detect
-            if (Array.isArray(coords[0]) && typeof coords[0][0] === 'number') {
-                processRing(coords);
-            } else if (Array.isArray(coords[0])) {
-                coords.forEach(c => processCoords(c));
-            }
+    landData = createLandData(landPolygons, { lakes: lakePolygons, coastIndexOrder });
+    console.log(`Land data: ${landData.coastlineCoords.length} coastline points, ${landData.polygons.length} polygons`);
+    const mainSim = new OceanSimulation(Object.assign({
+        totalDays: scenario.totalDays,
+        seed: getSeedFromUrl(),
+        temperatureModel: createTemperatureModel(sstGrid),
+        driftModel: getDriftModel(),
+        jurisdictionModel: createJurisdictionModel(getCountryIndex(), eezFeatures ? createEezIndex(eezFeatures) : null),
+        basinModel: createBasinModel(basinFeatures ? createSeaIndex(basinFeatures) : null),
+        samplePoint: regionSampler(scenario.region),
+        onError: showEngineError,
+        onCheckLand: (lon, lat) => {
+            // Return full info for distance tracking
+            return getTerrainTypeWithDistance(lon, lat, landData, { lakes: lakesToggle.checked, depthModel, zones: scenario.zones });
         }
-    };
-
-    // Handle different GeoJSON structures
-    if (landFeatures.features) {
-        landFeatures.features.forEach(f => {
-            if (f.geometry) {
-                processCoords(f.geometry.coordinates, f.geometry.type);
-            }
-        });
-    } else if (landFeatures.geometry) {
-        processCoords(landFeatures.geometry.coordinates, landFeatures.geometry.type);
-    } else if (landFeatures.geometries) {
-        landFeatures.geometries.forEach(g => {
-            processCoords(g.coordinates, g.type);
-        });
-    } else if (landFeatures.type === 'Polygon' || landFeatures.type === 'MultiPolygon') {
-        processCoords(landFeatures.coordinates, landFeatures.type);
-    }
-
-    console.log(`Extracted ${coastlineCoords.length} coastline points, ${landPolygons.length} polygons`);
-    if (landPolygons.length === 0) {
-        console.warn("No land polygons extracted! Structure:", landFeatures);
-    }
-}
-
-// --- Zone Thresholds (km) ---
-const ZONE_COASTAL_KM = 1;     // 1000m (1km)
-const ZONE_SHELF_KM = 100;     // 100km
-const ZONE_FAR_KM = 300;       // 300km
-
-function isOnLandPixel(lon, lat) {
-    if (!hitData) return false;
-    const coords = projection([lon, lat]);
-    if (!coords) return false;
-    const x = Math.floor(coords[0]);
-    const y = Math.floor(coords[1]);
-    if (x < 0 || x >= width || y < 0 || y >= height) return false;
-    const index = (y * width + x) * 4;
-    return hitData[index + 2] > 100; // Blue > 100 means land
+    }, callbacks));
+    mainSim.setSpeed(speedSlider.value);
+    return mainSim;
 }
 
-// Returns { type: string, distanceKm: number }
-function getTerrainTypeWithDistance(lon, lat) {
-    // Calculate distance to coastline
-    const distKm = getDistanceToCoast(lat, lon);
-
-    // PRIMARY: Polygon-based land check (accurate geometric test)
-    if (isOnLandPolygon(lon, lat)) {
-        return { type: 'LAND', distanceKm: 0 };
+// Lakes/drift/scenario changed: restart the run with the new setup. landChanged: new
+// polygons for the land test (resolution picker), the engine rebuilds its land data.
+function applyRunOptions(landChanged = false) {
+    let regionError = null;
+    if (sim.configure) {
+        sim.configure({
+            lakes: lakesToggle.checked,
+            drift: driftToggle.checked,
+            scenario,
+            land: landChanged ? { polygons: landPolygons, coastIndexOrder } : null
+        });
+    } else {
+        if (landChanged) landData = createLandData(landPolygons, { lakes: lakePolygons, coastIndexOrder });
+        sim.driftModel = getDriftModel();
+        sim.totalDays = scenario.totalDays;
+        try {
+            sim.samplePoint = regionSampler(scenario.region);
+        } catch (e) {
+            // A region with no water (e.g. lakes turned off): every start reports it, as in the worker
+            sim.samplePoint = () => { throw e; };
+            regionError = e.message;
+        }
+        sim.reset();
     }
-
-    // SECONDARY: Distance-based zone classification (for ocean points only)
-    if (distKm <= ZONE_COASTAL_KM) return { type: 'COASTAL', distanceKm: distKm };
-    if (distKm <= ZONE_SHELF_KM) return { type: 'SHELF', distanceKm: distKm };
-    if (distKm <= ZONE_FAR_KM) return { type: 'FAR', distanceKm: distKm };
-    return { type: 'DEEP_OCEAN', distanceKm: distKm };
-}
-
-// Backwards compatible wrapper
-function getTerrainType(lon, lat) {
-    return getTerrainTypeWithDistance(lon, lat).type;
+    resetUI();
+    if (regionError) showEngineError(regionError);
 }
 
 function setupSimulation() {
-    sim = new OceanSimulation({
-        totalDays: 1825,
-        onCheckLand: (lon, lat) => {
-            // Return full info for distance tracking
-            return getTerrainTypeWithDistance(lon, lat);
-        },
+    // Drift needs current data; without it the toggle stays off
+    driftToggle.disabled = !currents;
+    driftToggle.checked = !!currents && getDriftFromUrl();
+    if (!currents) driftToggle.parentElement.title = "Needs data/currents-grid.json (see bin/build-current-grid.js)";
+    lakesToggle.checked = getLakesFromUrl();
+
+    sim = createSimulation({
         onTick: (drop, stats) => {
-            updateUI(drop, stats);
+            // A restarted run goes into the history as a new one
+            if (drop) checkpointDirty = true;
+            else runId = null;
+            if (!liveSim) updateUI(drop, stats); // Late worker batches stay off a replay's map
         },
         onFinish: () => {
-            elStatus.textContent = "Finished 5 Years";
+            checkpointRun();
+            elStatus.textContent = `Finished ${formatDuration(sim.totalDays)}`;
             btnStart.disabled = false;
             btnPause.disabled = true;
             updateCharts(sim.drops); // Final update
@@ -479,7 +721,10 @@ function setupSimulation() {
     });
 
     btnStart.addEventListener('click', () => {
+        if (sim.seek && sim.currentDay >= sim.totalDays) sim.seek(0); // Replay from the start
         sim.start();
+        if (!sim.isRunning) return; // Stopped at once by an engine error, already shown
+        resumeBar.hidden = true; // Going on with this run instead
         elStatus.textContent = "Running";
         btnStart.disabled = true;
         btnPause.disabled = false;
@@ -487,6 +732,7 @@ function setupSimulation() {
 
     btnPause.addEventListener('click', () => {
         sim.pause();
+        if (!liveSim) checkpointRun();
         elStatus.textContent = "Paused";
         btnStart.disabled = false;
         btnPause.disabled = true;
@@ -494,24 +740,136 @@ function setupSimulation() {
 
     btnReset.addEventListener('click', () => {
         sim.reset();
-        gDrops.selectAll("*").remove();
-        elLog.innerHTML = "";
-        elStatus.textContent = "Ready";
-        btnStart.disabled = false;
-        btnPause.disabled = true;
-        updateStats({ land: 0, coastal: 0, water: 0, avgTemp: 0 });
-        elDay.textContent = "0 / 1825";
-        updateCharts([]);
+        resetUI();
     });
 
     speedSlider.addEventListener('input', (e) => {
         sim.setSpeed(e.target.value);
     });
+
+    // Changing the seed restarts the run from day 0
+    seedInput.addEventListener('change', () => {
+        if (sim.setSeed(seedInput.value)) {
+            resetUI();
+        } else {
+            seedInput.value = sim.seed;
+        }
+    });
+
+    btnNewSeed.addEventListener('click', () => {
+        sim.setSeed(randomSeed());
+        resetUI();
+    });
+
+    // Lakes change which points are droppable and drift changes every drop's fate,
+    // so both restart the run like a new seed
+    lakesToggle.addEventListener('change', () => applyRunOptions());
+    driftToggle.addEventListener('change', () => applyRunOptions());
+
+    // Coastline resolution behind the land test; restarts the run like the toggles
+    resolutionSelect.addEventListener('change', async () => {
+        resolutionSelect.disabled = true;
+        elStatus.textContent = `Loading ${resolutionSelect.value} coastlines...`;
+        if (await useLandResolution(resolutionSelect.value)) {
+            applyRunOptions(true);
+        } else {
+            resolutionSelect.value = landResolution;
+        }
+        resolutionSelect.disabled = !!liveSim;
+        elStatus.textContent = "Ready";
+    });
+
+    // Projection picker; Mollweide only when the d3-geo-projection plugin loaded
+    if (!d3.geoMollweide) projectionSelect.querySelector('option[value="mollweide"]').disabled = true;
+    projectionSelect.addEventListener('change', () => {
+        if (!setProjection(projectionSelect.value)) projectionSelect.value = projectionKey;
+        svg.classed("globe", isGlobe());
+    });
+
+    // Points vs. hexbin map view
+    mapModeSelect.addEventListener('change', () => {
+        const hexbin = mapModeSelect.value === 'hexbin';
+        dropLayer.setVisible(!hexbin);
+        hexLayer.setVisible(hexbin);
+        hexMetricSelect.disabled = !hexbin;
+        updateHexLayer(sim.drops);
+    });
+    hexMetricSelect.addEventListener('change', () => updateHexLayer(sim.drops));
+
+    btnShare.addEventListener('click', async () => {
+        const url = buildShareUrl(sim.seed);
+        try {
+            await navigator.clipboard.writeText(url);
+            btnShare.textContent = "✓";
+            setTimeout(() => { btnShare.textContent = "🔗"; }, 1500);
+        } catch (e) {
+            window.prompt("Copy this link to reproduce the run:", url);
+        }
+    });
+
+    updateSeedDisplay();
+
+    document.getElementById('stat-drift-landfalls').parentElement.addEventListener('click', () => {
+        applyFilter({ driftOutcome: 'LANDFALL' });
+    });
+    document.getElementById('stat-intl-waters').parentElement.addEventListener('click', () => {
+        applyFilter({ jurisdiction: INTERNATIONAL_WATERS });
+    });
+
+    btnLoadRun.addEventListener('click', () => runFileInput.click());
+    runFileInput.addEventListener('change', () => {
+        if (runFileInput.files.length > 0) loadRunFile(runFileInput.files[0]);
+        runFileInput.value = ""; // Same file again reloads it
+    });
+    document.getElementById('btn-exit-replay').addEventListener('click', exitReplay);
+    btnPinRun.addEventListener('click', pinRun);
+    document.getElementById('btn-close-inspector').addEventListener('click', closeInspector);
+    document.getElementById('btn-inspector-maps').addEventListener('click', () => {
+        if (inspectedDrop) openGoogleMaps(inspectedDrop.lat, inspectedDrop.lon);
+    });
+    setupScenarioEditor();
+    setupHistory();
+
+    // Scrubbing rebuilds the whole view, at most once per frame
+    let seekPending = false;
+    timeline.addEventListener('input', () => {
+        if (seekPending) return;
+        seekPending = true;
+        requestAnimationFrame(() => {
+            seekPending = false;
+            sim.seek(+timeline.value);
+        });
+    });
+}
+
+function updateSeedDisplay() {
+    elSeed.textContent = sim.seed ?? "--";
+    seedInput.value = sim.seed ?? "";
+    if (!liveSim) syncSeedToUrl(sim.seed); // A replay's seed is not what the URL would run
+}
+
+// Clear map, log and stats after the simulation has been reset
+function resetUI() {
+    dropLayer.clear();
+    closeInspector();
+    elLog.innerHTML = "";
+    elStatus.textContent = "Ready";
+    btnStart.disabled = false;
+    btnPause.disabled = true;
+    updateStats({ land: 0, coastal: 0, water: 0, avgTemp: 0 });
+    lastChartDay = 0;
+    elDay.textContent = `0 / ${sim.totalDays}`;
+    updateCharts([]);
+    updateSeedDisplay();
+    if (liveSim) updateTimeline();
 }
 
 function updateStats(stats) {
     elTemp.textContent = stats.avgTemp.toFixed(1) + " °C";
     elLand.textContent = sim ? sim.drops.filter(d => d.locationType === 'COASTAL').length : 0;
+    elSurvival.textContent = sim && sim.drops.length > 0
+        ? `${(sim.stats.survived / sim.drops.length * 100).toFixed(1)}%`
+        : "--";
 
     // Update detailed statistics
     updateSummaryStats();
@@ -521,6 +879,7 @@ function updateSummaryStats() {
     if (!sim || sim.drops.length === 0) return;
 
     const drops = sim.drops;
+    const { zones, temperature } = activeScenario();
 
     // Land ratio (water % = 100 - land%)
     const waterPct = sim.stats.totalAttempts > 0
@@ -528,8 +887,8 @@ function updateSummaryStats() {
         : '--';
     document.getElementById('stat-land-ratio').textContent = `${waterPct}% water`;
 
-    // Coastal count (within 1km)
-    const coastalDrops = drops.filter(d => d.distanceKm !== null && d.distanceKm <= 1);
+    // Coastal count (within the coastal zone)
+    const coastalDrops = drops.filter(d => d.distanceKm !== null && d.distanceKm <= zones.coastalKm);
     document.getElementById('stat-coastal-count').textContent = `${coastalDrops.length} (${(coastalDrops.length / drops.length * 100).toFixed(1)}%)`;
 
     // Find closest and farthest drops
@@ -553,63 +912,101 @@ function updateSummaryStats() {
     const avgTemp = drops.reduce((sum, d) => sum + d.temp, 0) / drops.length;
     document.getElementById('stat-avg-temp').textContent = `${avgTemp.toFixed(1)}°C`;
 
-    // Cold water (<4°C)
-    const coldDrops = drops.filter(d => d.temp < 4);
+    // Cold and warm water shares
+    const coldDrops = drops.filter(d => d.temp < temperature.coldC);
     document.getElementById('stat-cold-pct').textContent = `${(coldDrops.length / drops.length * 100).toFixed(1)}%`;
 
-    // Warm water (>24°C)
-    const warmDrops = drops.filter(d => d.temp > 24);
+    const warmDrops = drops.filter(d => d.temp > temperature.warmC);
     document.getElementById('stat-warm-pct').textContent = `${(warmDrops.length / drops.length * 100).toFixed(1)}%`;
+
+    // Survival
+    const survivedDrops = drops.filter(d => d.outcome === 'SURVIVED');
+    document.getElementById('stat-survived').textContent = `${survivedDrops.length} (${(survivedDrops.length / drops.length * 100).toFixed(1)}%)`;
+    document.getElementById('stat-median-survival').textContent = formatHours(d3.median(drops, d => d.survivalHours));
+
+    // Drift landfalls (count, median time adrift)
+    const landfalls = drops.filter(d => d.drift && d.drift.outcome === 'LANDFALL');
+    document.getElementById('stat-drift-landfalls').textContent = drops.some(d => d.drift)
+        ? `${landfalls.length} (${(landfalls.length / drops.length * 100).toFixed(1)}%)`
+        : '--';
+    document.getElementById('stat-drift-median').textContent = formatHours(d3.median(landfalls, d => d.drift.hours));
+
+    // Jurisdiction: high seas share (needs EEZ data), most common jurisdiction
+    const highSeas = drops.filter(d => d.jurisdiction && d.jurisdiction.zone === 'HIGH_SEAS');
+    document.getElementById('stat-intl-waters').textContent = drops.some(d => d.jurisdiction && d.jurisdiction.zone)
+        ? `${highSeas.length} (${(highSeas.length / drops.length * 100).toFixed(1)}%)`
+        : '--';
+    const top = d3.greatest(jurisdictionCounts(drops), ([, count]) => count);
+    document.getElementById('stat-top-jurisdiction').textContent = top
+        ? `${top[0]} (${(top[1] / drops.length * 100).toFixed(1)}%)`
+        : '--';
+}
+
+// Jurisdiction label -> drop count, leaving out drops without one
+function jurisdictionCounts(drops) {
+    return d3.rollup(drops.filter(d => jurisdictionLabel(d.jurisdiction)), v => v.length, d => jurisdictionLabel(d.jurisdiction));
 }
 
+// Ocean basin names, to tell them apart from marginal seas in the basin chart
+const OCEAN_NAMES = new Set(Object.values(BASINS).map(basin => basin.name));
+
+// Sea or basin name -> drop count, leaving out lake drops
+function basinCounts(drops) {
+    return d3.rollup(drops.filter(d => d.basin), v => v.length, d => d.basin);
+}
+
+// Hours as "45min" / "3.2h"
+function formatHours(hours) {
+    if (hours === null || hours === undefined || !Number.isFinite(hours)) return '--';
+    return hours < 1 ? `${Math.round(hours * 60)}min` : `${hours.toFixed(1)}h`;
+}
+
+// "✓ 3.2h" (reached shore after) / "✗ 45min" (succumbed after)
+function formatOutcome(drop) {
+    if (!drop.outcome) return '';
+    return `${drop.outcome === 'SURVIVED' ? '✓' : '✗'} ${formatHours(drop.outcomeHours)}`;
+}
+
+// ", 120m deep" when the bathymetry knows the depth
+function formatDepth(drop) {
+    if (drop.depthM === null || drop.depthM === undefined) return '';
+    return `, ${Math.round(drop.depthM)}m deep`;
+}
+
+// " · Mediterranean Sea" / " · South Pacific", empty for lakes and older saved runs
+function formatBasin(drop) {
+    return drop.basin ? ` · ${drop.basin}` : '';
+}
+
+// " · Norway" / " · International waters" when the run had country or EEZ data
+function formatJurisdiction(drop) {
+    const label = jurisdictionLabel(drop.jurisdiction);
+    return label ? ` · ${label}` : '';
+}
+
+// "⚓ ashore 31.0h" / "⚓ adrift 3.5h" when the drift phase ran
+function formatDrift(drop) {
+    if (!drop.drift) return '';
+    return `⚓ ${drop.drift.outcome === 'LANDFALL' ? 'ashore' : 'adrift'} ${formatHours(drop.drift.hours)}`;
+}
+
+let lastChartDay = 0; // Day of the last chart refresh
+
 function updateUI(drop, stats) {
     if (drop) {
-        // Render Drop
-        const [x, y] = projection([drop.lon, drop.lat]);
-        if (x && y) {
-            let color = "#0ea5e9";
-            // Map Visuals - only highlight coastal prominently
-            if (drop.locationType === 'COASTAL') color = "#ef4444";
-            else if (drop.locationType === 'SHELF') color = "#fbbf24";
-
-            const circle = gDrops.append("circle")
-                .attr("cx", x)
-                .attr("cy", y)
-                .attr("r", 3)
-                .attr("fill", color)
-                .attr("class", "drop-point")
-                .attr("data-lat", drop.lat)
-                .attr("data-lon", drop.lon)
-                .attr("data-day", drop.day)
-                .style("cursor", "pointer")
-                .on("click", () => {
-                    openGoogleMaps(drop.lat, drop.lon);
-                });
-
-            circle.transition()
-                .duration(500)
-                .attr("r", 2);
-        }
+        // Render Drop (and its drift track)
+        dropLayer.add(drop);
 
         // Log entry with Google Maps button
         const li = document.createElement('li');
+        li.dataset.day = drop.day;
         li.style.display = "flex";
         li.style.justifyContent = "space-between";
         li.style.alignItems = "center";
 
-        let locText = "DEEP OCEAN";
-        let colorStyle = "#0ea5e9";
-
-        if (drop.locationType === 'COASTAL') {
-            locText = "NEAR SHORE";
-            colorStyle = "#ef4444";
-        } else if (drop.locationType === 'SHELF') {
-            locText = "CONT. SHELF";
-            colorStyle = "#fbbf24";
-        } else if (drop.locationType === 'FAR') {
-            locText = "FAR OFFSHORE";
-            colorStyle = "#22c55e";
-        }
+        const zone = ZONES[drop.locationType] || ZONES.DEEP_OCEAN;
+        const locText = zone.label;
+        const colorStyle = zone.color;
 
         const textSpan = document.createElement('span');
         textSpan.style.color = colorStyle;
@@ -624,16 +1021,20 @@ function updateUI(drop, stats) {
             }
         }
 
-        textSpan.textContent = `Day ${drop.day}: ${locText} [${distText}] (${drop.lat.toFixed(1)}, ${drop.lon.toFixed(1)}) ${drop.temp.toFixed(1)}°C`;
+        textSpan.textContent = `Day ${drop.day}: ${locText} [${distText}${formatDepth(drop)}] (${drop.lat.toFixed(1)}, ${drop.lon.toFixed(1)})${formatBasin(drop)}${formatJurisdiction(drop)} ${drop.temp.toFixed(1)}°C ${formatOutcome(drop)} ${formatDrift(drop)}`;
 
         const mapBtn = document.createElement('button');
         mapBtn.textContent = "🗺️";
         mapBtn.title = "Open in Google Maps";
         mapBtn.className = "map-btn";
-        mapBtn.onclick = () => openGoogleMaps(drop.lat, drop.lon);
+        mapBtn.onclick = (event) => {
+            event.stopPropagation(); // Not an inspector click on the row
+            openGoogleMaps(drop.lat, drop.lon);
+        };
 
         li.appendChild(textSpan);
         li.appendChild(mapBtn);
+        li.addEventListener('click', () => inspectDrop(drop));
 
         // No limit - allow scrolling all entries
         elLog.prepend(li);
@@ -643,8 +1044,11 @@ function updateUI(drop, stats) {
         updateStats(stats);
         if (sim) elDay.textContent = `${sim.currentDay} / ${sim.totalDays}`;
 
-        // Throttle Chart Updates
-        if (sim && sim.currentDay % 10 === 0) updateCharts(sim.drops);
+        // Throttle Chart Updates (every 10 days; the worker delivers days in batches)
+        if (sim && sim.currentDay - lastChartDay >= 10) {
+            lastChartDay = sim.currentDay;
+            updateCharts(sim.drops);
+        }
     }
 }
 
@@ -665,9 +1069,54 @@ const svgDist = d3.select("#chart-dist").append("svg")
     .append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
+const svgSurvival = d3.select("#chart-survival").append("svg")
+    .attr("width", chartWidth + margin.left + margin.right)
+    .attr("height", chartHeight + margin.top + margin.bottom)
+    .append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+// Basin and jurisdiction charts: horizontal bars for the most common values, labels on the left
+const RANKED_BARS = 8;
+const rankedMargin = { top: 10, right: 10, bottom: 30, left: 110 };
+const rankedWidth = 300 - rankedMargin.left - rankedMargin.right;
+const rankedHeight = 200 - rankedMargin.top - rankedMargin.bottom;
+
+function createRankedChart(selector) {
+    return d3.select(selector).append("svg")
+        .attr("width", 300)
+        .attr("height", 200)
+        .append("g")
+        .attr("transform", `translate(${rankedMargin.left},${rankedMargin.top})`);
+}
+
+const svgBasin = createRankedChart("#chart-basin");
+const svgJurisdiction = createRankedChart("#chart-jurisdiction");
+
+// Expected survival time bins (hours), doubling; the last one ends at the exhaustion cap
+const SURVIVAL_BINS = [0, 0.5, 1, 2, 4, 8, 16, 32, OceanSurvival.EXHAUSTION_LIMIT_HOURS];
+
+// Re-bin the hexbin view and refresh its colour legend (only while it is showing)
+function updateHexLayer(data) {
+    if (!hexLayer.visible) {
+        elHexLegend.innerHTML = "";
+        return;
+    }
+    const legend = hexLayer.update(data, hexMetricSelect.value);
+    if (!legend) {
+        elHexLegend.innerHTML = "";
+        return;
+    }
+    const { domain, metric } = legend;
+    const stops = d3.range(0, 1.01, 0.25).map(t => metric.interpolator(t)).join(", ");
+    elHexLegend.innerHTML = `${metric.format(domain[0])} <span class="hex-legend-bar" style="background: linear-gradient(to right, ${stops})"></span> ${metric.format(domain[1])}`;
+}
+
 function updateCharts(data) {
     if (!data) return;
 
+    updateHexLayer(data);
+    updateComparison();
+
     // 1. Temp Histogram
     const xTemp = d3.scaleLinear()
         .domain([-5, 35])
@@ -678,11 +1127,18 @@ function updateCharts(data) {
         .domain(xTemp.domain())
         .thresholds(xTemp.ticks(20));
 
+    // With runs to compare, bars show shares of each run's drops so runs of any length line up
+    const comparing = comparedRuns.length > 0;
+    const share = (count, total) => comparing ? count / (total || 1) : count;
     const bins = histogram(data);
+    const runBins = comparedRuns.map(run => histogram(run.drops));
 
     const yTemp = d3.scaleLinear()
         .range([chartHeight, 0])
-        .domain([0, d3.max(bins, d => d.length) || 0]);
+        .domain([0, d3.max([
+            d3.max(bins, d => share(d.length, data.length)) || 0,
+            ...comparedRuns.map((run, i) => d3.max(runBins[i], d => share(d.length, run.drops.length)))
+        ])]);
 
     svgTemp.selectAll("*").remove();
 
@@ -691,63 +1147,83 @@ function updateCharts(data) {
         .call(d3.axisBottom(xTemp).ticks(5));
 
     svgTemp.append("g")
-        .call(d3.axisLeft(yTemp).ticks(5));
+        .call(d3.axisLeft(yTemp).ticks(5, comparing ? "%" : null));
 
     svgTemp.selectAll("rect")
         .data(bins)
         .join("rect")
         .attr("x", 1)
-        .attr("transform", d => `translate(${xTemp(d.x0)}, ${yTemp(d.length)})`)
+        .attr("transform", d => `translate(${xTemp(d.x0)}, ${yTemp(share(d.length, data.length))})`)
         .attr("width", d => Math.max(0, xTemp(d.x1) - xTemp(d.x0) - 1))
-        .attr("height", d => chartHeight - yTemp(d.length))
+        .attr("height", d => chartHeight - yTemp(share(d.length, data.length)))
         .style("fill", "#0ea5e9")
         .style("cursor", "pointer")
         .on("click", (event, d) => {
             applyFilter({ tempMin: d.x0, tempMax: d.x1 });
         });
 
-    // 2. Distance Bar Chart
-    const distCounts = {
-        'COASTAL': 0,
-        'SHELF': 0,
-        'FAR': 0,
-        'DEEP_OCEAN': 0
-    };
+    // Cold/warm water cutoffs of the scenario
+    const { coldC, warmC } = activeScenario().temperature;
+    svgTemp.selectAll(".temp-cutoff")
+        .data([coldC, warmC].filter(t => t >= xTemp.domain()[0] && t <= xTemp.domain()[1]))
+        .join("line")
+        .attr("class", "temp-cutoff")
+        .attr("x1", d => xTemp(d))
+        .attr("x2", d => xTemp(d))
+        .attr("y1", 0)
+        .attr("y2", chartHeight);
+
+    // Compared runs as outlines over the bars
+    comparedRuns.forEach((run, i) => {
+        const steps = runBins[i].map(d => [xTemp(d.x0), yTemp(share(d.length, run.drops.length))]);
+        const last = runBins[i][runBins[i].length - 1];
+        if (last) steps.push([xTemp(last.x1), steps[steps.length - 1][1]]);
+        svgTemp.append("path")
+            .attr("class", "compare-line")
+            .attr("d", d3.line().curve(d3.curveStepAfter)(steps))
+            .attr("stroke", run.color);
+    });
+
+    // 2. Zone Bar Chart (depth or distance zones)
+    const distCounts = {};
+    chartZones().forEach(zone => { distCounts[zone] = 0; });
+    // Lake bar only when lakes are in play
+    if (lakesToggle.checked) distCounts['LAKE'] = 0;
 
     data.forEach(d => {
+        // Points the bathymetry misses fall back to distance bands and get their own bar
+        if (distCounts[d.locationType] === undefined && ZONES[d.locationType]) distCounts[d.locationType] = 0;
         if (distCounts[d.locationType] !== undefined) distCounts[d.locationType]++;
     });
-
-    const distData = Object.entries(distCounts).map(([key, val]) => ({ key, val }));
+    // Compared runs may have zones this one lacks (e.g. made with bathymetry or lakes)
+    const runZoneCounts = comparedRuns.map(run => d3.rollup(run.drops, v => v.length, d => d.locationType));
+    runZoneCounts.forEach(counts => counts.forEach((count, zone) => {
+        if (distCounts[zone] === undefined && ZONES[zone]) distCounts[zone] = 0;
+    }));
+
+    const distData = Object.entries(distCounts).map(([key, val]) => ({ key, val: share(val, data.length) }));
+    const runZoneData = comparedRuns.flatMap((run, i) => Object.keys(distCounts).map(key => ({
+        key,
+        val: share(runZoneCounts[i].get(key) || 0, run.drops.length),
+        color: run.color
+    })));
 
     const xDist = d3.scaleBand()
         .range([0, chartWidth])
-        .domain(['COASTAL', 'SHELF', 'FAR', 'DEEP_OCEAN'])
+        .domain(Object.keys(distCounts))
         .padding(0.2);
 
     const yDist = d3.scaleLinear()
-        .domain([0, d3.max(distData, d => d.val) || 0])
+        .domain([0, d3.max([...distData, ...runZoneData], d => d.val) || 0])
         .range([chartHeight, 0]);
 
     svgDist.selectAll("*").remove();
 
     svgDist.append("g")
         .attr("transform", `translate(0,${chartHeight})`)
-        .call(d3.axisBottom(xDist).tickFormat(d => {
-            if (d === 'COASTAL') return 'Coast';
-            if (d === 'SHELF') return 'Shelf';
-            if (d === 'FAR') return 'Far';
-            return 'Deep';
-        }));
+        .call(d3.axisBottom(xDist).tickFormat(d => ZONES[d].short));
 
-    svgDist.append("g").call(d3.axisLeft(yDist).ticks(5));
-
-    const colorMap = {
-        'COASTAL': '#ef4444',
-        'SHELF': '#fbbf24',
-        'FAR': '#22c55e',
-        'DEEP_OCEAN': '#334155'
-    };
+    svgDist.append("g").call(d3.axisLeft(yDist).ticks(5, comparing ? "%" : null));
 
     svgDist.selectAll("mybar")
         .data(distData)
@@ -756,47 +1232,196 @@ function updateCharts(data) {
         .attr("y", d => yDist(d.val))
         .attr("width", xDist.bandwidth())
         .attr("height", d => chartHeight - yDist(d.val))
-        .attr("fill", d => colorMap[d.key] || '#999')
+        .attr("fill", d => ZONES[d.key].chartColor)
         .style("cursor", "pointer")
         .on("click", (event, d) => {
             applyFilter({ zone: d.key });
         });
+
+    // Compared runs as level marks across each bar
+    svgDist.selectAll(".compare-mark")
+        .data(runZoneData)
+        .join("line")
+        .attr("class", "compare-line compare-mark")
+        .attr("x1", d => xDist(d.key))
+        .attr("x2", d => xDist(d.key) + xDist.bandwidth())
+        .attr("y1", d => yDist(d.val))
+        .attr("y2", d => yDist(d.val))
+        .attr("stroke", d => d.color);
+
+    // 3. Survival Time Histogram, stacked by outcome
+    const survivalData = SURVIVAL_BINS.slice(0, -1).map((min, i) => {
+        const max = SURVIVAL_BINS[i + 1];
+        const inBin = data.filter(d => d.survivalHours >= min &&
+            (d.survivalHours < max || (i === SURVIVAL_BINS.length - 2 && d.survivalHours <= max)));
+        return {
+            key: String(min),
+            min,
+            max,
+            survived: inBin.filter(d => d.outcome === 'SURVIVED').length,
+            died: inBin.filter(d => d.outcome === 'DIED').length
+        };
+    });
+
+    const xSurvival = d3.scaleBand()
+        .range([0, chartWidth])
+        .domain(survivalData.map(d => d.key))
+        .padding(0.2);
+
+    const ySurvival = d3.scaleLinear()
+        .domain([0, d3.max(survivalData, d => d.survived + d.died) || 0])
+        .range([chartHeight, 0]);
+
+    svgSurvival.selectAll("*").remove();
+
+    svgSurvival.append("g")
+        .attr("transform", `translate(0,${chartHeight})`)
+        .call(d3.axisBottom(xSurvival).tickFormat(d => {
+            const hours = +d;
+            if (hours === 0) return '0';
+            return hours < 1 ? `${hours * 60}m` : `${hours}h`;
+        }));
+
+    svgSurvival.append("g").call(d3.axisLeft(ySurvival).ticks(5));
+
+    const segments = survivalData.flatMap(d => [
+        { bin: d, outcome: 'DIED', y0: 0, y1: d.died },
+        { bin: d, outcome: 'SURVIVED', y0: d.died, y1: d.died + d.survived }
+    ]);
+
+    svgSurvival.selectAll("rect")
+        .data(segments)
+        .join("rect")
+        .attr("x", d => xSurvival(d.bin.key))
+        .attr("y", d => ySurvival(d.y1))
+        .attr("width", xSurvival.bandwidth())
+        .attr("height", d => ySurvival(d.y0) - ySurvival(d.y1))
+        .attr("fill", d => d.outcome === 'SURVIVED' ? '#22c55e' : '#ef4444')
+        .style("cursor", "pointer")
+        .on("click", (event, d) => {
+            applyFilter({ survivalMin: d.bin.min, survivalMax: d.bin.max, outcome: d.outcome });
+        });
+
+    // 4. Jurisdiction
+    drawRankedBars(svgJurisdiction, data, jurisdictionCounts, {
+        fill: key => key === INTERNATIONAL_WATERS ? "#64748b" : "#2dd4bf",
+        onClick: key => applyFilter({ jurisdiction: key })
+    });
+
+    // 5. Ocean basin or marginal sea
+    drawRankedBars(svgBasin, data, basinCounts, {
+        fill: key => OCEAN_NAMES.has(key) ? "#3b82f6" : "#38bdf8",
+        onClick: key => applyFilter({ basin: key })
+    });
+}
+
+// Most common values first as horizontal bars, as shares when comparing runs.
+// counter: drops -> Map of value -> count; options: { fill(key), onClick(key) }
+function drawRankedBars(svg, data, counter, options) {
+    const comparing = comparedRuns.length > 0;
+    const share = (count, total) => comparing ? count / (total || 1) : count;
+    const barData = Array.from(counter(data), ([key, count]) => ({ key, val: share(count, data.length) }))
+        .sort((a, b) => b.val - a.val)
+        .slice(0, RANKED_BARS);
+    const runCounts = comparedRuns.map(run => counter(run.drops));
+    const runBarData = comparedRuns.flatMap((run, i) => barData.map(d => ({
+        key: d.key,
+        val: share(runCounts[i].get(d.key) || 0, run.drops.length),
+        color: run.color
+    })));
+
+    const y = d3.scaleBand()
+        .range([0, rankedHeight])
+        .domain(barData.map(d => d.key))
+        .padding(0.2);
+
+    const x = d3.scaleLinear()
+        .domain([0, d3.max([...barData, ...runBarData], d => d.val) || 0])
+        .range([0, rankedWidth]);
+
+    svg.selectAll("*").remove();
+
+    svg.append("g")
+        .attr("transform", `translate(0,${rankedHeight})`)
+        .call(d3.axisBottom(x).ticks(4, comparing ? "%" : null));
+
+    svg.append("g")
+        .call(d3.axisLeft(y).tickFormat(d => d.length > 16 ? `${d.slice(0, 15)}…` : d));
+
+    svg.selectAll("rect")
+        .data(barData)
+        .join("rect")
+        .attr("x", 0)
+        .attr("y", d => y(d.key))
+        .attr("width", d => x(d.val))
+        .attr("height", y.bandwidth())
+        .attr("fill", d => options.fill(d.key))
+        .style("cursor", "pointer")
+        .on("click", (event, d) => {
+            options.onClick(d.key);
+        })
+        .append("title")
+        .text(d => d.key);
+
+    // Compared runs as level marks across each bar
+    svg.selectAll(".compare-mark")
+        .data(runBarData)
+        .join("line")
+        .attr("class", "compare-line compare-mark")
+        .attr("x1", d => x(d.val))
+        .attr("x2", d => x(d.val))
+        .attr("y1", d => y(d.key))
+        .attr("y2", d => y(d.key) + y.bandwidth())
+        .attr("stroke", d => d.color);
 }
 
 // --- Filtering ---
 let currentFilter = null;
 
+// Does a drop pass the filter?
+function matchesFilter(filter, d) {
+    if (filter.tempMin !== undefined && filter.tempMax !== undefined) {
+        return d.temp >= filter.tempMin && d.temp < filter.tempMax;
+    }
+    if (filter.zone) {
+        return d.locationType === filter.zone;
+    }
+    if (filter.survivalMin !== undefined && filter.survivalMax !== undefined) {
+        return d.survivalHours >= filter.survivalMin && d.survivalHours <= filter.survivalMax &&
+            (!filter.outcome || d.outcome === filter.outcome);
+    }
+    if (filter.driftOutcome) {
+        return !!d.drift && d.drift.outcome === filter.driftOutcome;
+    }
+    if (filter.cell) {
+        return filter.cell.days.has(d.day);
+    }
+    if (filter.jurisdiction) {
+        return jurisdictionLabel(d.jurisdiction) === filter.jurisdiction;
+    }
+    if (filter.basin) {
+        return d.basin === filter.basin;
+    }
+    return true;
+}
+
 function applyFilter(filter) {
     currentFilter = filter;
+    if (!liveSim) checkpointDirty = true;
 
     if (!sim || !sim.drops) return;
 
     // Filter drops
-    const filtered = sim.drops.filter(d => {
-        if (filter.tempMin !== undefined && filter.tempMax !== undefined) {
-            return d.temp >= filter.tempMin && d.temp < filter.tempMax;
-        }
-        if (filter.zone) {
-            return d.locationType === filter.zone;
-        }
-        return true;
-    });
+    const matchingDays = new Set(sim.drops.filter(d => matchesFilter(filter, d)).map(d => d.day));
 
     // Update map - dim non-matching, highlight matching
-    gDrops.selectAll("circle").each(function () {
-        const day = +this.getAttribute("data-day");
-        const match = filtered.some(d => d.day === day);
-        d3.select(this)
-            .style("opacity", match ? 1 : 0.1)
-            .attr("r", match ? 4 : 2);
-    });
+    dropLayer.setFilter(d => matchingDays.has(d.day));
+    hexLayer.select(filter.cell ? filter.cell.key : null);
 
     // Update log - show only matching
     const allItems = elLog.querySelectorAll('li');
     allItems.forEach(li => {
-        const text = li.textContent;
-        const matchesFilter = filtered.some(d => text.includes(`Day ${d.day}:`));
-        li.style.display = matchesFilter ? 'flex' : 'none';
+        li.style.display = matchingDays.has(+li.dataset.day) ? 'flex' : 'none';
     });
 
     // Show filter indicator
@@ -805,11 +1430,11 @@ function applyFilter(filter) {
 
 function clearFilter() {
     currentFilter = null;
+    if (!liveSim) checkpointDirty = true;
 
     // Reset map
-    gDrops.selectAll("circle")
-        .style("opacity", 0.8)
-        .attr("r", 2);
+    dropLayer.setFilter(null);
+    hexLayer.select(null);
 
     // Reset log
     const allItems = elLog.querySelectorAll('li');
@@ -826,21 +1451,898 @@ function showFilterIndicator(filter) {
         document.getElementById('controls').appendChild(indicator);
     }
 
-    let text = 'Filter: ';
-    if (filter.tempMin !== undefined) {
-        text += `${filter.tempMin}°C - ${filter.tempMax}°C`;
-    } else if (filter.zone) {
-        const names = { COASTAL: 'Coastal', SHELF: 'Shelf', FAR: 'Far', DEEP_OCEAN: 'Deep' };
-        text += names[filter.zone] || filter.zone;
-    }
-
-    indicator.innerHTML = `${text} <button onclick="clearFilter()">✕</button>`;
+    // Filters on countries, EEZs and basins carry names from data or run files: text only
+    const label = document.createElement('span');
+    label.textContent = `Filter: ${describeFilter(filter)}`;
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = "✕";
+    clearBtn.addEventListener('click', clearFilter);
+    indicator.replaceChildren(label, clearBtn);
     indicator.style.display = 'flex';
+    exportFilteredToggle.disabled = false;
 }
 
 function hideFilterIndicator() {
     const indicator = document.getElementById('filter-indicator');
     if (indicator) indicator.style.display = 'none';
+    exportFilteredToggle.checked = false;
+    exportFilteredToggle.disabled = true;
+}
+
+function describeFilter(filter) {
+    if (filter.tempMin !== undefined) {
+        return `${filter.tempMin}°C - ${filter.tempMax}°C`;
+    } else if (filter.zone) {
+        return ZONES[filter.zone] ? ZONES[filter.zone].short : filter.zone;
+    } else if (filter.survivalMin !== undefined) {
+        return `${filter.outcome === 'DIED' ? 'Died' : 'Survived'}, ${formatHours(filter.survivalMin)} - ${formatHours(filter.survivalMax)} expected survival`;
+    } else if (filter.driftOutcome) {
+        return 'Drifted ashore';
+    } else if (filter.cell) {
+        const [lon, lat] = projection.invert([filter.cell.x, filter.cell.y]);
+        return `Hex cell around (${lat.toFixed(1)}, ${lon.toFixed(1)}), ${filter.cell.drops.length} drops`;
+    } else if (filter.jurisdiction) {
+        return filter.jurisdiction;
+    } else if (filter.basin) {
+        return filter.basin;
+    }
+    return '';
+}
+
+// --- Export ---
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv', serialize: toCsv },
+    geojson: { extension: 'geojson', type: 'application/geo+json', serialize: toGeoJson },
+    kml: { extension: 'kml', type: 'application/vnd.google-earth.kml+xml', serialize: toKml },
+    run: { extension: 'json', type: 'application/json', serialize: toRunJson }
+};
+
+// Seed, progress, totals and data files, carried into every export
+function runMetadata(drops, filter) {
+    const stats = sim.stats;
+    const saved = sim.meta || {}; // A replayed run keeps the setup it was made with
+    return {
+        seed: sim.seed,
+        totalDays: sim.totalDays,
+        daysRun: sim.currentDay,
+        exported: new Date().toISOString(),
+        filter: filter ? describeFilter(filter) : null,
+        drops: drops.length,
+        totals: {
+            drops: sim.drops.length,
+            coastal: stats.coastal,
+            survived: stats.survived,
+            driftLandfalls: stats.driftLandfalls,
+            landAttempts: stats.landAttempts,
+            totalAttempts: stats.totalAttempts,
+            avgTemp: +stats.avgTemp.toFixed(2)
+        },
+        options: saved.options || {
+            lakes: lakesToggle.checked,
+            drift: driftToggle.checked,
+            resolution: landResolution
+        },
+        scenario: saved.scenario || scenario,
+        data: saved.data || dataSources
+    };
+}
+
+// Download the run (or just the filtered drops) as CSV, GeoJSON or KML
+function exportRun(format) {
+    if (!sim || sim.drops.length === 0) return;
+    const { extension, type, serialize } = EXPORT_FORMATS[format];
+    const filter = exportFilteredToggle.checked ? currentFilter : null;
+    const drops = filter ? sim.drops.filter(d => matchesFilter(filter, d)) : sim.drops;
+    const text = serialize(drops, runMetadata(drops, filter), filter ? null : sim.stats);
+
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ocean-drop-${sim.seed ?? 'replay'}-day${sim.currentDay}${filter ? '-filtered' : ''}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Replay ---
+let liveSim = null; // The live simulation, set aside while a saved run is replaying
+
+async function loadRunFile(file) {
+    let run;
+    try {
+        run = parseRunFile(await file.text());
+    } catch (e) {
+        console.error("Run file not usable:", e.message);
+        elStatus.textContent = "Invalid Run File";
+        return;
+    }
+
+    sim.pause();
+    if (!liveSim) {
+        checkpointRun();
+        liveSim = sim;
+    }
+    sim = new ReplaySimulation(run, {
+        onTick: (drop, stats) => {
+            updateUI(drop, stats);
+            updateTimeline();
+        },
+        onFinish: () => {
+            elStatus.textContent = "Replay Finished";
+            btnStart.disabled = false;
+            btnPause.disabled = true;
+            updateCharts(sim.drops);
+        },
+        onSeek: rebuildFromDrops
+    });
+    sim.setSpeed(speedSlider.value);
+
+    setReplayMode(true);
+    document.getElementById('replay-name').textContent =
+        `Replay: ${file.name} (${sim.seed !== null ? `seed ${sim.seed}, ` : ''}${run.drops.length} drops)`;
+    timeline.max = sim.totalDays;
+    updateSeedDisplay();
+    sim.seek(sim.totalDays); // Whole run first; Start or the timeline replays it
+    elStatus.textContent = "Replay Loaded";
+    btnStart.disabled = false;
+    btnPause.disabled = true;
+}
+
+function exitReplay() {
+    sim.pause();
+    sim = liveSim;
+    liveSim = null;
+    setReplayMode(false);
+    updateSeedDisplay();
+    rebuildFromDrops();
+    elStatus.textContent = sim.currentDay >= sim.totalDays ? `Finished ${formatDuration(sim.totalDays)}` : (sim.currentDay > 0 ? "Paused" : "Ready");
+    btnStart.disabled = sim.currentDay >= sim.totalDays;
+    btnPause.disabled = true;
+}
+
+// Run setup can't change under a replay: seed, run options and scenario wait for the live simulation
+function setReplayMode(on) {
+    replayBar.hidden = !on;
+    btnStart.textContent = on ? "Play Replay" : "Start Simulation";
+    seedInput.disabled = on;
+    btnNewSeed.disabled = on;
+    lakesToggle.disabled = on;
+    resolutionSelect.disabled = on;
+    driftToggle.disabled = on || !currents;
+    document.getElementById('btn-apply-scenario').disabled = on;
+    updateScenarioLabels();
+    drawRegion();
+}
+
+// Redraw map, log, stats and charts from sim.drops in one go (seek, leaving a replay)
+function rebuildFromDrops() {
+    dropLayer.setDrops(sim.drops);
+    if (inspectedDrop && !sim.drops.includes(inspectedDrop)) closeInspector();
+    elLog.innerHTML = "";
+    sortAndRenderLog();
+    updateStats(sim.stats);
+    elDay.textContent = `${sim.currentDay} / ${sim.totalDays}`;
+    lastChartDay = sim.currentDay;
+    updateCharts(sim.drops);
+    if (currentFilter) applyFilter(currentFilter);
+    if (liveSim) updateTimeline();
+}
+
+function updateTimeline() {
+    timeline.value = sim.currentDay;
+    elTimelineDay.textContent = `Day ${sim.currentDay}`;
+}
+
+// --- Run comparison ---
+const CURRENT_RUN_COLOR = "#0ea5e9"; // Bars of the temperature chart
+const COMPARE_COLORS = ["#f472b6", "#facc15", "#e2e8f0", "#fb923c", "#2dd4bf"];
+const COMPARE_DIFF = 0.1; // Relative difference from the first run that gets highlighted
+let comparedRuns = []; // { label, color, seed, scenario, drops, stats }, kept across resets and new seeds
+
+const formatPct = v => `${(v * 100).toFixed(1)}%`;
+const formatKm = v => Number.isFinite(v) ? `${v.toFixed(0)}km` : '--';
+
+// Rows of the comparison table: OceanBatch.summarizeRun metric, label, format
+const COMPARE_METRICS = [
+    ['days', "Drops", v => `${v}`],
+    ['waterRatio', "Water Ratio", formatPct],
+    ['coastalHitRate', "Coastal Hits", formatPct],
+    ['minDistanceKm', "Closest to Land", formatKm],
+    ['meanDistanceKm', "Average Distance", formatKm],
+    ['meanTempC', "Avg Temperature", v => `${v.toFixed(1)}°C`],
+    ['coldWaterRate', "Cold Water", formatPct],
+    ['warmWaterRate', "Warm Water", formatPct],
+    ['survivalRate', "Survived", formatPct],
+    ['meanSurvivalHours', "Mean Survival Time", formatHours],
+    ['driftLandfallRate', "Drift Landfalls", formatPct],
+    ['meanLandfallHours', "Mean Time Adrift to Shore", formatHours],
+    ['meanDepthM', "Mean Depth", v => `${Math.round(v)}m`],
+    ['eezRate', "In an EEZ", formatPct],
+    ['internationalWatersRate', "International Waters", formatPct]
+];
+
+// Snapshot of the current run (live or replayed) for comparison
+function pinRun() {
+    if (!sim || sim.drops.length === 0) return;
+    const color = COMPARE_COLORS.find(c => !comparedRuns.some(run => run.color === c));
+    if (!color) return;
+    const options = runMetadata(sim.drops, null).options;
+    const runScenario = activeScenario();
+    const setup = [
+        runScenario.name !== DEFAULT_SCENARIO.name && runScenario.name,
+        options.lakes && "lakes",
+        options.drift && "drift"
+    ].filter(Boolean).join(", ");
+    comparedRuns.push({
+        label: `${sim.seed ?? "replay"}${setup ? ` (${setup})` : ""}, day ${sim.currentDay}`,
+        color,
+        seed: sim.seed,
+        scenario: runScenario,
+        drops: [...sim.drops],
+        stats: Object.assign({}, sim.stats)
+    });
+    updateCharts(sim.drops);
+}
+
+function unpinRun(index) {
+    comparedRuns.splice(index, 1);
+    updateCharts(sim.drops);
+}
+
+// Run chips and the metric table: one column per compared run plus the current one
+function updateComparison() {
+    btnPinRun.disabled = comparedRuns.length >= COMPARE_COLORS.length;
+    comparePanel.hidden = comparedRuns.length === 0;
+    if (comparedRuns.length === 0) return;
+
+    const current = {
+        label: "Current",
+        color: CURRENT_RUN_COLOR,
+        seed: sim.seed,
+        scenario: activeScenario(),
+        drops: sim.drops,
+        stats: sim.stats
+    };
+    const columns = [...comparedRuns, current].map(run => Object.assign({
+        run,
+        metrics: run.drops.length > 0 ? summarizeRun(run, run.scenario).metrics : null
+    }, run));
+    const zoneRows = Object.keys(ZONES)
+        .filter(zone => columns.some(c => c.metrics && c.metrics[`zoneRate_${zone}`] > 0))
+        .map(zone => [`zoneRate_${zone}`, `Zone: ${ZONES[zone].short}`, formatPct]);
+    const baseline = columns[0].metrics;
+
+    // Labels come from seeds and scenario names, which a replay takes from the file: text only
+    const chips = d3.select("#compare-runs")
+        .selectAll(".compare-run")
+        .data(columns)
+        .join(enter => {
+            const chip = enter.append("span").attr("class", "compare-run");
+            chip.append("span").attr("class", "swatch");
+            chip.append("span").attr("class", "compare-label");
+            return chip;
+        });
+    chips.select(".swatch").style("background", c => c.color);
+    chips.select(".compare-label").text(c => c.label);
+    chips.selectAll("button")
+        .data((c, i) => i < comparedRuns.length ? [c] : [])
+        .join("button")
+        .attr("title", "Remove from comparison")
+        .text("✕")
+        .on("click", (event, c) => unpinRun(comparedRuns.indexOf(c.run)));
+
+    const table = d3.select("#compare-table").html("");
+    const header = table.append("tr");
+    header.append("th");
+    columns.forEach(c => header.append("th").style("color", c.color).text(c.label));
+    [...COMPARE_METRICS, ...zoneRows].forEach(([key, label, format]) => {
+        if (columns.every(c => !c.metrics || c.metrics[key] === undefined)) return;
+        const row = table.append("tr");
+        row.append("th").text(label);
+        columns.forEach((c, i) => {
+            const cell = row.append("td");
+            const value = c.metrics ? c.metrics[key] : undefined;
+            if (value === undefined) {
+                cell.text("--");
+                return;
+            }
+            cell.text(format(value));
+            const base = baseline ? baseline[key] : undefined;
+            if (i === 0 || base === undefined || !Number.isFinite(value) || !Number.isFinite(base)) return;
+            const diff = base === 0 ? (value === 0 ? 0 : Infinity) : (value - base) / Math.abs(base);
+            if (Math.abs(diff) < COMPARE_DIFF) return;
+            cell.attr("class", diff > 0 ? "diff-up" : "diff-down")
+                .attr("title", Number.isFinite(diff) ? `${diff > 0 ? "+" : ""}${(diff * 100).toFixed(0)}% vs first run` : "first run: 0");
+        });
+    });
+}
+
+// --- Scenario ---
+const SCENARIO_STORAGE_KEY = 'ocean-drop-scenarios';
+let scenario = DEFAULT_SCENARIO; // Setup of the live simulation
+let formRegionRing = null; // Polygon region in the editor, not applied yet
+let drawingRegion = null; // [lon, lat] points while a polygon is being drawn on the map
+
+const scenarioPresetSelect = document.getElementById('scenario-preset');
+const regionTypeSelect = document.getElementById('region-type');
+const regionBasinSelect = document.getElementById('region-basin');
+const btnDrawRegion = document.getElementById('btn-draw-region');
+const elScenarioError = document.getElementById('scenario-error');
+
+// Setup of the run on screen: a replay brings its own (older run files have none)
+function activeScenario() {
+    if (liveSim && sim.meta && sim.meta.scenario) {
+        try {
+            return normalizeScenario(sim.meta.scenario);
+        } catch (e) {
+            console.warn("Replay scenario not usable:", e.message);
+        }
+    }
+    return scenario;
+}
+
+// "5 Years" / "1 Year" / "90 Days"
+function formatDuration(days) {
+    if (days % 365 === 0) return `${days / 365} Year${days === 365 ? '' : 's'}`;
+    return `${days} Day${days === 1 ? '' : 's'}`;
+}
+
+function describeRegion(region) {
+    if (!region) return null;
+    if (region.type === 'bbox') return `${region.south}°..${region.north}°N, ${region.west}°..${region.east}°E`;
+    if (region.type === 'polygon') return `a drawn area (${region.ring.length} points)`;
+    return `the ${BASINS[region.basin].name}`;
+}
+
+// Header, legend and stat labels for the scenario's duration and thresholds
+function updateScenarioLabels() {
+    const s = activeScenario();
+    const { zones, temperature } = s;
+    const region = describeRegion(s.region);
+    document.getElementById('scenario-summary').textContent =
+        `Simulating ${formatDuration(s.totalDays).toLowerCase()} of daily random drops` +
+        (s.totalDays % 365 === 0 ? ` (${s.totalDays.toLocaleString()} days)` : '') +
+        (region ? ` in ${region}` : '');
+    document.getElementById('scenario-name').textContent = scenario.name;
+
+    const legend = {
+        COASTAL: `Coastal: ≤${zones.coastalKm} km`,
+        SHELF_DEPTH: `Shelf: <${zones.shelfDepthM} m deep`,
+        SLOPE: `Slope: ${zones.shelfDepthM}-${zones.slopeDepthM} m`,
+        ABYSSAL: `Abyssal Plain: ${zones.slopeDepthM}-${zones.abyssalDepthM} m`,
+        TRENCH: `Trench: >${zones.abyssalDepthM} m`,
+        SHELF: `Shelf: ≤${zones.shelfKm} km`,
+        FAR: `Far: ≤${zones.farKm} km`,
+        DEEP_OCEAN: `Deep Ocean: >${zones.farKm} km`
+    };
+    document.querySelectorAll('[data-legend]').forEach(el => { el.textContent = legend[el.dataset.legend]; });
+    document.getElementById('stat-coastal-label').textContent = `Drops Within ${zones.coastalKm}km`;
+    document.getElementById('stat-cold-label').textContent = `Cold Water (<${temperature.coldC}°C)`;
+    document.getElementById('stat-warm-label').textContent = `Warm Water (>${temperature.warmC}°C)`;
+}
+
+// Map outline of a region: boxes follow their parallels, polygons their great circles;
+// basins have no outline of their own
+function regionOutline(region) {
+    if (!region) return null;
+    if (region.type === 'polygon') return { type: 'LineString', coordinates: [...region.ring, region.ring[0]] };
+    if (region.type === 'bbox') {
+        const east = region.west < region.east ? region.east : region.east + 360;
+        const south = d3.range(region.west, east, 1).concat(east).map(lon => [lon, region.south]);
+        const north = south.map(([lon]) => [lon, region.north]).reverse();
+        return { type: 'LineString', coordinates: [...south, ...north, south[0]] };
+    }
+    return null;
+}
+
+function drawRegion() {
+    const outline = drawingRegion
+        ? (drawingRegion.length > 1 ? { type: 'LineString', coordinates: drawingRegion } : null)
+        : regionOutline(activeScenario().region);
+    regionPath.datum(outline).attr("d", path).classed("drawing", !!drawingRegion);
+}
+
+// Map click while drawing: one more polygon point
+function addRegionPoint(x, y) {
+    const point = projection.invert([x, y]);
+    if (!point || !Number.isFinite(point[0]) || !DropLayer.projectVisible(projection, point)) return;
+    drawingRegion.push([+point[0].toFixed(3), +point[1].toFixed(3)]);
+    updateRegionInfo();
+    drawRegion();
+}
+
+function toggleRegionDrawing() {
+    if (!drawingRegion) {
+        drawingRegion = [];
+        btnDrawRegion.textContent = "✓ Finish";
+    } else {
+        if (drawingRegion.length >= 3) formRegionRing = drawingRegion;
+        drawingRegion = null;
+        btnDrawRegion.textContent = "✏️ Draw on Map";
+        markScenarioCustom();
+    }
+    svg.classed("drawing-region", !!drawingRegion);
+    updateRegionInfo();
+    drawRegion();
+}
+
+function updateRegionInfo() {
+    const ring = drawingRegion || formRegionRing;
+    document.getElementById('region-polygon-info').textContent = drawingRegion
+        ? `${ring.length} points, click the map to add`
+        : (ring ? `${ring.length} points` : "No polygon yet");
+}
+
+function showRegionFields() {
+    document.querySelectorAll('.region-fields').forEach(el => {
+        el.hidden = el.dataset.region !== regionTypeSelect.value;
+    });
+}
+
+// Built-in presets first, then the ones saved in this browser
+function savedPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function storePresets(presets) {
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+        console.warn("Could not save scenario presets:", e.message);
+    }
+}
+
+function presetFor(value) {
+    const [group, index] = value.split(':');
+    if (group === 'builtin') return PRESETS[index];
+    if (group === 'saved') return normalizeScenario(savedPresets()[index]);
+    return null;
+}
+
+function renderPresetOptions(selected = '') {
+    const groups = [
+        ["Built-in", PRESETS.map((p, i) => [`builtin:${i}`, p.name])],
+        ["Saved", savedPresets().map((p, i) => [`saved:${i}`, p.name])]
+    ];
+    scenarioPresetSelect.innerHTML = `<option value="">Custom</option>` + groups
+        .filter(([, options]) => options.length > 0)
+        .map(([label, options]) => `<optgroup label="${label}">${options
+            .map(([value, name]) => `<option value="${value}">${escapeHtml(name)}</option>`).join("")}</optgroup>`)
+        .join("");
+    scenarioPresetSelect.value = selected;
+    document.getElementById('btn-delete-scenario').disabled = !selected.startsWith('saved:');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Editing any field makes the form a custom scenario
+function markScenarioCustom() {
+    scenarioPresetSelect.value = '';
+    document.getElementById('btn-delete-scenario').disabled = true;
+}
+
+function writeScenarioForm(s) {
+    document.querySelectorAll('#scenario-editor [data-field]').forEach(el => {
+        const [group, key] = el.dataset.field.split('.');
+        const source = group === 'region' ? (s.region && s.region.type === 'bbox' ? s.region : {}) : s[group];
+        const value = key ? source[key] : source;
+        el.value = value ?? '';
+    });
+    regionTypeSelect.value = s.region ? s.region.type : '';
+    if (s.region && s.region.type === 'basin') regionBasinSelect.value = s.region.basin;
+    formRegionRing = s.region && s.region.type === 'polygon' ? s.region.ring : null;
+    showRegionFields();
+    updateRegionInfo();
+}
+
+// Partial scenario from the form, for normalizeScenario to check
+function readScenarioForm() {
+    const preset = scenarioPresetSelect.value ? presetFor(scenarioPresetSelect.value) : null;
+    const input = { name: preset ? preset.name : "Custom", zones: {}, temperature: {}, region: null };
+    const bbox = { type: 'bbox' };
+    document.querySelectorAll('#scenario-editor [data-field]').forEach(el => {
+        const [group, key] = el.dataset.field.split('.');
+        const value = el.value === '' ? undefined : Number(el.value);
+        if (group === 'region') bbox[key] = value;
+        else if (key) input[group][key] = value;
+        else input[group] = value;
+    });
+    switch (regionTypeSelect.value) {
+        case 'bbox': input.region = bbox; break;
+        case 'polygon': input.region = { type: 'polygon', ring: formRegionRing }; break;
+        case 'basin': input.region = { type: 'basin', basin: regionBasinSelect.value }; break;
+    }
+    return input;
+}
+
+// Checked scenario from the form, or null with the reason shown
+function checkedScenarioForm() {
+    try {
+        const next = normalizeScenario(readScenarioForm());
+        regionSampler(next.region); // Refuses regions too small or too dry to drop into, without drawing
+        elScenarioError.textContent = "";
+        return next;
+    } catch (e) {
+        elScenarioError.textContent = e.message;
+        return null;
+    }
+}
+
+// New scenario: restart the live run with it
+function applyScenario() {
+    if (drawingRegion) toggleRegionDrawing();
+    const next = checkedScenarioForm();
+    if (!next) return;
+    scenario = next;
+    applyRunOptions();
+    updateScenarioLabels();
+    drawRegion();
+}
+
+function saveScenarioPreset() {
+    if (drawingRegion) toggleRegionDrawing();
+    const next = checkedScenarioForm();
+    if (!next) return;
+    const name = window.prompt("Preset name:", next.name === "Custom" ? "" : next.name);
+    if (!name) return;
+    const presets = savedPresets().filter(p => p.name !== name);
+    presets.push(Object.assign(next, { name }));
+    storePresets(presets);
+    renderPresetOptions(`saved:${presets.length - 1}`);
+}
+
+function deleteScenarioPreset() {
+    const [group, index] = scenarioPresetSelect.value.split(':');
+    if (group !== 'saved') return; // Built-ins stay
+    const presets = savedPresets();
+    presets.splice(index, 1);
+    storePresets(presets);
+    renderPresetOptions();
+}
+
+function setupScenarioEditor() {
+    regionBasinSelect.innerHTML = Object.entries(BASINS)
+        .map(([key, basin]) => `<option value="${key}">${basin.name}</option>`).join("");
+    renderPresetOptions('builtin:0');
+    writeScenarioForm(scenario);
+
+    scenarioPresetSelect.addEventListener('change', () => {
+        const preset = scenarioPresetSelect.value ? presetFor(scenarioPresetSelect.value) : null;
+        if (preset) writeScenarioForm(preset);
+        renderPresetOptions(scenarioPresetSelect.value);
+        elScenarioError.textContent = "";
+    });
+    document.querySelectorAll('#scenario-editor [data-field], #region-basin').forEach(el => {
+        el.addEventListener('input', markScenarioCustom);
+    });
+    regionTypeSelect.addEventListener('change', () => {
+        if (drawingRegion) toggleRegionDrawing();
+        showRegionFields();
+        markScenarioCustom();
+    });
+    btnDrawRegion.addEventListener('click', toggleRegionDrawing);
+    document.getElementById('btn-apply-scenario').addEventListener('click', applyScenario);
+    document.getElementById('btn-save-scenario').addEventListener('click', saveScenarioPreset);
+    document.getElementById('btn-delete-scenario').addEventListener('click', deleteScenarioPreset);
+
+    updateScenarioLabels();
+    drawRegion();
+}
+
+// --- Session history ---
+const CHECKPOINT_MS = 5000; // The live run is saved at most this often while it changes
+const HISTORY_LIMIT = 20; // Older runs are dropped from the history
+const sessionStore = SessionStore.isAvailable() ? new SessionStore() : null;
+let runId = null; // History id of the live run; a restarted run gets a new one
+let runCreated = null;
+let checkpointDirty = false; // Live run changed since the last checkpoint
+let checkpointSaving = false;
+
+const historyPanel = document.getElementById('history-panel');
+const resumeBar = document.getElementById('resume-bar');
+
+// Hex cell filters hold projected cells and don't survive a reload
+function persistableFilter(filter) {
+    return filter && !filter.cell ? filter : null;
+}
+
+// Save the live run with its setup and view to the history (never while replaying)
+async function checkpointRun() {
+    if (!sessionStore || !sim || liveSim || sim.currentDay === 0 || checkpointSaving) return;
+    if (!runId) {
+        runId = `${Date.now()}-${sim.seed}`;
+        runCreated = Date.now();
+    }
+    checkpointDirty = false;
+    checkpointSaving = true;
+    const record = Object.assign(sim.checkpoint(), {
+        id: runId,
+        created: runCreated,
+        updated: Date.now(),
+        totalDays: sim.totalDays,
+        scenario,
+        options: { lakes: lakesToggle.checked, drift: driftToggle.checked, resolution: landResolution },
+        filter: persistableFilter(currentFilter),
+        sort: currentSort
+    });
+    try {
+        await sessionStore.save(record);
+        await renderHistory(true);
+    } catch (e) {
+        console.warn("Could not save run checkpoint:", e.message);
+    }
+    checkpointSaving = false;
+}
+
+// "seed 42, One Year, day 120 / 365, 14:03"
+function describeHistoryRun(run) {
+    const setup = [
+        run.scenario && run.scenario.name !== DEFAULT_SCENARIO.name && run.scenario.name,
+        run.options && run.options.lakes && "lakes",
+        run.options && run.options.drift && "drift",
+        run.options && run.options.resolution === '50m' && "50m coastlines"
+    ].filter(Boolean).join(", ");
+    const updated = new Date(run.updated);
+    const when = updated.toDateString() === new Date().toDateString()
+        ? updated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : updated.toLocaleDateString();
+    return `Seed ${run.seed}${setup ? ` (${setup})` : ""}, day ${run.currentDay} / ${run.totalDays}, ${when}`;
+}
+
+// History list, newest first; prune drops runs beyond HISTORY_LIMIT
+async function renderHistory(prune = false) {
+    let runs = await sessionStore.list();
+    if (prune && runs.length > HISTORY_LIMIT) {
+        await Promise.all(runs.slice(HISTORY_LIMIT).map(run => sessionStore.delete(run.id)));
+        runs = runs.slice(0, HISTORY_LIMIT);
+    }
+    document.getElementById('history-count').textContent = runs.length;
+    d3.select("#history-list")
+        .selectAll("li")
+        .data(runs, run => run.id)
+        .join(enter => {
+            const li = enter.append("li");
+            li.append("span").attr("class", "history-label");
+            li.append("button").attr("class", "history-open").text("Open");
+            li.append("button").attr("class", "history-delete").attr("title", "Delete from history").text("🗑");
+            return li;
+        })
+        .classed("current", run => run.id === runId)
+        .call(li => li.select(".history-label").text(describeHistoryRun))
+        .call(li => li.select(".history-open").on("click", (event, run) => openRun(run.id)))
+        .call(li => li.select(".history-delete").on("click", (event, run) => deleteRun(run.id)));
+    return runs;
+}
+
+async function deleteRun(id) {
+    try {
+        await sessionStore.delete(id);
+        if (id === runId) runId = null; // Saved again as a new entry at the next checkpoint
+        await renderHistory();
+    } catch (e) {
+        console.warn("Could not delete run:", e.message);
+    }
+}
+
+// Make a saved run the live one again: its setup first (which restarts the run),
+// then the checkpoint on top, then its filter and sort
+async function openRun(id) {
+    let record;
+    try {
+        record = await sessionStore.load(id);
+    } catch (e) {
+        console.warn("Could not load run:", e.message);
+        return;
+    }
+    if (!record) {
+        await renderHistory();
+        return;
+    }
+    if (liveSim) exitReplay();
+    sim.pause();
+    if (checkpointDirty) await checkpointRun(); // Keep the run being replaced
+
+    try {
+        scenario = normalizeScenario(record.scenario);
+    } catch (e) {
+        scenario = DEFAULT_SCENARIO;
+    }
+    const resolution = (record.options && record.options.resolution) || '10m';
+    const landChanged = resolution !== landResolution && await useLandResolution(resolution);
+    lakesToggle.checked = !!(record.options && record.options.lakes);
+    driftToggle.checked = !!currents && !!(record.options && record.options.drift);
+    applyRunOptions(landChanged);
+    sim.restore(record);
+    runId = record.id;
+    runCreated = record.created;
+
+    writeScenarioForm(scenario);
+    renderPresetOptions();
+    updateScenarioLabels();
+    drawRegion();
+    updateSeedDisplay();
+
+    currentSort = record.sort || 'day';
+    document.querySelectorAll('.sort-btn[data-sort]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.sort === currentSort);
+    });
+    clearFilter();
+    currentFilter = record.filter || null;
+    rebuildFromDrops();
+    checkpointDirty = false;
+
+    const finished = sim.currentDay >= sim.totalDays;
+    elStatus.textContent = finished ? `Finished ${formatDuration(sim.totalDays)}` : "Resumed";
+    btnStart.disabled = finished;
+    btnPause.disabled = true;
+    resumeBar.hidden = true;
+    await renderHistory();
+}
+
+// History panel, periodic checkpoints and the offer to resume the last unfinished run
+async function setupHistory() {
+    if (!sessionStore) {
+        historyPanel.hidden = true;
+        return;
+    }
+
+    setInterval(() => {
+        if (checkpointDirty) checkpointRun();
+    }, CHECKPOINT_MS);
+    // Last chance before a reload or tab close (best effort, the page may be gone first)
+    window.addEventListener('pagehide', () => {
+        if (checkpointDirty) checkpointRun();
+    });
+
+    let runs;
+    try {
+        runs = await renderHistory(true);
+    } catch (e) {
+        console.warn("Run history unavailable:", e.message);
+        historyPanel.hidden = true;
+        return;
+    }
+
+    const last = runs[0];
+    if (!last || last.currentDay >= last.totalDays) return;
+    document.getElementById('resume-text').textContent = `Resume your last run? ${describeHistoryRun(last)}`;
+    resumeBar.hidden = false;
+    document.getElementById('btn-resume').addEventListener('click', () => openRun(last.id));
+    document.getElementById('btn-dismiss-resume').addEventListener('click', () => { resumeBar.hidden = true; });
+}
+
+// --- Drop inspector ---
+const INSPECTOR_SIZE = 240; // Mini-map viewBox (square)
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+let inspectedDrop = null;
+
+const inspector = document.getElementById('inspector');
+const inspectorMap = d3.select("#inspector-map")
+    .attr("viewBox", `0 0 ${INSPECTOR_SIZE} ${INSPECTOR_SIZE}`);
+
+function compassPoint(bearing) {
+    return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+function formatKmPrecise(km) {
+    return km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+}
+
+// Drops carry their country when the run had country data; older runs are looked up here
+function nearestCountryName(drop) {
+    if (drop.jurisdiction && drop.jurisdiction.country) return drop.jurisdiction.country;
+    const index = getCountryIndex();
+    if (!index) return null;
+    const coast = drop.nearestCoast || drop;
+    const country = nearestCountry(index, coast.lat, coast.lon);
+    return country ? country.name : null;
+}
+
+// "Norwegian Exclusive Economic Zone" / "International waters", or null without EEZ data
+function describeWaters(drop) {
+    const jurisdiction = drop.jurisdiction;
+    if (!jurisdiction || !jurisdiction.zone) return null;
+    if (jurisdiction.zone === 'EEZ') return jurisdiction.eez;
+    if (jurisdiction.zone === 'HIGH_SEAS') return INTERNATIONAL_WATERS;
+    return "Inland";
+}
+
+// Show a drop's details, mark its nearest coastline point on the map
+function inspectDrop(drop) {
+    inspectedDrop = drop;
+    const zone = ZONES[drop.locationType] || ZONES.DEEP_OCEAN;
+    const coast = drop.nearestCoast;
+    const bearing = coast ? initialBearing(drop.lat, drop.lon, coast.lat, coast.lon) : null;
+    const country = nearestCountryName(drop);
+    const waters = describeWaters(drop);
+
+    const rows = [
+        ["Position", `${drop.lat.toFixed(5)}, ${drop.lon.toFixed(5)}`],
+        ["DMS", toDms(drop.lat, drop.lon)],
+        ["UTM", formatUtm(toUtm(drop.lat, drop.lon)) || "-- (polar)"],
+        ["Geohash", encodeGeohash(drop.lat, drop.lon)],
+        ["Zone", zone.label],
+        ["Nearest Coast", coast ? `${formatKmPrecise(drop.distanceKm)} at ${Math.round(bearing)}° ${compassPoint(bearing)}` : "--"],
+        ["Coast Point", coast ? `${coast.lat.toFixed(4)}, ${coast.lon.toFixed(4)}` : "--"],
+        ["Nearest Country", country || (countryFeatures ? "--" : "-- (needs data/world-50m.json)")],
+        ["Waters", waters || (eezFeatures ? "--" : "-- (needs data/eez.json)")],
+        ["Basin", drop.basin || "--"],
+        ["Temperature", `${drop.temp.toFixed(1)}°C`],
+        ["Depth", drop.depthM !== null && drop.depthM !== undefined ? `${Math.round(drop.depthM)}m` : "--"],
+        ["Outcome", drop.outcome ? `${drop.outcome === 'SURVIVED' ? "Reached shore" : "Succumbed"} after ${formatHours(drop.outcomeHours)}` : "--"]
+    ];
+    if (drop.drift) rows.push(["Drift", `${drop.drift.outcome.toLowerCase().replace('_', ' ')} after ${formatHours(drop.drift.hours)}`]);
+
+    document.getElementById('inspector-title').textContent = `Day ${drop.day}`;
+    document.getElementById('inspector-details').replaceChildren(...rows.flatMap(([label, value]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+    inspector.hidden = false;
+
+    drawInspectMarks();
+    drawInspectorMap(drop);
+}
+
+function closeInspector() {
+    inspectedDrop = null;
+    inspector.hidden = true;
+    drawInspectMarks();
+}
+
+// Drop and its nearest coastline point (with the line between them) on the main map
+function drawInspectMarks() {
+    const drop = inspectedDrop;
+    const coast = drop && drop.nearestCoast;
+    inspectLink.datum(coast ? { type: "LineString", coordinates: [[drop.lon, drop.lat], [coast.lon, coast.lat]] } : null)
+        .attr("d", path);
+    inspectPoints.datum(drop ? { type: "MultiPoint", coordinates: [[drop.lon, drop.lat], ...(coast ? [[coast.lon, coast.lat]] : [])] } : null)
+        .attr("d", path);
+}
+
+// Zoomed mini-map centred between drop and coast, wide enough to show both
+function drawInspectorMap(drop) {
+    const coast = drop.nearestCoast;
+    const center = coast
+        ? d3.geoInterpolate([drop.lon, drop.lat], [coast.lon, coast.lat])(0.5)
+        : [drop.lon, drop.lat];
+    const radius = Math.min(60, Math.max(0.5, (drop.distanceKm || 0) / 111 * 0.8)); // Degrees
+    const miniProjection = d3.geoAzimuthalEquidistant()
+        .rotate([-center[0], -center[1]])
+        .clipAngle(Math.min(170, radius * 2))
+        .fitExtent([[8, 8], [INSPECTOR_SIZE - 8, INSPECTOR_SIZE - 8]], d3.geoCircle().center(center).radius(radius)());
+    const miniPath = d3.geoPath(miniProjection);
+
+    inspectorMap.selectAll("*").remove();
+    // Same trick as the main map: sphere in land colour, the land path covers the ocean
+    inspectorMap.append("path").attr("class", "mini-sphere").attr("d", miniPath({ type: "Sphere" }));
+    if (landFeatures) inspectorMap.append("path").attr("class", "mini-land").attr("d", miniPath(detailFeatures || landFeatures));
+    inspectorMap.append("path").attr("class", "mini-graticule").attr("d", miniPath(d3.geoGraticule10()));
+    if (coast) {
+        inspectorMap.append("path")
+            .attr("class", "inspect-link")
+            .attr("d", miniPath({ type: "LineString", coordinates: [[drop.lon, drop.lat], [coast.lon, coast.lat]] }));
+        const coastXY = miniProjection([coast.lon, coast.lat]);
+        inspectorMap.append("circle").attr("class", "mini-coast").attr("r", 3.5)
+            .attr("cx", coastXY[0]).attr("cy", coastXY[1]);
+    }
+    const dropXY = miniProjection([drop.lon, drop.lat]);
+    inspectorMap.append("circle").attr("class", "mini-drop").attr("r", 4.5)
+        .attr("cx", dropXY[0]).attr("cy", dropXY[1])
+        .attr("fill", (ZONES[drop.locationType] || ZONES.DEEP_OCEAN).color);
+    inspectorMap.append("text").attr("class", "mini-scale")
+        .attr("x", INSPECTOR_SIZE - 8).attr("y", INSPECTOR_SIZE - 8)
+        .text(`${Math.round(radius * 2 * 111)} km across`);
 }
 
 // --- Sorting ---
@@ -873,23 +2375,14 @@ function sortAndRenderLog() {
 
 function renderLogEntry(drop) {
     const li = document.createElement('li');
+    li.dataset.day = drop.day;
     li.style.display = "flex";
     li.style.justifyContent = "space-between";
     li.style.alignItems = "center";
 
-    let locText = "DEEP OCEAN";
-    let colorStyle = "#0ea5e9";
-
-    if (drop.locationType === 'COASTAL') {
-        locText = "NEAR SHORE";
-        colorStyle = "#ef4444";
-    } else if (drop.locationType === 'SHELF') {
-        locText = "CONT. SHELF";
-        colorStyle = "#fbbf24";
-    } else if (drop.locationType === 'FAR') {
-        locText = "FAR OFFSHORE";
-        colorStyle = "#22c55e";
-    }
+    const zone = ZONES[drop.locationType] || ZONES.DEEP_OCEAN;
+    const locText = zone.label;
+    const colorStyle = zone.color;
 
     const textSpan = document.createElement('span');
     textSpan.style.color = colorStyle;
@@ -903,29 +2396,37 @@ function renderLogEntry(drop) {
         }
     }
 
-    textSpan.textContent = `Day ${drop.day}: ${locText} [${distText}] (${drop.lat.toFixed(1)}, ${drop.lon.toFixed(1)}) ${drop.temp.toFixed(1)}°C`;
+    textSpan.textContent = `Day ${drop.day}: ${locText} [${distText}${formatDepth(drop)}] (${drop.lat.toFixed(1)}, ${drop.lon.toFixed(1)})${formatBasin(drop)}${formatJurisdiction(drop)} ${drop.temp.toFixed(1)}°C ${formatOutcome(drop)} ${formatDrift(drop)}`;
 
     const mapBtn = document.createElement('button');
     mapBtn.textContent = "🗺️";
     mapBtn.title = "Open in Google Maps";
     mapBtn.className = "map-btn";
-    mapBtn.onclick = () => openGoogleMaps(drop.lat, drop.lon);
+    mapBtn.onclick = (event) => {
+        event.stopPropagation(); // Not an inspector click on the row
+        openGoogleMaps(drop.lat, drop.lon);
+    };
 
     li.appendChild(textSpan);
     li.appendChild(mapBtn);
+    li.addEventListener('click', () => inspectDrop(drop));
     elLog.appendChild(li);
 }
 
 // Initialize sort button listeners
 document.addEventListener('DOMContentLoaded', () => {
-    document.querySelectorAll('.sort-btn').forEach(btn => {
+    document.querySelectorAll('.sort-btn[data-sort]').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.sort-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.sort-btn[data-sort]').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             currentSort = btn.dataset.sort;
+            if (!liveSim) checkpointDirty = true;
             sortAndRenderLog();
         });
     });
+    document.querySelectorAll('.export-btn').forEach(btn => {
+        btn.addEventListener('click', () => exportRun(btn.dataset.format));
+    });
 });
 
 init();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Build data/bathymetry-grid.json from a CSV elevation/bathymetry grid.
+//
+// Input is any CSV with a header row naming latitude, longitude and elevation in metres
+// (negative below sea level), e.g. ETOPO 2022 or GEBCO exported from ERDDAP griddap as
+// .csv at a coarse stride. Values are averaged into cells of --res degrees and cells
+// whose mean is at or above sea level are stored as land (missing).
+//
+//   node bin/build-bathymetry-grid.js etopo-0.25deg.csv --res 0.25 --source "ETOPO 2022"
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodeBathymetryGrid } = require('../engine');
+const { accumulateCsvGrid, gridHeader, parseConverterArgs } = require('./lib/csv-grid');
+
+const USAGE = `Usage: build-bathymetry-grid <input.csv> [options]
+
+Options:
+  --out <file>      Output file (default: data/bathymetry-grid.json)
+  --res <deg>       Cell size in degrees (default: 0.5)
+  --source <text>   Dataset description stored in the file
+  -h, --help        Show this help
+`;
+
+async function main() {
+    let args;
+    try {
+        args = parseConverterArgs(process.argv.slice(2), {
+            out: path.join(__dirname, '..', 'data', 'bathymetry-grid.json'),
+            res: 0.5,
+            source: 'unknown',
+            monthly: false
+        });
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const grid = await accumulateCsvGrid(args.input, {
+        res: args.res,
+        monthly: false,
+        fields: { z: ['z', 'elevation', 'altitude', 'topo', 'topography', 'value'] }
+    });
+
+    // Elevation -> depth; land cells become missing so sampling near the coast only
+    // sees the sea
+    const depths = grid.values.z.map(z => (z < 0 ? -z : NaN));
+    const sea = depths.reduce((n, d) => n + (Number.isNaN(d) ? 0 : 1), 0);
+
+    const output = encodeBathymetryGrid(gridHeader(args.source, args.res, grid), depths);
+    fs.writeFileSync(args.out, JSON.stringify(output));
+    process.stderr.write(`${grid.rows} rows -> ${sea}/${depths.length} sea cells, wrote ${args.out}\n`);
+}
+
+main().catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+});
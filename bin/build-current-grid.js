@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Build data/currents-grid.json from a CSV surface-current climatology.
+//
+// Input is any CSV with a header row naming latitude, longitude, optionally a month
+// (1-12) or an ISO time, and the eastward/northward velocities in m/s, e.g. OSCAR or
+// Copernicus GLORYS surface currents exported from ERDDAP griddap as .csv. Values are
+// averaged into cells of --res degrees.
+//
+//   node bin/build-current-grid.js oscar-climatology.csv --source "OSCAR 1993-2022"
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodeCurrentGrid } = require('../engine');
+const { accumulateCsvGrid, gridHeader, parseConverterArgs } = require('./lib/csv-grid');
+
+const USAGE = `Usage: build-current-grid <input.csv> [options]
+
+Options:
+  --out <file>      Output file (default: data/currents-grid.json)
+  --res <deg>       Cell size in degrees (default: 1)
+  --source <text>   Dataset description stored in the file
+  --static          Average all months into one layer (input needs no month/time column)
+  -h, --help        Show this help
+`;
+
+async function main() {
+    let args;
+    try {
+        args = parseConverterArgs(process.argv.slice(2), {
+            out: path.join(__dirname, '..', 'data', 'currents-grid.json'),
+            res: 1,
+            source: 'unknown',
+            monthly: true
+        });
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const grid = await accumulateCsvGrid(args.input, {
+        res: args.res,
+        monthly: args.monthly,
+        fields: {
+            u: ['u', 'uo', 'water_u', 'u_current', 'eastward_velocity'],
+            v: ['v', 'vo', 'water_v', 'v_current', 'northward_velocity']
+        }
+    });
+
+    const output = encodeCurrentGrid(gridHeader(args.source, args.res, grid), grid.values.u, grid.values.v);
+    fs.writeFileSync(args.out, JSON.stringify(output));
+    process.stderr.write(`${grid.rows} rows -> ${grid.filled}/${grid.values.u.length} cells with data, wrote ${args.out}\n`);
+}
+
+main().catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Build data/bathymetry-grid.json from an idealized ocean-floor profile, for when no
+// measured bathymetry (see build-bathymetry-grid.js) is at hand.
+//
+// The depths are analytic, not measured: a continental margin that depends only on the
+// distance to the nearest coast (shelf out to ~80 km, slope down to 3000 m by ~180 km,
+// rise to a 4800 m abyssal plain by ~700 km), the major subduction trenches as hand-traced
+// axes that deepen the floor within ~100 km of them, and the shallow marginal seas of
+// data/basins.json held to their mean depth. No ridges or seamounts. Enough for the
+// depth zones to land in the right places; replace it with ETOPO or GEBCO data for
+// anything quantitative.
+//
+//   node bin/build-idealized-bathymetry-grid.js --data data/land-50m.json
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodeBathymetryGrid, getDistanceToCoast, pointToSegmentDistance, createSeaIndex, lookupPolygon } = require('../engine');
+const { loadLandData } = require('./lib/land-file');
+const { buildLandMask } = require('./lib/land-mask');
+
+const USAGE = `Usage: build-idealized-bathymetry-grid [options]
+
+Options:
+  --data <file>     TopoJSON or precomputed land file for the land mask and coast
+                    distances (default: data/land-50m.json)
+  --basins <file>   Marginal seas GeoJSON, for the shallow ones (default: data/basins.json)
+  --out <file>      Output file (default: data/bathymetry-grid.json)
+  --res <deg>       Cell size in degrees (default: 1)
+  -h, --help        Show this help
+`;
+
+const SOURCE = 'Idealized continental margins, shelf seas and major trenches (analytic model, not observations)';
+
+// Depth (m) against distance to the coast (km), linear between the points
+const MARGIN_PROFILE = [[0, 20], [80, 150], [180, 3000], [700, 4800]];
+const TRENCH_HALF_WIDTH_KM = 100;
+
+// Marginal seas that sit on the shelf, by name in data/basins.json: mean depth (m)
+const SHELF_SEAS = {
+    'North Sea': 95,
+    'Baltic Sea': 55,
+    'Persian Gulf': 50,
+    'Hudson Bay': 125
+};
+
+// Trench axes as [lon, lat] points and their greatest depth (m)
+const TRENCHES = [
+    ['Mariana', 10900, [[147, 20], [146.5, 17], [145, 14], [142.5, 11.3], [140, 10]]],
+    ['Izu-Bonin', 9700, [[141.5, 34], [142, 31], [142.5, 28], [143, 25]]],
+    ['Japan', 8000, [[142.5, 34.5], [143.8, 37], [144.3, 40], [144.5, 41.5]]],
+    ['Kuril-Kamchatka', 9600, [[144.5, 41.5], [148, 43], [153, 46], [157, 50], [162, 54]]],
+    ['Aleutian', 7600, [[-150, 56.5], [-160, 53], [-170, 51], [180, 50.5], [172, 51]]],
+    ['Philippine', 10500, [[126.5, 13.5], [127, 10], [127, 6]]],
+    ['Sunda', 7400, [[94, 4], [98, -2], [103, -7.5], [110, -10.5], [118, -11], [122, -11]]],
+    ['Tonga', 10800, [[-173, -15.5], [-173.5, -19], [-174.5, -23], [-175.5, -26]]],
+    ['Kermadec', 10000, [[-175.5, -26], [-176.5, -30], [-177.5, -34], [-178.5, -37]]],
+    ['Middle America', 6600, [[-106, 18], [-100, 16], [-95, 14.5], [-91, 12.5]]],
+    ['Peru-Chile', 8000, [[-81.5, -5], [-78.5, -12], [-72, -20], [-71.5, -26], [-72.5, -33], [-74.5, -38]]],
+    ['Puerto Rico', 8400, [[-70, 19.8], [-66, 19.9], [-63, 19.5]]],
+    ['South Sandwich', 8200, [[-27, -55.5], [-25.5, -57], [-25.5, -59], [-27, -60.5]]]
+];
+
+function parseArgs(argv) {
+    const args = {
+        data: path.join(__dirname, '..', 'data', 'land-50m.json'),
+        basins: path.join(__dirname, '..', 'data', 'basins.json'),
+        out: path.join(__dirname, '..', 'data', 'bathymetry-grid.json'),
+        res: 1
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--data': args.data = next(); break;
+            case '--basins': args.basins = next(); break;
+            case '--out': args.out = next(); break;
+            case '--res': args.res = parseFloat(next()); break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (!(args.res > 0) || 180 % args.res !== 0) throw new Error('--res must divide 180');
+    return args;
+}
+
+function marginDepth(distanceKm) {
+    for (let k = 1; k < MARGIN_PROFILE.length; k++) {
+        const [d1, z1] = MARGIN_PROFILE[k];
+        if (distanceKm > d1) continue;
+        const [d0, z0] = MARGIN_PROFILE[k - 1];
+        return z0 + (z1 - z0) * (distanceKm - d0) / (d1 - d0);
+    }
+    return MARGIN_PROFILE[MARGIN_PROFILE.length - 1][1];
+}
+
+// Deepest trench floor reaching this point (Gaussian across the axis), 0 if none
+function trenchDepth(lat, lon) {
+    let deepest = 0;
+    for (const [, maxDepth, axis] of TRENCHES) {
+        for (let k = 1; k < axis.length; k++) {
+            const [lonA, latA] = axis[k - 1];
+            const [lonB, latB] = axis[k];
+            const distanceKm = pointToSegmentDistance(lat, lon, latA, lonA, latB, lonB);
+            if (distanceKm > 3 * TRENCH_HALF_WIDTH_KM) continue;
+            deepest = Math.max(deepest, maxDepth * Math.exp(-((distanceKm / TRENCH_HALF_WIDTH_KM) ** 2)));
+        }
+    }
+    return deepest;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    process.stderr.write(`Loading ${args.data}...\n`);
+    const land = loadLandData(args.data);
+    const { nLat, nLon, latAt, lonAt, isLand } = buildLandMask(land, args.res);
+    const seas = createSeaIndex(JSON.parse(fs.readFileSync(args.basins, 'utf8')));
+
+    // [lat][lon], land and lakes missing
+    const values = new Float32Array(nLat * nLon).fill(NaN);
+    let ocean = 0;
+    let trench = 0;
+    for (let i = 0; i < nLat; i++) {
+        const lat = latAt(i);
+        for (let j = 0; j < nLon; j++) {
+            if (isLand[i][j]) continue;
+            const lon = lonAt(j);
+            let depth = Math.max(marginDepth(getDistanceToCoast(lat, lon, land)), trenchDepth(lat, lon));
+            const sea = lookupPolygon(seas, lat, lon);
+            if (sea in SHELF_SEAS) depth = Math.min(depth, SHELF_SEAS[sea]);
+            values[i * nLon + j] = depth;
+            ocean++;
+            if (depth > 6000) trench++;
+        }
+    }
+
+    const header = { source: SOURCE, lat0: latAt(0), lon0: lonAt(0), dLat: args.res, dLon: args.res, nLat, nLon, months: 1 };
+    const text = JSON.stringify(encodeBathymetryGrid(header, values));
+    fs.writeFileSync(args.out, text);
+    process.stderr.write(`${ocean}/${nLat * nLon} ocean cells, ${trench} deeper than 6000 m, ` +
+        `wrote ${args.out} (${(text.length / 1024).toFixed(0)} KB)\n`);
+}
+
+main();
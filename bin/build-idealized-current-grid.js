@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// Build data/currents-grid.json from an idealized, wind-driven surface circulation, for
+// when no observed current climatology (see build-current-grid.js) is at hand.
+//
+// The field is analytic, not measured: a Stommel-style streamfunction per ocean basin
+// (clockwise subtropical gyres in the north, anticlockwise in the south, anticlockwise
+// subpolar gyres) with western boundary currents, plus the westward equatorial currents,
+// the eastward North Equatorial Countercurrent and the Antarctic Circumpolar Current.
+// Basins are the open-water spans of each latitude row of a land mask, so coasts shape
+// the gyres. Good enough to carry a survivor in the right general direction; replace it
+// with OSCAR or Copernicus data for anything quantitative.
+//
+//   node bin/build-idealized-current-grid.js --data data/land-50m.json
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EARTH_RADIUS_KM, encodeCurrentGrid } = require('../engine');
+const { loadLandData } = require('./lib/land-file');
+const { buildLandMask, rowSpans } = require('./lib/land-mask');
+
+const USAGE = `Usage: build-idealized-current-grid [options]
+
+Options:
+  --data <file>     TopoJSON or precomputed land file for the land mask
+                    (default: data/land-50m.json)
+  --out <file>      Output file (default: data/currents-grid.json)
+  --res <deg>       Cell size in degrees (default: 1)
+  -h, --help        Show this help
+`;
+
+const SOURCE = 'Idealized wind-driven gyres, equatorial currents and ACC (analytic model, not observations)';
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+const MIN_BARRIER_DEG = 3; // Narrower land (islands) doesn't split a basin
+const BOUNDARY_LAYER_KM = 250; // Width of the western boundary currents
+const GYRE_SCALE_KM = 5000; // Streamfunction scale: sets the boundary current speed
+const GYRE_SPEED = 0.05; // m/s; western boundary currents reach ~GYRE_SPEED * 20
+
+// Gyre bands: [south, north, sign]; +1 is clockwise seen from above
+const GYRES = [
+    [15, 45, 1], // North Atlantic / North Pacific subtropical
+    [45, 65, -0.6], // Subpolar
+    [-45, -15, -1] // Southern subtropical
+];
+
+function parseArgs(argv) {
+    const args = {
+        data: path.join(__dirname, '..', 'data', 'land-50m.json'),
+        out: path.join(__dirname, '..', 'data', 'currents-grid.json'),
+        res: 1
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--data': args.data = next(); break;
+            case '--out': args.out = next(); break;
+            case '--res': args.res = parseFloat(next()); break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (!(args.res > 0) || 180 % args.res !== 0) throw new Error('--res must divide 180');
+    return args;
+}
+
+// Gyre strength at a latitude: a half sine across each band, signed by its rotation
+function gyreProfile(lat) {
+    for (const [south, north, sign] of GYRES) {
+        if (lat > south && lat < north) return sign * Math.sin(Math.PI * (lat - south) / (north - south));
+    }
+    return 0;
+}
+
+// Zonal currents that run regardless of basin shape (m/s, eastward positive)
+function zonalCurrent(lat) {
+    const equatorial = -0.3 * Math.exp(-((lat / 6) ** 2));
+    const countercurrent = 0.25 * Math.exp(-(((lat - 7) / 2.5) ** 2));
+    const circumpolar = 0.25 * Math.exp(-(((lat + 55) / 6) ** 2));
+    return equatorial + countercurrent + circumpolar;
+}
+
+// Stommel-like zonal shape across a basin, 0 at both coasts, steep near the west one.
+// xi: 0 (west coast) .. 1 (east coast); widthKm: basin width
+function basinShape(xi, widthKm) {
+    return (1 - xi) * (1 - Math.exp(-xi * widthKm / BOUNDARY_LAYER_KM));
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    process.stderr.write(`Loading ${args.data}...\n`);
+    const land = loadLandData(args.data);
+    const res = args.res;
+    // Lakes count as land: no currents there
+    const { nLat, nLon, latAt, lonAt, isLand } = buildLandMask(land, res);
+
+    // Streamfunction (m/s * km), 0 on land and across basin-less rows
+    const psi = isLand.map((row, i) => {
+        const lat = latAt(i);
+        const profile = gyreProfile(lat);
+        const values = new Float64Array(nLon);
+        if (profile === 0) return values;
+        const kmPerCell = res * KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+        rowSpans(row, Math.ceil(MIN_BARRIER_DEG / res)).forEach(([west, width], j) => {
+            if (width === 0 || row[j]) return;
+            const xi = (((j - west + nLon) % nLon) + 0.5) / width;
+            values[j] = GYRE_SPEED * GYRE_SCALE_KM * profile * basinShape(xi, width * kmPerCell);
+        });
+        return values;
+    });
+
+    // u = -dpsi/dy, v = dpsi/dx by central differences, plus the zonal currents
+    const u = new Float32Array(nLat * nLon).fill(NaN);
+    const v = new Float32Array(nLat * nLon).fill(NaN);
+    const dyKm = 2 * res * KM_PER_DEGREE;
+    let ocean = 0;
+    for (let i = 0; i < nLat; i++) {
+        const lat = latAt(i);
+        const dxKm = 2 * res * KM_PER_DEGREE * Math.max(0.05, Math.cos(lat * Math.PI / 180));
+        for (let j = 0; j < nLon; j++) {
+            if (isLand[i][j]) continue;
+            const north = i + 1 < nLat ? psi[i + 1][j] : 0;
+            const south = i > 0 ? psi[i - 1][j] : 0;
+            const east = psi[i][(j + 1) % nLon];
+            const west = psi[i][(j - 1 + nLon) % nLon];
+            u[i * nLon + j] = -(north - south) / dyKm + zonalCurrent(lat);
+            v[i * nLon + j] = (east - west) / dxKm;
+            ocean++;
+        }
+    }
+
+    const header = { source: SOURCE, lat0: latAt(0), lon0: lonAt(0), dLat: res, dLon: res, nLat, nLon, months: 1 };
+    const text = JSON.stringify(encodeCurrentGrid(header, u, v));
+    fs.writeFileSync(args.out, text);
+
+    let maxSpeed = 0;
+    for (let k = 0; k < u.length; k++) {
+        if (!Number.isNaN(u[k])) maxSpeed = Math.max(maxSpeed, Math.hypot(u[k], v[k]));
+    }
+    process.stderr.write(`${ocean}/${nLat * nLon} ocean cells, max ${maxSpeed.toFixed(2)} m/s, ` +
+        `wrote ${args.out} (${(text.length / 1024).toFixed(0)} KB)\n`);
+}
+
+main();
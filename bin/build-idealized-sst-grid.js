@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Build data/sst-grid.json from an idealized monthly sea surface temperature model, for
+// when no observed climatology (see build-sst-grid.js) is at hand.
+//
+// The field is analytic, not measured: a zonal-mean profile (about 27.5 °C at the
+// equator down to the -1.8 °C freezing point near the poles), a seasonal cycle peaking
+// in August in the north and February in the south, strongest at mid-latitudes and
+// stronger in the north, and in the tropics and subtropics a warm west / cool east
+// contrast across each ocean basin (warm pools against upwelling coasts). Basins are the
+// open-water spans of each latitude row of a land mask. Land cells get the zonal value,
+// so coastal points never drop back to the cosine model. Closer than the cosine model;
+// replace it with OISST data for anything quantitative.
+//
+//   node bin/build-idealized-sst-grid.js --data data/land-50m.json
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodeSstGrid } = require('../engine');
+const { loadLandData } = require('./lib/land-file');
+const { buildLandMask, rowSpans } = require('./lib/land-mask');
+
+const USAGE = `Usage: build-idealized-sst-grid [options]
+
+Options:
+  --data <file>     TopoJSON or precomputed land file for the land mask
+                    (default: data/land-50m.json)
+  --out <file>      Output file (default: data/sst-grid.json)
+  --res <deg>       Cell size in degrees (default: 2)
+  -h, --help        Show this help
+`;
+
+const SOURCE = 'Idealized zonal SST with seasons and basin warm pools (analytic model, not observations)';
+
+const FREEZING_C = -1.8; // Sea water
+const EQUATOR_C = 27.5;
+const SEASONAL_AMPLITUDE_C = { north: 4, south: 2.5 }; // At 45°, tapering to 0 at equator and poles
+const WARMEST_DAY = { north: 227, south: 45 }; // Mid-August, mid-February
+const BASIN_CONTRAST_C = 2; // West coast warmer, east coast cooler, by this much
+const BASIN_CONTRAST_LAT = 40; // Contrast fades out towards this latitude
+const MIN_BARRIER_DEG = 3; // Narrower land (islands) doesn't split a basin
+
+function parseArgs(argv) {
+    const args = {
+        data: path.join(__dirname, '..', 'data', 'land-50m.json'),
+        out: path.join(__dirname, '..', 'data', 'sst-grid.json'),
+        res: 2
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--data': args.data = next(); break;
+            case '--out': args.out = next(); break;
+            case '--res': args.res = parseFloat(next()); break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (!(args.res > 0) || 180 % args.res !== 0) throw new Error('--res must divide 180');
+    return args;
+}
+
+// Annual-mean temperature by latitude
+function zonalTemperature(lat) {
+    const c = Math.cos(lat * Math.PI / 180);
+    return FREEZING_C + (EQUATOR_C - FREEZING_C) * c * c;
+}
+
+// Departure from the annual mean on a day of the year (0-364)
+function seasonalAnomaly(lat, dayOfYear) {
+    const hemisphere = lat >= 0 ? 'north' : 'south';
+    const amplitude = SEASONAL_AMPLITUDE_C[hemisphere] * Math.sin(2 * Math.abs(lat) * Math.PI / 180);
+    return amplitude * Math.cos(2 * Math.PI * (dayOfYear - WARMEST_DAY[hemisphere]) / 365);
+}
+
+// West-east contrast across a basin. xi: 0 (west coast) .. 1 (east coast)
+function basinAnomaly(lat, xi) {
+    if (Math.abs(lat) >= BASIN_CONTRAST_LAT) return 0;
+    const fade = Math.cos(Math.PI / 2 * lat / BASIN_CONTRAST_LAT) ** 2;
+    return BASIN_CONTRAST_C * fade * (1 - 2 * xi);
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    process.stderr.write(`Loading ${args.data}...\n`);
+    const land = loadLandData(args.data);
+    const res = args.res;
+    const { nLat, nLon, latAt, lonAt, isLand } = buildLandMask(land, res);
+
+    // Basin contrast per cell, 0 on land and across basin-less rows
+    const contrast = isLand.map((row, i) => {
+        const values = new Float64Array(nLon);
+        rowSpans(row, Math.ceil(MIN_BARRIER_DEG / res)).forEach(([west, width], j) => {
+            if (width === 0 || row[j]) return;
+            const xi = (((j - west + nLon) % nLon) + 0.5) / width;
+            values[j] = basinAnomaly(latAt(i), xi);
+        });
+        return values;
+    });
+
+    // [month][lat][lon], each month at its middle day
+    const values = new Float32Array(12 * nLat * nLon);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let month = 0; month < 12; month++) {
+        const day = (month + 0.5) * 365 / 12;
+        for (let i = 0; i < nLat; i++) {
+            const lat = latAt(i);
+            const base = zonalTemperature(lat) + seasonalAnomaly(lat, day);
+            for (let j = 0; j < nLon; j++) {
+                const temp = Math.max(FREEZING_C, base + contrast[i][j]);
+                values[(month * nLat + i) * nLon + j] = temp;
+                min = Math.min(min, temp);
+                max = Math.max(max, temp);
+            }
+        }
+    }
+
+    const header = { source: SOURCE, lat0: latAt(0), lon0: lonAt(0), dLat: res, dLon: res, nLat, nLon, months: 12 };
+    const text = JSON.stringify(encodeSstGrid(header, values));
+    fs.writeFileSync(args.out, text);
+    process.stderr.write(`${nLat}x${nLon} cells x 12 months, ${min.toFixed(1)}..${max.toFixed(1)} °C, ` +
+        `wrote ${args.out} (${(text.length / 1024).toFixed(0)} KB)\n`);
+}
+
+main();
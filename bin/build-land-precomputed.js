@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Build data/land-precomputed.json from a land TopoJSON file (land-10m.json or land-50m.json).
+//
+// The output holds structured polygons, the coastline index's segment order and a
+// checksum; the page validates format, version and checksum on load and falls
+// back to extracting polygons from TopoJSON when they don't match.
+//
+//   node bin/build-land-precomputed.js data/land-10m.json
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+const { buildPrecomputedLand, parsePrecomputedLand } = require('../engine');
+
+const USAGE = `Usage: build-land-precomputed [input.json] [options]
+
+Options:
+  --out <file>        Output file (default: data/land-precomputed.json)
+  --precision <n>     Decimal places kept in coordinates (default: 6, ~0.1 m)
+  --source <text>     Dataset description stored in the file (default: input file name)
+  -h, --help          Show this help
+`;
+
+function parseArgs(argv) {
+    const args = {
+        input: path.join(__dirname, '..', 'data', 'land-10m.json'),
+        out: path.join(__dirname, '..', 'data', 'land-precomputed.json'),
+        precision: 6,
+        source: null
+    };
+    let inputSet = false;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--out': args.out = next(); break;
+            case '--precision': args.precision = parseInt(next(), 10); break;
+            case '--source': args.source = next(); break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('-') || inputSet) throw new Error(`Unknown option: ${arg}`);
+                args.input = arg;
+                inputSet = true;
+        }
+    }
+    if (!Number.isInteger(args.precision) || args.precision < 0 || args.precision > 10) {
+        throw new Error('--precision must be an integer from 0 to 10');
+    }
+    return args;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    process.stderr.write(`Loading ${args.input}...\n`);
+    const world = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+    if (!world.objects || !world.objects.land) throw new Error(`${args.input} has no "land" object`);
+    const landFeatures = topojson.feature(world, world.objects.land);
+
+    const output = buildPrecomputedLand(landFeatures, {
+        source: args.source || path.basename(args.input),
+        precision: args.precision
+    });
+    const text = JSON.stringify(output);
+
+    // Read it back the way the page does, so a broken file never gets written
+    parsePrecomputedLand(JSON.parse(text));
+    fs.writeFileSync(args.out, text);
+
+    const { counts } = output;
+    process.stderr.write(`${counts.polygons} polygons, ${counts.holes} holes, ${counts.points} points, ` +
+        `${output.coastIndex.segmentCount} indexed segments (${output.checksum}), ` +
+        `wrote ${args.out} (${(text.length / 1048576).toFixed(1)} MB)\n`);
+}
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
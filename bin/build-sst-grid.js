@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Build data/sst-grid.json from a CSV sea surface temperature climatology.
+//
+// Input is any CSV with a header row naming latitude, longitude, month (1-12) or an
+// ISO time, and the temperature in °C, e.g. a NOAA OISST / ERSST monthly climatology
+// exported from ERDDAP griddap as .csv. Values are averaged into cells of --res degrees.
+//
+//   node bin/build-sst-grid.js sst-climatology.csv --source "NOAA OISST v2.1 1991-2020"
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { encodeSstGrid } = require('../engine');
+const { accumulateCsvGrid, gridHeader, parseConverterArgs } = require('./lib/csv-grid');
+
+const USAGE = `Usage: build-sst-grid <input.csv> [options]
+
+Options:
+  --out <file>      Output file (default: data/sst-grid.json)
+  --res <deg>       Cell size in degrees (default: 1)
+  --source <text>   Dataset description stored in the file
+  -h, --help        Show this help
+`;
+
+async function main() {
+    let args;
+    try {
+        args = parseConverterArgs(process.argv.slice(2), {
+            out: path.join(__dirname, '..', 'data', 'sst-grid.json'),
+            res: 1,
+            source: 'unknown',
+            monthly: true
+        });
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const grid = await accumulateCsvGrid(args.input, {
+        res: args.res,
+        monthly: true,
+        fields: { sst: ['sst', 'temp', 'temperature', 'value'] }
+    });
+
+    const output = encodeSstGrid(gridHeader(args.source, args.res, grid), grid.values.sst);
+    fs.writeFileSync(args.out, JSON.stringify(output));
+    process.stderr.write(`${grid.rows} rows -> ${grid.filled}/${grid.values.sst.length} cells with data, wrote ${args.out}\n`);
+}
+
+main().catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+});
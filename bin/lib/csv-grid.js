@@ -0,0 +1,136 @@
+// Shared CSV -> regular lat/lon grid accumulation for the bin/build-*-grid.js converters.
+//
+// Input is any CSV with a header row naming latitude, longitude, optionally a month
+// (1-12) or an ISO time, plus the value columns, e.g. an ERDDAP griddap .csv export.
+// Values are averaged into cells of `res` degrees.
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+
+const COORD_COLUMNS = {
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'longitude'],
+    month: ['month'],
+    time: ['time', 'date']
+};
+
+function findColumn(names, candidates) {
+    return names.findIndex(name => candidates.includes(name));
+}
+
+// fields: { name: [column name candidates] }; monthly: bin by month (12 layers) or not (1)
+// Resolves to { nLat, nLon, months, rows, filled, values: { name: Float32Array } } (NaN = no data)
+async function accumulateCsvGrid(file, { res, fields, monthly }) {
+    if (!(res > 0) || 180 % res !== 0) throw new Error('Cell size must divide 180');
+
+    const nLat = Math.round(180 / res);
+    const nLon = Math.round(360 / res);
+    const months = monthly ? 12 : 1;
+    const size = months * nLat * nLon;
+    const fieldNames = Object.keys(fields);
+    const sums = {};
+    fieldNames.forEach(name => { sums[name] = new Float64Array(size); });
+    const counts = new Uint32Array(size);
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file) });
+    let columns = null;
+    let rows = 0;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const cells = line.split(',');
+
+        if (!columns) {
+            const names = cells.map(h => h.trim().toLowerCase().replace(/^"|"$/g, ''));
+            columns = {};
+            Object.entries(COORD_COLUMNS).forEach(([key, candidates]) => {
+                columns[key] = findColumn(names, candidates);
+            });
+            fieldNames.forEach(name => { columns[name] = findColumn(names, fields[name]); });
+
+            const missing = ['lat', 'lon'].concat(fieldNames).filter(key => columns[key] < 0);
+            if (missing.length > 0) {
+                throw new Error(`CSV is missing columns for: ${missing.join(', ')} (got: ${names.join(', ')})`);
+            }
+            if (monthly && columns.month < 0 && columns.time < 0) {
+                throw new Error('CSV needs a month (1-12) or time column');
+            }
+            continue;
+        }
+
+        const lat = parseFloat(cells[columns.lat]);
+        let lon = parseFloat(cells[columns.lon]);
+        const fieldValues = fieldNames.map(name => parseFloat(cells[columns[name]]));
+        let month = 0;
+        if (monthly) {
+            month = columns.month >= 0
+                ? parseInt(cells[columns.month], 10) - 1
+                : new Date(cells[columns.time].replace(/"/g, '')).getUTCMonth();
+        }
+        // ERDDAP puts a units row under the header; it fails these checks and is skipped
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+        if (!fieldValues.every(Number.isFinite)) continue;
+        if (!(month >= 0 && month < months)) continue;
+
+        lon = ((lon + 180) % 360 + 360) % 360 - 180;
+        const y = Math.min(nLat - 1, Math.floor((lat + 90) / res));
+        const x = Math.min(nLon - 1, Math.floor((lon + 180) / res));
+        const i = (month * nLat + y) * nLon + x;
+        fieldNames.forEach((name, k) => { sums[name][i] += fieldValues[k]; });
+        counts[i]++;
+        rows++;
+    }
+
+    const values = {};
+    fieldNames.forEach(name => {
+        values[name] = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            values[name][i] = counts[i] > 0 ? sums[name][i] / counts[i] : NaN;
+        }
+    });
+    const filled = counts.reduce((n, c) => n + (c > 0 ? 1 : 0), 0);
+
+    return { nLat, nLon, months, rows, filled, values };
+}
+
+// Common grid header (see engine/grid.js) for a grid built with accumulateCsvGrid
+function gridHeader(source, res, grid) {
+    return {
+        source,
+        lat0: -90 + res / 2,
+        lon0: -180 + res / 2,
+        dLat: res,
+        dLon: res,
+        nLat: grid.nLat,
+        nLon: grid.nLon,
+        months: grid.months
+    };
+}
+
+// Minimal "<input> --flag value" parser shared by the converters
+function parseConverterArgs(argv, defaults) {
+    const args = Object.assign({ input: null }, defaults);
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--out': args.out = next(); break;
+            case '--res': args.res = parseFloat(next()); break;
+            case '--source': args.source = next(); break;
+            case '--static': args.monthly = false; break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('-') || args.input) throw new Error(`Unknown option: ${arg}`);
+                args.input = arg;
+        }
+    }
+    if (!args.help && !args.input) throw new Error('Missing input CSV');
+    return args;
+}
+
+module.exports = { accumulateCsvGrid, gridHeader, parseConverterArgs };
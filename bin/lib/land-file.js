@@ -0,0 +1,24 @@
+// Land data for the bin/ scripts from a TopoJSON land file (land-10m.json, land-50m.json)
+// or a precomputed file from build-land-precomputed.js, told apart by the format field.
+'use strict';
+
+const fs = require('fs');
+const topojson = require('topojson-client');
+const { extractLandData, createLandData, extractPolygons, PRECOMPUTED_FORMAT, parsePrecomputedLand } = require('../../engine');
+
+// lakesFile: optional GeoJSON of extra lake polygons
+function loadLandData(file, lakesFile) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const lakeFeatures = lakesFile ? JSON.parse(fs.readFileSync(lakesFile, 'utf8')) : null;
+    if (json.format === PRECOMPUTED_FORMAT) {
+        const precomputed = parsePrecomputedLand(json);
+        return createLandData(precomputed.polygons, {
+            lakes: extractPolygons(lakeFeatures),
+            coastIndexOrder: precomputed.coastIndexOrder
+        });
+    }
+    const landFeatures = topojson.feature(json, json.objects.land);
+    return extractLandData(landFeatures, { lakeFeatures });
+}
+
+module.exports = { loadLandData };
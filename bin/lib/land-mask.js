@@ -0,0 +1,53 @@
+// Cell-centre land mask on a regular global grid, and the open-water spans of its rows,
+// shared by the idealized grid builders (currents, SST, bathymetry).
+'use strict';
+
+const { locatePoint } = require('../../engine');
+
+// Grid of res-degree cells from (-90, -180): isLand[i][j] is 1 where the cell centre is
+// not open water (lakes count as land)
+function buildLandMask(land, res) {
+    const nLat = Math.round(180 / res);
+    const nLon = Math.round(360 / res);
+    const latAt = (i) => -90 + (i + 0.5) * res;
+    const lonAt = (j) => -180 + (j + 0.5) * res;
+
+    const isLand = [];
+    for (let i = 0; i < nLat; i++) {
+        const row = new Uint8Array(nLon);
+        for (let j = 0; j < nLon; j++) row[j] = locatePoint(lonAt(j), latAt(i), land) !== 'WATER' ? 1 : 0;
+        isLand.push(row);
+    }
+    return { res, nLat, nLon, latAt, lonAt, isLand };
+}
+
+// For one row of the land mask: [west, width] of the open-water span each column lies
+// in (width 0 on land, and for rows with no barrier at all, where no basin closes).
+// Land narrower than minBarrier columns (islands) doesn't split a span.
+function rowSpans(landRow, minBarrier) {
+    const n = landRow.length;
+    const barrier = new Uint8Array(n);
+    for (let j = 0; j < n; j++) {
+        if (!landRow[j] || barrier[j]) continue;
+        let end = j;
+        while (end - j < n && landRow[(end + 1) % n]) end++;
+        let start = j;
+        while (j - start < n && landRow[(start - 1 + n) % n]) start--;
+        if (end - start + 1 >= minBarrier) {
+            for (let k = start; k <= end; k++) barrier[(k + n) % n] = 1;
+        }
+    }
+
+    const spans = Array.from({ length: n }, () => [0, 0]);
+    if (!barrier.includes(1)) return spans;
+    for (let j = 0; j < n; j++) {
+        if (barrier[j] || barrier[(j - 1 + n) % n] === 0) continue;
+        // j starts a span: walk east to the next barrier
+        let width = 0;
+        while (!barrier[(j + width) % n]) width++;
+        for (let k = 0; k < width; k++) spans[(j + k) % n] = [j, width];
+    }
+    return spans;
+}
+
+module.exports = { buildLandMask, rowSpans };
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// Headless Monte Carlo runner: node bin/ocean-drop.js --runs 20 --format csv
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+const {
+    parseSstGrid, createTemperatureModel, parseBathymetryGrid, createDepthModel,
+    parseCurrentGrid, createDriftModel, createEezIndex, createJurisdictionModel, createSeaIndex, createBasinModel,
+    DEFAULT_SCENARIO, normalizeScenario, runBatch
+} = require('../engine');
+const { loadLandData } = require('./lib/land-file');
+
+const DEFAULT_SST = path.join(__dirname, '..', 'data', 'sst-grid.json');
+const DEFAULT_BATHYMETRY = path.join(__dirname, '..', 'data', 'bathymetry-grid.json');
+const DEFAULT_CURRENTS = path.join(__dirname, '..', 'data', 'currents-grid.json');
+const DEFAULT_BASINS = path.join(__dirname, '..', 'data', 'basins.json');
+
+const USAGE = `Usage: ocean-drop [options]
+
+Runs N independent drop simulations headlessly and prints aggregate statistics.
+
+Options:
+  --runs <n>       Number of independent simulations (default: 10)
+  --days <n>       Days per simulation (default: the scenario's, 1825)
+  --scenario <file>
+                   Scenario JSON as saved by the page's scenario editor: duration,
+                   zone thresholds, temperature bands and sampling region
+  --seed <n>       Batch seed; run i uses a seed derived from it (default: random)
+  --data <file>    TopoJSON land file or precomputed land file from
+                   build-land-precomputed.js (default: data/land-50m.json)
+  --format <fmt>   json | csv (default: json)
+  --sst <file>     SST grid (default: data/sst-grid.json if present, else cosine model)
+  --bathymetry <file>
+                   Depth grid for depth zones (default: data/bathymetry-grid.json if
+                   present, else distance bands)
+  --lakes          Treat lakes (polygon holes such as the Caspian) as droppable water
+  --lakes-data <file>
+                   Extra lake polygons as GeoJSON (e.g. Great Lakes); implies --lakes
+  --drift          Drift each drop with surface currents until landfall or death
+  --currents <file>
+                   Current grid for --drift (default: data/currents-grid.json)
+  --eez <file>     EEZ boundaries (GeoJSON or TopoJSON) for the share of drops in an
+                   EEZ and in international waters
+  --basins <file>  Marginal sea outlines (GeoJSON) for the share of drops per sea or
+                   ocean (default: data/basins.json if present, else oceans only)
+  --runs-detail    Include per-run metrics in JSON output
+  -h, --help       Show this help
+`;
+
+function parseArgs(argv) {
+    const args = {
+        runs: 10,
+        days: null,
+        scenario: null,
+        seed: null,
+        data: path.join(__dirname, '..', 'data', 'land-50m.json'),
+        format: 'json',
+        lakes: false,
+        lakesData: null,
+        sst: fs.existsSync(DEFAULT_SST) ? DEFAULT_SST : null,
+        bathymetry: fs.existsSync(DEFAULT_BATHYMETRY) ? DEFAULT_BATHYMETRY : null,
+        drift: false,
+        currents: DEFAULT_CURRENTS,
+        eez: null,
+        basins: fs.existsSync(DEFAULT_BASINS) ? DEFAULT_BASINS : null,
+        runsDetail: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--runs': args.runs = parseInt(next(), 10); break;
+            case '--days': args.days = parseInt(next(), 10); break;
+            case '--scenario': args.scenario = next(); break;
+            case '--seed': args.seed = next(); break;
+            case '--data': args.data = next(); break;
+            case '--format': args.format = next(); break;
+            case '--sst': args.sst = next(); break;
+            case '--bathymetry': args.bathymetry = next(); break;
+            case '--lakes': args.lakes = true; break;
+            case '--lakes-data': args.lakesData = next(); args.lakes = true; break;
+            case '--drift': args.drift = true; break;
+            case '--currents': args.currents = next(); args.drift = true; break;
+            case '--eez': args.eez = next(); break;
+            case '--basins': args.basins = next(); break;
+            case '--runs-detail': args.runsDetail = true; break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(args.runs) || args.runs < 1) throw new Error('--runs must be a positive integer');
+    if (args.days !== null && (!Number.isInteger(args.days) || args.days < 1)) throw new Error('--days must be a positive integer');
+    if (args.format !== 'json' && args.format !== 'csv') throw new Error('--format must be json or csv');
+    return args;
+}
+
+function loadScenario(file) {
+    if (!file) return DEFAULT_SCENARIO;
+    const scenario = normalizeScenario(JSON.parse(fs.readFileSync(file, 'utf8')));
+    process.stderr.write(`Scenario: ${scenario.name} (${scenario.totalDays} days${scenario.region ? `, ${scenario.region.type} region` : ''})\n`);
+    return scenario;
+}
+
+function loadTemperatureModel(file) {
+    if (!file) return createTemperatureModel(null);
+    const grid = parseSstGrid(JSON.parse(fs.readFileSync(file, 'utf8')));
+    process.stderr.write(`SST grid: ${grid.source} (${grid.nLat}x${grid.nLon}, ${grid.months} months)\n`);
+    return createTemperatureModel(grid);
+}
+
+function loadDepthModel(file) {
+    if (!file) return null;
+    const grid = parseBathymetryGrid(JSON.parse(fs.readFileSync(file, 'utf8')));
+    process.stderr.write(`Bathymetry: ${grid.source} (${grid.nLat}x${grid.nLon})\n`);
+    return createDepthModel(grid);
+}
+
+// Landfall is reaching the scenario's coastal zone
+function loadDriftModel(file, land, coastalKm) {
+    const currents = parseCurrentGrid(JSON.parse(fs.readFileSync(file, 'utf8')));
+    process.stderr.write(`Currents: ${currents.source} (${currents.nLat}x${currents.nLon}, ${currents.months} months)\n`);
+    return createDriftModel(currents, land, { coastalKm });
+}
+
+function loadJurisdictionModel(file) {
+    if (!file) return null;
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const features = json.type === 'Topology'
+        ? topojson.feature(json, json.objects[Object.keys(json.objects)[0]])
+        : json;
+    const eezIndex = createEezIndex(features);
+    process.stderr.write(`EEZs: ${eezIndex.entries.length} polygons\n`);
+    return createJurisdictionModel(null, eezIndex);
+}
+
+// Seas from the outlines first, then the ocean basins; oceans only without a file
+function loadBasinModel(file) {
+    if (!file) return createBasinModel(null);
+    const seaIndex = createSeaIndex(JSON.parse(fs.readFileSync(file, 'utf8')));
+    process.stderr.write(`Seas: ${seaIndex.entries.length} polygons\n`);
+    return createBasinModel(seaIndex);
+}
+
+// Metrics no run had a value for (null) get empty cells
+function toCsv(result) {
+    const lines = ['metric,mean,sd,ci95_low,ci95_high,min,max'];
+    Object.entries(result.summary.metrics).forEach(([name, s]) => {
+        const cells = [s.mean, s.sd, s.ci95Low, s.ci95High, s.min, s.max].map(v => v === null ? '' : v);
+        lines.push([name, ...cells].join(','));
+    });
+    return lines.join('\n');
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    // A missing or malformed data file names the file and exits, like a bad scenario
+    const loadOrExit = (label, file, load) => {
+        try {
+            return load();
+        } catch (err) {
+            process.stderr.write(`${label} ${file}: ${err.message}\n`);
+            process.exit(1);
+        }
+    };
+
+    const scenario = loadOrExit('Scenario', args.scenario, () => loadScenario(args.scenario));
+
+    process.stderr.write(`Loading ${args.data}...\n`);
+    const land = loadOrExit('Land data', args.data, () => loadLandData(args.data, args.lakesData));
+    process.stderr.write(`${land.coastlineCoords.length} coastline points, ${land.polygons.length} polygons\n`);
+    const temperatureModel = loadOrExit('SST grid', args.sst, () => loadTemperatureModel(args.sst));
+    const depthModel = loadOrExit('Bathymetry', args.bathymetry, () => loadDepthModel(args.bathymetry));
+    const driftModel = args.drift
+        ? loadOrExit('Currents', args.currents, () => loadDriftModel(args.currents, land, scenario.zones.coastalKm))
+        : null;
+    const jurisdictionModel = loadOrExit('EEZs', args.eez, () => loadJurisdictionModel(args.eez));
+    const basinModel = loadOrExit('Seas', args.basins, () => loadBasinModel(args.basins));
+
+    let result;
+    try {
+        result = runBatch({
+            runs: args.runs,
+            totalDays: args.days ?? scenario.totalDays,
+            scenario,
+            seed: args.seed,
+            land,
+            lakes: args.lakes,
+            depthModel,
+            temperatureModel,
+            driftModel,
+            jurisdictionModel,
+            basinModel,
+            onProgress: (done, total) => process.stderr.write(`\rRun ${done}/${total}`)
+        });
+    } catch (err) {
+        // E.g. a scenario region with no water: no run can complete
+        process.stderr.write(`\nSimulation failed: ${err.message}\n`);
+        process.exit(1);
+    }
+    process.stderr.write('\n');
+
+    if (args.format === 'csv') {
+        process.stdout.write(toCsv(result) + '\n');
+        return;
+    }
+
+    const output = {
+        seed: result.seed,
+        totalDays: result.totalDays,
+        scenario: scenario.name,
+        data: path.basename(args.data),
+        lakes: args.lakes,
+        sst: args.sst ? path.basename(args.sst) : 'cosine',
+        bathymetry: args.bathymetry ? path.basename(args.bathymetry) : null,
+        currents: args.drift ? path.basename(args.currents) : null,
+        eez: args.eez ? path.basename(args.eez) : null,
+        basins: args.basins ? path.basename(args.basins) : null,
+        summary: result.summary
+    };
+    if (args.runsDetail) output.runs = result.runs;
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+}
+
+main();
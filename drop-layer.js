@@ -0,0 +1,237 @@
+// Canvas drop layer: draws drops (and drift tracks) on a canvas stacked over the map
+// SVG instead of one <circle> per drop, so runs with 100k+ drops stay smooth.
+// Coordinates are the SVG viewBox units; the d3 zoom transform is applied on draw.
+class DropLayer {
+    // options: { width, height (viewBox), projection, colorFor(drop) }
+    constructor(container, svgNode, options) {
+        this.svgNode = svgNode;
+        this.width = options.width;
+        this.height = options.height;
+        this.projection = options.projection;
+        this.colorFor = options.colorFor;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'drop-canvas';
+        container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d'); // null where canvas is unsupported
+        this.trackPath = d3.geoPath(this.projection, this.ctx);
+
+        this.points = []; // { drop, x, y, color } in viewBox units
+        this.grid = new Map(); // Hit-test buckets: cell key -> point indices
+        this.transform = d3.zoomIdentity;
+        this.match = null; // Filter predicate, null = show all
+        this.redrawPending = false;
+        this.visible = true;
+
+        this.resize();
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.resize()).observe(container);
+        } else {
+            window.addEventListener('resize', () => this.resize());
+        }
+    }
+
+    // Match the canvas to the on-screen SVG box, at device resolution
+    resize() {
+        const box = this.svgNode.getBoundingClientRect();
+        const parentBox = this.canvas.parentNode.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.style.left = `${box.left - parentBox.left}px`;
+        this.canvas.style.top = `${box.top - parentBox.top}px`;
+        this.canvas.style.width = `${box.width}px`;
+        this.canvas.style.height = `${box.height}px`;
+        this.canvas.width = Math.max(1, Math.round(box.width * dpr));
+        this.canvas.height = Math.max(1, Math.round(box.height * dpr));
+
+        // preserveAspectRatio="xMidYMid meet": uniform scale, centred
+        const scale = Math.min(box.width / this.width, box.height / this.height) || 1;
+        this.viewBox = {
+            scale: scale * dpr,
+            x: (box.width - this.width * scale) / 2 * dpr,
+            y: (box.height - this.height * scale) / 2 * dpr
+        };
+        this.redraw();
+    }
+
+    // Hidden while another map mode (e.g. hexbin) is showing; hidden drops can't be clicked
+    setVisible(visible) {
+        this.visible = visible;
+        this.canvas.style.display = visible ? '' : 'none';
+    }
+
+    setTransform(transform) {
+        this.transform = transform;
+        this.scheduleRedraw();
+    }
+
+    // predicate(drop) => boolean highlights matching drops and dims the rest; null clears
+    setFilter(predicate) {
+        this.match = predicate;
+        this.scheduleRedraw();
+    }
+
+    clear() {
+        this.points = [];
+        this.grid.clear();
+        this.redraw();
+    }
+
+    // Replace every drop at once (e.g. seeking through a replay) with a single redraw
+    setDrops(drops) {
+        this.points = [];
+        this.grid.clear();
+        drops.forEach(drop => this.push(drop));
+        this.scheduleRedraw();
+    }
+
+    // New projection (or a rotated one): re-project every drop
+    setProjection(projection) {
+        this.projection = projection;
+        this.trackPath = d3.geoPath(projection, this.ctx);
+        this.grid.clear();
+        this.points.forEach((point, index) => this.place(point, index));
+        this.scheduleRedraw();
+    }
+
+    // Project a point and index it for hit-testing; drops the projection clips away
+    // (e.g. the far side of the globe) are kept but not drawn
+    place(point, index) {
+        const projected = DropLayer.projectVisible(this.projection, [point.drop.lon, point.drop.lat]);
+        point.visible = !!projected;
+        if (!projected) return;
+        point.x = projected[0];
+        point.y = projected[1];
+
+        const key = this.cellKey(Math.floor(point.x / DropLayer.CELL), Math.floor(point.y / DropLayer.CELL));
+        if (!this.grid.has(key)) this.grid.set(key, []);
+        this.grid.get(key).push(index);
+    }
+
+    push(drop) {
+        const point = { drop, x: 0, y: 0, visible: false, color: this.colorFor(drop) };
+        this.place(point, this.points.push(point) - 1);
+        return point;
+    }
+
+    add(drop) {
+        const point = this.push(drop);
+
+        // Draw just the new drop on top unless a full redraw is coming anyway
+        if (!this.redrawPending && this.ctx) {
+            this.applyTransform();
+            this.drawTrack(point);
+            this.drawPoints([point], !!this.match && !this.match(drop));
+        }
+    }
+
+    // Nearest drop to a point in viewBox units (e.g. d3.pointer on the zoom group), or null
+    hitTest(x, y) {
+        if (!this.visible) return null;
+        const tolerance = DropLayer.RADIUS_ACTIVE + 2 / this.transform.k;
+        const cx0 = Math.floor((x - tolerance) / DropLayer.CELL);
+        const cx1 = Math.floor((x + tolerance) / DropLayer.CELL);
+        const cy0 = Math.floor((y - tolerance) / DropLayer.CELL);
+        const cy1 = Math.floor((y + tolerance) / DropLayer.CELL);
+
+        let best = null;
+        let bestDist = tolerance * tolerance;
+        for (let cx = cx0; cx <= cx1; cx++) {
+            for (let cy = cy0; cy <= cy1; cy++) {
+                (this.grid.get(this.cellKey(cx, cy)) || []).forEach(i => {
+                    const p = this.points[i];
+                    if (this.match && !this.match(p.drop)) return; // Dimmed drops are not clickable
+                    const d = (p.x - x) ** 2 + (p.y - y) ** 2;
+                    if (d <= bestDist) {
+                        bestDist = d;
+                        best = p.drop;
+                    }
+                });
+            }
+        }
+        return best;
+    }
+
+    cellKey(cx, cy) {
+        return cx * 100000 + cy;
+    }
+
+    scheduleRedraw() {
+        if (this.redrawPending) return;
+        this.redrawPending = true;
+        const run = () => {
+            this.redrawPending = false;
+            this.redraw();
+        };
+        if (typeof requestAnimationFrame !== 'undefined') requestAnimationFrame(run);
+        else setTimeout(run, 16);
+    }
+
+    applyTransform() {
+        const { scale, x, y } = this.viewBox;
+        const t = this.transform;
+        this.ctx.setTransform(scale * t.k, 0, 0, scale * t.k, x + scale * t.x, y + scale * t.y);
+    }
+
+    redraw() {
+        if (!this.ctx) return;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.applyTransform();
+
+        this.points.forEach(p => this.drawTrack(p));
+        if (!this.match) {
+            this.drawPoints(this.points);
+            return;
+        }
+        // Dimmed drops first so highlighted ones sit on top
+        this.drawPoints(this.points.filter(p => !this.match(p.drop)), true);
+        this.drawPoints(this.points.filter(p => this.match(p.drop)));
+    }
+
+    drawTrack(point) {
+        const drift = point.drop.drift;
+        if (!drift || drift.trajectory.length < 2) return;
+        const ctx = this.ctx;
+        ctx.beginPath();
+        this.trackPath({ type: 'LineString', coordinates: drift.trajectory });
+        ctx.globalAlpha = this.match && !this.match(point.drop) ? 0.1 : 0.7;
+        ctx.strokeStyle = drift.outcome === 'LANDFALL' ? '#facc15' : '#f97316';
+        ctx.lineWidth = 0.6;
+        ctx.stroke();
+    }
+
+    // One path per colour keeps 100k drops to a handful of fill calls
+    drawPoints(points, dimmed = false) {
+        const ctx = this.ctx;
+        const radius = dimmed || !this.match ? DropLayer.RADIUS : DropLayer.RADIUS_ACTIVE;
+        const byColor = d3.group(points.filter(p => p.visible), p => p.color);
+
+        ctx.globalAlpha = dimmed ? 0.1 : (this.match ? 1 : 0.8);
+        byColor.forEach((group, color) => {
+            ctx.beginPath();
+            group.forEach(p => {
+                ctx.moveTo(p.x + radius, p.y);
+                ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
+            });
+            ctx.fillStyle = color;
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+}
+
+// Projected [x, y], or null where the projection clips the point (clipAngle, e.g. the
+// far side of an orthographic globe; projection() itself would still return a point)
+DropLayer.projectVisible = function (projection, coords) {
+    const clipAngle = projection.clipAngle ? projection.clipAngle() : null;
+    if (clipAngle) {
+        const [lambda, phi] = projection.rotate();
+        if (d3.geoDistance(coords, [-lambda, -phi]) > clipAngle * Math.PI / 180) return null;
+    }
+    return projection(coords);
+};
+
+DropLayer.RADIUS = 2; // viewBox units, scales with zoom like the map
+DropLayer.RADIUS_ACTIVE = 4; // Drops matching the current filter
+DropLayer.CELL = 8; // Hit-test bucket size (viewBox units)
@@ -0,0 +1,85 @@
+// Named ocean basins (shared by browser and Node): a coarse lon/lat partition of the
+// world ocean after the IHO limits. Marginal seas go with the ocean they open onto
+// (Mediterranean and Gulf of Mexico: Atlantic, Red Sea: Indian, South China Sea: Pacific).
+// Drops are classified by marginal sea first (polygons from data/basins.json), then basin.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./land'));
+    } else {
+        root.OceanBasins = factory(root.OceanLand);
+    }
+})(typeof self !== 'undefined' ? self : this, function (land) {
+    'use strict';
+
+    const { createPolygonLookup, lookupPolygon } = land;
+
+    // south/north: latitude band the basin lies in (used to sample inside it)
+    const BASINS = {
+        ARCTIC: { name: "Arctic Ocean", south: 66, north: 90 },
+        NORTH_ATLANTIC: { name: "North Atlantic", south: 0, north: 66 },
+        SOUTH_ATLANTIC: { name: "South Atlantic", south: -60, north: 0 },
+        NORTH_PACIFIC: { name: "North Pacific", south: 0, north: 66 },
+        SOUTH_PACIFIC: { name: "South Pacific", south: -60, north: 0 },
+        INDIAN: { name: "Indian Ocean", south: -60, north: 30.5 },
+        SOUTHERN: { name: "Southern Ocean", south: -90, north: -60 }
+    };
+
+    // Americas divide: west of this longitude is Pacific, for bands of latitude
+    // [minLat, lon]; first band the latitude reaches wins
+    const AMERICAS_DIVIDE = [
+        [17, -100], // Mexico: Pacific coast vs. Gulf of Mexico
+        [14, -92], // Guatemala vs. Gulf of Honduras
+        [9, -84], // Nicaragua and Costa Rica
+        [7, -77.2], // Panama vs. Gulf of Urabá
+        [-56, -70], // South America down to Tierra del Fuego
+        [-90, -67] // Drake Passage at Cape Horn
+    ];
+
+    function americasDivide(lat) {
+        for (const [minLat, lon] of AMERICAS_DIVIDE) {
+            if (lat >= minLat) return lon;
+        }
+        return -67;
+    }
+
+    // Indian Ocean: between Cape Agulhas (20°E) and Tasmania (147°E), south of Asia,
+    // minus the Indonesian seas and the Arafura Sea, which open onto the Pacific
+    function isIndian(lon, lat) {
+        if (lon < 20 || lon >= 147 || lat >= BASINS.INDIAN.north) return false;
+        if (lon >= 100 && lat > -8) return false;
+        if (lon >= 130 && lat > -25) return false;
+        return true;
+    }
+
+    // Basin key for a point (lon in -180..180); meaningless on land
+    function basinAt(lon, lat) {
+        if (lat >= BASINS.ARCTIC.south) return 'ARCTIC';
+        if (lat < BASINS.SOUTHERN.north) return 'SOUTHERN';
+        if (isIndian(lon, lat)) return 'INDIAN';
+
+        // Atlantic: east of the Americas and west of Africa/Europe (Mediterranean and
+        // Black Sea reach 42°E; east of 60°E north of the Indian Ocean is Pacific)
+        const atlantic = lat >= 30
+            ? lon >= -100 && lon < 60
+            : lon >= americasDivide(lat) && lon < 20;
+        if (atlantic) return lat >= 0 ? 'NORTH_ATLANTIC' : 'SOUTH_ATLANTIC';
+        return lat >= 0 ? 'NORTH_PACIFIC' : 'SOUTH_PACIFIC';
+    }
+
+    // Marginal sea index from a FeatureCollection with a name per feature (data/basins.json);
+    // the outlines are coarse and cross land freely, only the water inside them counts
+    function createSeaIndex(seaFeatures) {
+        return createPolygonLookup(seaFeatures, props => props.name || props.NAME || null);
+    }
+
+    // (drop) => sea name ("Mediterranean Sea"), else basin name ("South Pacific"), or null
+    // for lakes. Without a sea index every drop gets its basin.
+    function createBasinModel(seaIndex) {
+        return (drop) => {
+            if (drop.locationType === 'LAKE') return null;
+            return lookupPolygon(seaIndex, drop.lat, drop.lon) || BASINS[basinAt(drop.lon, drop.lat)].name;
+        };
+    }
+
+    return { BASINS, basinAt, createSeaIndex, createBasinModel };
+});
@@ -0,0 +1,172 @@
+// Monte Carlo batch runner: many independent headless simulations + aggregate stats
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'), require('./land'), require('./simulation'), require('./scenario'));
+    } else {
+        root.OceanBatch = factory(root.OceanRandom, root.OceanLand, root.OceanSim, root.OceanScenario);
+    }
+})(typeof self !== 'undefined' ? self : this, function (random, landModule, simModule, scenarioModule) {
+    'use strict';
+
+    const { randomSeed, parseSeed } = random;
+    const { getTerrainTypeWithDistance, isDropWater } = landModule;
+    const { OceanSimulation } = simModule;
+    const { DEFAULT_SCENARIO, createRegionSampler } = scenarioModule;
+
+    // Temperature histogram bins (°C), same range as the browser chart
+    const TEMP_BIN_MIN = -5;
+    const TEMP_BIN_MAX = 35;
+    const TEMP_BIN_STEP = 5;
+
+    // Derive a well-spread, reproducible seed for run i from the batch seed
+    function seedForRun(baseSeed, i) {
+        return (baseSeed + Math.imul(i, 0x9E3779B9)) >>> 0;
+    }
+
+    function tempBins() {
+        const bins = [];
+        for (let t = TEMP_BIN_MIN; t < TEMP_BIN_MAX; t += TEMP_BIN_STEP) {
+            bins.push({ min: t, max: t + TEMP_BIN_STEP });
+        }
+        return bins;
+    }
+
+    // Per-run metrics: every value here gets a mean and confidence interval in the summary.
+    // Coastal reach and the cold/warm cutoffs come from the scenario. minDistanceKm is null
+    // when no drop has a distance (e.g. a run of no days).
+    function summarizeRun(sim, scenario = DEFAULT_SCENARIO) {
+        const drops = sim.drops;
+        const n = drops.length || 1;
+        const distances = drops.map(d => d.distanceKm).filter(km => km !== null && km !== undefined);
+        const { coldC, warmC } = scenario.temperature;
+        const metrics = {
+            days: drops.length,
+            coastalHitRate: drops.filter(d => d.distanceKm !== null && d.distanceKm <= scenario.zones.coastalKm).length / n,
+            waterRatio: sim.stats.totalAttempts > 0
+                ? (sim.stats.totalAttempts - sim.stats.landAttempts) / sim.stats.totalAttempts
+                : 0,
+            meanTempC: drops.reduce((sum, d) => sum + d.temp, 0) / n,
+            coldWaterRate: drops.filter(d => d.temp < coldC).length / n,
+            warmWaterRate: drops.filter(d => d.temp > warmC).length / n,
+            meanDistanceKm: drops.reduce((sum, d) => sum + (d.distanceKm || 0), 0) / n,
+            minDistanceKm: distances.length > 0 ? distances.reduce((min, km) => Math.min(min, km), Infinity) : null,
+            survivalRate: drops.filter(d => d.outcome === 'SURVIVED').length / n,
+            meanSurvivalHours: drops.reduce((sum, d) => sum + d.survivalHours, 0) / n,
+            meanOutcomeHours: drops.reduce((sum, d) => sum + d.outcomeHours, 0) / n
+        };
+        if (drops.some(d => d.drift)) {
+            const landfalls = drops.filter(d => d.drift && d.drift.outcome === 'LANDFALL');
+            metrics.driftLandfallRate = landfalls.length / n;
+            metrics.meanLandfallHours = landfalls.length > 0
+                ? landfalls.reduce((sum, d) => sum + d.drift.hours, 0) / landfalls.length
+                : 0;
+        }
+
+        if (drops.some(d => d.jurisdiction && d.jurisdiction.zone)) {
+            metrics.eezRate = drops.filter(d => d.jurisdiction && d.jurisdiction.zone === 'EEZ').length / n;
+            metrics.internationalWatersRate = drops.filter(d => d.jurisdiction && d.jurisdiction.zone === 'HIGH_SEAS').length / n;
+        }
+
+        const withDepth = drops.filter(d => d.depthM !== null && d.depthM !== undefined);
+        if (withDepth.length > 0) {
+            metrics.meanDepthM = withDepth.reduce((sum, d) => sum + d.depthM, 0) / withDepth.length;
+        }
+
+        ['COASTAL', 'SHELF', 'SLOPE', 'ABYSSAL', 'TRENCH', 'FAR', 'DEEP_OCEAN', 'LAKE'].forEach(zone => {
+            metrics[`zoneRate_${zone}`] = drops.filter(d => d.locationType === zone).length / n;
+        });
+
+        tempBins().forEach(bin => {
+            metrics[`tempShare_${bin.min}_${bin.max}`] = drops.filter(d => d.temp >= bin.min && d.temp < bin.max).length / n;
+        });
+
+        // Seas and oceans by name ("basinShare_North Sea"); lake drops have no basin
+        const basinCounts = new Map();
+        drops.forEach(d => {
+            if (d.basin) basinCounts.set(d.basin, (basinCounts.get(d.basin) || 0) + 1);
+        });
+        basinCounts.forEach((count, basin) => {
+            metrics[`basinShare_${basin}`] = count / n;
+        });
+
+        return { seed: sim.seed, metrics };
+    }
+
+    // Mean, sample standard deviation and normal-approximation 95% CI of the mean; all
+    // null without values
+    function describe(values) {
+        const n = values.length;
+        if (n === 0) return { mean: null, sd: null, ci95Low: null, ci95High: null, min: null, max: null };
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+        const sd = Math.sqrt(variance);
+        const halfWidth = 1.96 * sd / Math.sqrt(n);
+        return {
+            mean,
+            sd,
+            ci95Low: mean - halfWidth,
+            ci95High: mean + halfWidth,
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    }
+
+    function summarizeBatch(runs) {
+        // Optional metrics (e.g. meanDepthM) only count the runs that produced them, null
+        // ones (minDistanceKm without drops) only those that had a value; a basin share is
+        // 0 for runs that never dropped into that basin
+        const metricNames = [...new Set(runs.flatMap(r => Object.keys(r.metrics)))];
+        const metrics = {};
+        metricNames.forEach(name => {
+            const values = name.startsWith('basinShare_')
+                ? runs.map(r => r.metrics[name] || 0)
+                : runs.map(r => r.metrics[name]).filter(v => v !== undefined && v !== null);
+            metrics[name] = describe(values);
+        });
+        return { runs: runs.length, metrics };
+    }
+
+    // Run N independent simulations against the given land data
+    // options: { runs, totalDays, seed, land, lakes, depthModel, temperatureModel, driftModel,
+    //            jurisdictionModel, basinModel, scenario (OceanScenario.normalizeScenario; totalDays overrides its duration), onProgress }
+    function runBatch(options) {
+        const runs = options.runs || 1;
+        const scenario = options.scenario || DEFAULT_SCENARIO;
+        const totalDays = options.totalDays || scenario.totalDays;
+        const baseSeed = parseSeed(options.seed) ?? randomSeed();
+        const onProgress = options.onProgress || (() => { });
+        const results = [];
+        // Throws up front for a region with no water, rather than in every run
+        const samplePoint = createRegionSampler(scenario.region,
+            (lon, lat) => isDropWater(lon, lat, options.land, { lakes: options.lakes }));
+
+        for (let i = 0; i < runs; i++) {
+            const sim = new OceanSimulation({
+                totalDays,
+                seed: seedForRun(baseSeed, i),
+                temperatureModel: options.temperatureModel,
+                driftModel: options.driftModel,
+                jurisdictionModel: options.jurisdictionModel,
+                basinModel: options.basinModel,
+                samplePoint,
+                onCheckLand: (lon, lat) => getTerrainTypeWithDistance(lon, lat, options.land, {
+                    lakes: options.lakes,
+                    depthModel: options.depthModel,
+                    zones: scenario.zones
+                })
+            });
+            sim.runToEnd();
+            results.push(summarizeRun(sim, scenario));
+            onProgress(i + 1, runs);
+        }
+
+        return {
+            seed: baseSeed,
+            totalDays,
+            summary: summarizeBatch(results),
+            runs: results
+        };
+    }
+
+    return { seedForRun, summarizeRun, summarizeBatch, runBatch };
+});
@@ -0,0 +1,64 @@
+// Ocean depth from a downsampled bathymetry grid (shared by browser and Node)
+//
+// Grid file format (data/bathymetry-grid.json, see bin/build-bathymetry-grid.js), on top
+// of the common grid header described in engine/grid.js:
+// {
+//   "format": "bathymetry-grid", "version": 1, "source": "...",
+//   "lat0", "lon0", "dLat", "dLon", "nLat", "nLon", "months": 1,
+//   "scale": 1, "offset": 0, "missing": -32768,
+//   "data": "<base64>"                  depth below sea level, m (land cells missing)
+// }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./grid'));
+    } else {
+        root.OceanBathymetry = factory(root.OceanGrid);
+    }
+})(typeof self !== 'undefined' ? self : this, function (gridModule) {
+    'use strict';
+
+    const { readGridHeader, decodeGridValues, encodeGridValues, sampleGrid } = gridModule;
+
+    const BATHYMETRY_FORMAT = 'bathymetry-grid';
+    const BATHYMETRY_VERSION = 1;
+    const BATHYMETRY_SCALE = 1;
+
+    // Validate a parsed grid file and unpack its values; throws on a bad file
+    function parseBathymetryGrid(json) {
+        const grid = readGridHeader(json, BATHYMETRY_FORMAT, BATHYMETRY_VERSION);
+        if (grid.months !== 1) throw new Error('Bathymetry grid must have a single layer');
+        grid.values = decodeGridValues(json, grid, json.data);
+        return grid;
+    }
+
+    // Pack depths (m, positive down, [lat][lon], NaN = land/missing) into the grid file format
+    function encodeBathymetryGrid(header, values) {
+        return Object.assign({ format: BATHYMETRY_FORMAT, version: BATHYMETRY_VERSION }, header, {
+            months: 1,
+            scale: BATHYMETRY_SCALE,
+            offset: 0,
+            missing: gridModule.MISSING_RAW,
+            data: encodeGridValues(values, BATHYMETRY_SCALE)
+        });
+    }
+
+    // Depth (m) at a location. Land cells are missing, so points near the coast only
+    // average the surrounding sea cells. NaN if there are none.
+    function sampleDepth(grid, lat, lon) {
+        return sampleGrid(grid, grid.values, lat, lon, 0);
+    }
+
+    // Depth model (lat, lon) => m (NaN where unknown) for getTerrainTypeWithDistance,
+    // or null without a grid
+    function createDepthModel(grid) {
+        if (!grid) return null;
+        return (lat, lon) => sampleDepth(grid, lat, lon);
+    }
+
+    return {
+        parseBathymetryGrid,
+        encodeBathymetryGrid,
+        sampleDepth,
+        createDepthModel
+    };
+});
@@ -0,0 +1,234 @@
+// Spatial index for nearest-coastline queries (shared by browser and Node)
+//
+// Every coastline segment is wrapped in a 3D bounding box on the unit sphere and
+// the boxes are organised into a k-d style bounding volume tree. Working in 3D
+// avoids the usual lat/lon headaches: no dateline wrapping, no pole singularity.
+// Straight-line (chord) distance grows monotonically with great-circle distance,
+// so box distances are safe lower bounds for pruning. That only makes results exact
+// because segment distances are great-circle too (OceanGeo.nearestPointOnSegment):
+// a planar approximation could rank segments differently from the bounds.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geo'));
+    } else {
+        root.OceanCoastIndex = factory(root.OceanGeo);
+    }
+})(typeof self !== 'undefined' ? self : this, function (geo) {
+    'use strict';
+
+    const { nearestPointOnSegment, toUnitVector, kmToChord } = geo;
+
+    const LEAF_SIZE = 8;
+
+    // Collect [aLon, aLat, bLon, bLat] for every edge of every ring, plus the ring each
+    // edge came from. Edges jumping more than 180° of longitude are dateline artifacts,
+    // not coastline.
+    function collectSegments(rings) {
+        let count = 0;
+        rings.forEach(ring => { count += Math.max(0, ring.length - 1); });
+
+        const coords = new Float64Array(count * 4);
+        const segmentRings = new Uint32Array(count);
+        let n = 0;
+        rings.forEach((ring, r) => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [aLon, aLat] = ring[i];
+                const [bLon, bLat] = ring[i + 1];
+                if (Math.abs(bLon - aLon) > 180) continue;
+                coords[n * 4] = aLon;
+                coords[n * 4 + 1] = aLat;
+                coords[n * 4 + 2] = bLon;
+                coords[n * 4 + 3] = bLat;
+                segmentRings[n] = r;
+                n++;
+            }
+        });
+        return { coords: coords.subarray(0, n * 4), segmentRings: segmentRings.subarray(0, n), count: n };
+    }
+
+    // Rearrange order[lo..hi) so order[k] holds the k-th smallest centroid on axis
+    function quickselect(order, centroids, lo, hi, k, axis) {
+        hi--;
+        while (hi > lo) {
+            const pivot = centroids[order[(lo + hi) >> 1] * 3 + axis];
+            let i = lo;
+            let j = hi;
+            while (i <= j) {
+                while (centroids[order[i] * 3 + axis] < pivot) i++;
+                while (centroids[order[j] * 3 + axis] > pivot) j--;
+                if (i <= j) {
+                    const tmp = order[i];
+                    order[i] = order[j];
+                    order[j] = tmp;
+                    i++;
+                    j--;
+                }
+            }
+            if (k <= j) hi = j;
+            else if (k >= i) lo = i;
+            else return;
+        }
+    }
+
+    // Build the index from coastline rings ([[lon, lat], ...] arrays). savedOrder is the
+    // `order` of an earlier build over the same rings (e.g. from a precomputed land file):
+    // the tree shape only depends on the segment count, so with the order in place the
+    // partitioning is skipped and only the boxes are computed.
+    function buildCoastIndex(rings, savedOrder = null) {
+        const { coords, segmentRings, count } = collectSegments(rings);
+        if (savedOrder && savedOrder.length !== count) {
+            throw new Error(`Saved index has ${savedOrder.length} segments, rings have ${count}`);
+        }
+
+        // Per-segment bounding boxes, padded by the arc's bulge beyond its chord
+        const boxes = new Float64Array(count * 6);
+        const centroids = new Float64Array(count * 3);
+        for (let s = 0; s < count; s++) {
+            const a = toUnitVector(coords[s * 4 + 1], coords[s * 4]);
+            const b = toUnitVector(coords[s * 4 + 3], coords[s * 4 + 2]);
+            const chord = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+            const halfAngle = Math.asin(Math.min(1, chord / 2));
+            const pad = (1 - Math.cos(halfAngle)) + 1e-9;
+            for (let axis = 0; axis < 3; axis++) {
+                boxes[s * 6 + axis] = Math.min(a[axis], b[axis]) - pad;
+                boxes[s * 6 + 3 + axis] = Math.max(a[axis], b[axis]) + pad;
+                centroids[s * 3 + axis] = (a[axis] + b[axis]) / 2;
+            }
+        }
+
+        const order = savedOrder ? Uint32Array.from(savedOrder) : new Uint32Array(count);
+        if (!savedOrder) for (let s = 0; s < count; s++) order[s] = s;
+
+        // Nodes: box (6 floats), and either children (left/right) or a leaf range (start/size).
+        // Median splits never produce leaves smaller than half of LEAF_SIZE.
+        const maxNodes = 2 * Math.ceil(count / Math.floor(LEAF_SIZE / 2)) + 1;
+        const nodeBoxes = new Float64Array(maxNodes * 6);
+        const nodeLeft = new Int32Array(maxNodes).fill(-1);
+        const nodeRight = new Int32Array(maxNodes).fill(-1);
+        const nodeStart = new Uint32Array(maxNodes);
+        const nodeSize = new Uint32Array(maxNodes);
+        let nodeCount = 0;
+
+        const build = (start, end) => {
+            const node = nodeCount++;
+
+            // Saved order: the median split is already in place, the box is the children's
+            if (savedOrder && end - start > LEAF_SIZE) {
+                const mid = (start + end) >> 1;
+                const left = nodeLeft[node] = build(start, mid);
+                const right = nodeRight[node] = build(mid, end);
+                for (let axis = 0; axis < 3; axis++) {
+                    nodeBoxes[node * 6 + axis] = Math.min(nodeBoxes[left * 6 + axis], nodeBoxes[right * 6 + axis]);
+                    nodeBoxes[node * 6 + 3 + axis] = Math.max(nodeBoxes[left * 6 + 3 + axis], nodeBoxes[right * 6 + 3 + axis]);
+                }
+                return node;
+            }
+
+            const box = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+            const cMin = [Infinity, Infinity, Infinity];
+            const cMax = [-Infinity, -Infinity, -Infinity];
+            for (let i = start; i < end; i++) {
+                const s = order[i];
+                for (let axis = 0; axis < 3; axis++) {
+                    box[axis] = Math.min(box[axis], boxes[s * 6 + axis]);
+                    box[3 + axis] = Math.max(box[3 + axis], boxes[s * 6 + 3 + axis]);
+                    cMin[axis] = Math.min(cMin[axis], centroids[s * 3 + axis]);
+                    cMax[axis] = Math.max(cMax[axis], centroids[s * 3 + axis]);
+                }
+            }
+            nodeBoxes.set(box, node * 6);
+
+            if (end - start <= LEAF_SIZE) {
+                nodeStart[node] = start;
+                nodeSize[node] = end - start;
+                return node;
+            }
+
+            // Split on the axis where centroids are most spread out
+            const spread = [0, 1, 2].map(axis => cMax[axis] - cMin[axis]);
+            const axis = spread.indexOf(Math.max(...spread));
+            const mid = (start + end) >> 1;
+            quickselect(order, centroids, start, end, mid, axis);
+
+            nodeLeft[node] = build(start, mid);
+            nodeRight[node] = build(mid, end);
+            return node;
+        };
+
+        if (count > 0) build(0, count);
+
+        return {
+            segmentCount: count,
+            coords,
+            segmentRings,
+            order,
+            nodeBoxes,
+            nodeLeft,
+            nodeRight,
+            nodeStart,
+            nodeSize
+        };
+    }
+
+    // Squared distance from point p to node's box (0 if inside)
+    function boxDistanceSq(nodeBoxes, node, p) {
+        let sum = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            const min = nodeBoxes[node * 6 + axis];
+            const max = nodeBoxes[node * 6 + 3 + axis];
+            const d = p[axis] < min ? min - p[axis] : (p[axis] > max ? p[axis] - max : 0);
+            sum += d * d;
+        }
+        return sum;
+    }
+
+    // Nearest coastline point: { distanceKm, lat, lon, ring } (distanceKm is Infinity if
+    // empty); ring is the index of the input ring it lies on
+    function queryNearestCoast(index, lat, lon) {
+        const best = { distanceKm: Infinity, lat: null, lon: null, ring: -1 };
+        if (!index || index.segmentCount === 0) return best;
+
+        const p = toUnitVector(lat, lon);
+        const { coords, segmentRings, order, nodeBoxes, nodeLeft, nodeRight, nodeStart, nodeSize } = index;
+        let bestChordSq = Infinity;
+
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (boxDistanceSq(nodeBoxes, node, p) >= bestChordSq) continue;
+
+            if (nodeLeft[node] === -1) {
+                const end = nodeStart[node] + nodeSize[node];
+                for (let i = nodeStart[node]; i < end; i++) {
+                    const s = order[i];
+                    const hit = nearestPointOnSegment(
+                        lat, lon,
+                        coords[s * 4 + 1], coords[s * 4],
+                        coords[s * 4 + 3], coords[s * 4 + 2]
+                    );
+                    if (hit.distanceKm < best.distanceKm) {
+                        best.distanceKm = hit.distanceKm;
+                        best.lat = hit.lat;
+                        best.lon = hit.lon;
+                        best.ring = segmentRings[s];
+                        bestChordSq = kmToChord(hit.distanceKm) ** 2;
+                    }
+                }
+                continue;
+            }
+
+            // Push the farther child first so the nearer one is explored first
+            const left = nodeLeft[node];
+            const right = nodeRight[node];
+            if (boxDistanceSq(nodeBoxes, left, p) < boxDistanceSq(nodeBoxes, right, p)) {
+                stack.push(right, left);
+            } else {
+                stack.push(left, right);
+            }
+        }
+
+        return best;
+    }
+
+    return { buildCoastIndex, queryNearestCoast };
+});
@@ -0,0 +1,123 @@
+// Coordinate formats (shared by browser and Node): degrees-minutes-seconds, UTM
+// (WGS84, with the Norway/Svalbard zone exceptions) and geohash
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanCoords = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // 12°34'56.7"N
+    function formatDms(value, positive, negative) {
+        const abs = Math.abs(value);
+        let degrees = Math.floor(abs);
+        let minutes = Math.floor((abs - degrees) * 60);
+        let seconds = +((abs - degrees - minutes / 60) * 3600).toFixed(1);
+        if (seconds >= 60) {
+            seconds = 0;
+            minutes++;
+        }
+        if (minutes >= 60) {
+            minutes = 0;
+            degrees++;
+        }
+        return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${value < 0 ? negative : positive}`;
+    }
+
+    // "12°34'56.7"N 45°06'07.8"W"
+    function toDms(lat, lon) {
+        return `${formatDms(lat, 'N', 'S')} ${formatDms(lon, 'E', 'W')}`;
+    }
+
+    // WGS84 ellipsoid
+    const UTM_A = 6378137;
+    const UTM_F = 1 / 298.257223563;
+    const UTM_K0 = 0.9996;
+    const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+    function utmZone(lat, lon) {
+        let zone = Math.floor((lon + 180) / 6) + 1;
+        if (zone > 60) zone = 1;
+        if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) zone = 32; // Southwest Norway
+        if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) zone = lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37; // Svalbard
+        return zone;
+    }
+
+    // { zone, band, easting, northing, hemisphere } (Transverse Mercator series,
+    // mm-level within a zone), or null outside UTM's 80°S..84°N
+    function toUtm(lat, lon) {
+        if (lat < -80 || lat > 84) return null;
+        const zone = utmZone(lat, lon);
+        const lon0 = (zone - 1) * 6 - 180 + 3;
+
+        const e2 = UTM_F * (2 - UTM_F);
+        const ep2 = e2 / (1 - e2);
+        const phi = lat * Math.PI / 180;
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const tanPhi = Math.tan(phi);
+
+        const n = UTM_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const t = tanPhi * tanPhi;
+        const c = ep2 * cosPhi * cosPhi;
+        const a = cosPhi * ((lon - lon0 + 540) % 360 - 180) * Math.PI / 180;
+        const m = UTM_A * (
+            (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi -
+            (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi) +
+            (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi) -
+            (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+        );
+
+        const easting = UTM_K0 * n * (a + (1 - t + c) * a ** 3 / 6 +
+            (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120) + 500000;
+        let northing = UTM_K0 * (m + n * tanPhi * (a * a / 2 +
+            (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+            (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720));
+        if (lat < 0) northing += 10000000;
+
+        const band = UTM_BANDS[Math.min(UTM_BANDS.length - 1, Math.floor((lat + 80) / 8))];
+        return { zone, band, easting, northing, hemisphere: lat < 0 ? 'S' : 'N' };
+    }
+
+    // "33T 500000E 4649776N"
+    function formatUtm(utm) {
+        if (!utm) return null;
+        return `${utm.zone}${utm.band} ${Math.round(utm.easting)}E ${Math.round(utm.northing)}N`;
+    }
+
+    const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+    // Geohash of the given length (9 characters: ~5 m cells)
+    function encodeGeohash(lat, lon, precision = 9) {
+        let latRange = [-90, 90];
+        let lonRange = [-180, 180];
+        let hash = '';
+        let bits = 0;
+        let value = 0;
+        let evenBit = true; // Bits alternate, starting with longitude
+
+        while (hash.length < precision) {
+            const range = evenBit ? lonRange : latRange;
+            const coord = evenBit ? lon : lat;
+            const mid = (range[0] + range[1]) / 2;
+            value <<= 1;
+            if (coord >= mid) {
+                value |= 1;
+                range[0] = mid;
+            } else {
+                range[1] = mid;
+            }
+            evenBit = !evenBit;
+            if (++bits === 5) {
+                hash += GEOHASH_BASE32[value];
+                bits = 0;
+                value = 0;
+            }
+        }
+        return hash;
+    }
+
+    return { formatDms, toDms, toUtm, formatUtm, encodeGeohash };
+});
@@ -0,0 +1,104 @@
+// Country lookup (shared by browser and Node): nearest named country for a point, from
+// a countries FeatureCollection such as world-atlas countries-50m (properties.name).
+// Outlines of all countries share one coast index, so "nearest" means nearest
+// boundary point, which at sea is the nearest country's coastline.
+// Optional EEZ boundaries (e.g. Marine Regions' World EEZ) say whose waters a point is
+// in; points at sea outside every EEZ are international waters.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coast-index'), require('./land'));
+    } else {
+        root.OceanCountries = factory(root.OceanCoastIndex, root.OceanLand);
+    }
+})(typeof self !== 'undefined' ? self : this, function (coastIndexModule, landModule) {
+    'use strict';
+
+    const { buildCoastIndex, queryNearestCoast } = coastIndexModule;
+    const { extractPolygons, createPolygonLookup, lookupPolygon } = landModule;
+
+    const INTERNATIONAL_WATERS = 'International waters';
+
+    // Index over every exterior ring, remembering which country each ring belongs to
+    function createCountryIndex(countryFeatures) {
+        const countries = [];
+        const rings = [];
+        const ringCountry = [];
+        ((countryFeatures && countryFeatures.features) || []).forEach(feature => {
+            const props = feature.properties || {};
+            const country = { id: feature.id ?? null, name: props.name || props.NAME || props.ADMIN || `#${feature.id}` };
+            const polygons = extractPolygons(feature);
+            if (polygons.length === 0) return;
+            countries.push(country);
+            polygons.forEach(polygon => {
+                rings.push(polygon.exterior);
+                ringCountry.push(countries.length - 1);
+            });
+        });
+        return { countries, ringCountry, index: buildCoastIndex(rings) };
+    }
+
+    // { id, name, distanceKm } of the nearest country, or null without countries
+    function nearestCountry(countryIndex, lat, lon) {
+        if (!countryIndex || countryIndex.countries.length === 0) return null;
+        const hit = queryNearestCoast(countryIndex.index, lat, lon);
+        if (hit.ring < 0) return null;
+        const country = countryIndex.countries[countryIndex.ringCountry[hit.ring]];
+        return { id: country.id, name: country.name, distanceKm: hit.distanceKm };
+    }
+
+    // EEZ polygons, each looked up as { name, sovereign }
+    function createEezIndex(eezFeatures) {
+        return createPolygonLookup(eezFeatures, (props, feature) => {
+            const name = props.GEONAME || props.geoname || props.name || props.NAME || `#${feature.id}`;
+            return { name, sovereign: props.SOVEREIGN1 || props.sovereign1 || props.sovereign || props.TERRITORY1 || name };
+        });
+    }
+
+    // { name, sovereign } of the EEZ containing the point (first match where claims
+    // overlap), or null outside all of them
+    function eezAt(eezIndex, lat, lon) {
+        return lookupPolygon(eezIndex, lat, lon);
+    }
+
+    // (drop) => jurisdiction for OceanSimulation.jurisdictionModel, or null with neither
+    // countries nor EEZs. The nearest country is looked up from the drop's coastline point.
+    // zone: EEZ | HIGH_SEAS with EEZ data (INLAND for lake drops), null without.
+    function createJurisdictionModel(countryIndex, eezIndex) {
+        if (!countryIndex && !eezIndex) return null;
+        return (drop) => {
+            const coast = drop.nearestCoast || drop;
+            const country = nearestCountry(countryIndex, coast.lat, coast.lon);
+            const jurisdiction = { country: country ? country.name : null, zone: null, eez: null, sovereign: null };
+            if (!eezIndex) return jurisdiction;
+            if (drop.locationType === 'LAKE') {
+                jurisdiction.zone = 'INLAND';
+                return jurisdiction;
+            }
+            const eez = eezAt(eezIndex, drop.lat, drop.lon);
+            jurisdiction.zone = eez ? 'EEZ' : 'HIGH_SEAS';
+            if (eez) {
+                jurisdiction.eez = eez.name;
+                jurisdiction.sovereign = eez.sovereign;
+            }
+            return jurisdiction;
+        };
+    }
+
+    // Whose waters, for charts and filters: the EEZ's sovereign, "International waters"
+    // on the high seas, the nearest country without EEZ data; null when unknown
+    function jurisdictionLabel(jurisdiction) {
+        if (!jurisdiction) return null;
+        if (jurisdiction.zone === 'HIGH_SEAS') return INTERNATIONAL_WATERS;
+        return jurisdiction.sovereign || jurisdiction.country;
+    }
+
+    return {
+        INTERNATIONAL_WATERS,
+        createCountryIndex,
+        nearestCountry,
+        createEezIndex,
+        eezAt,
+        createJurisdictionModel,
+        jurisdictionLabel
+    };
+});
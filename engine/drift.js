@@ -0,0 +1,153 @@
+// Post-drop drift: advect the survivor with surface currents until landfall or death
+// (shared by browser and Node)
+//
+// Current file format (data/currents-grid.json, see bin/build-current-grid.js), on top
+// of the common grid header described in engine/grid.js:
+// {
+//   "format": "current-grid", "version": 1, "source": "...",
+//   "lat0", "lon0", "dLat", "dLon", "nLat", "nLon", "months": 1 or 12,
+//   "scale": 0.001, "offset": 0, "missing": -32768,
+//   "u": "<base64>",                    eastward velocity, m/s
+//   "v": "<base64>"                     northward velocity, m/s
+// }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geo'), require('./grid'), require('./land'), require('./survival'));
+    } else {
+        root.OceanDrift = factory(root.OceanGeo, root.OceanGrid, root.OceanLand, root.OceanSurvival);
+    }
+})(typeof self !== 'undefined' ? self : this, function (geo, gridModule, landModule, survival) {
+    'use strict';
+
+    const { EARTH_RADIUS_KM } = geo;
+    const { readGridHeader, decodeGridValues, encodeGridValues, sampleGrid, dayOfYearForDay } = gridModule;
+    const { getNearestCoast, ZONE_COASTAL_KM } = landModule;
+    const { EXHAUSTION_LIMIT_HOURS } = survival;
+
+    const CURRENT_FORMAT = 'current-grid';
+    const CURRENT_VERSION = 1;
+    const CURRENT_SCALE = 0.001;
+
+    const DRIFT_STEP_HOURS = 1;
+    const DRIFT_MAX_HOURS = EXHAUSTION_LIMIT_HOURS; // Nobody outlasts the survival model's cap
+
+    // Validate a parsed current file and unpack u/v; throws on a bad file
+    function parseCurrentGrid(json) {
+        const grid = readGridHeader(json, CURRENT_FORMAT, CURRENT_VERSION);
+        grid.u = decodeGridValues(json, grid, json.u);
+        grid.v = decodeGridValues(json, grid, json.v);
+        return grid;
+    }
+
+    // Pack u/v (m/s, [month][lat][lon], NaN = missing) into the current file format
+    function encodeCurrentGrid(header, u, v) {
+        return Object.assign({ format: CURRENT_FORMAT, version: CURRENT_VERSION }, header, {
+            scale: CURRENT_SCALE,
+            offset: 0,
+            missing: gridModule.MISSING_RAW,
+            u: encodeGridValues(u, CURRENT_SCALE),
+            v: encodeGridValues(v, CURRENT_SCALE)
+        });
+    }
+
+    // Surface current at a point as [eastward, northward] m/s (0 where the grid has no data)
+    function sampleCurrent(grid, lat, lon, dayOfYear) {
+        const u = sampleGrid(grid, grid.u, lat, lon, dayOfYear);
+        const v = sampleGrid(grid, grid.v, lat, lon, dayOfYear);
+        return [Number.isNaN(u) ? 0 : u, Number.isNaN(v) ? 0 : v];
+    }
+
+    // Move a point by eastward/northward displacements (km) along the sphere
+    function displace(lat, lon, eastKm, northKm) {
+        const distance = Math.hypot(eastKm, northKm) / EARTH_RADIUS_KM;
+        if (distance === 0) return [lat, lon];
+        const bearing = Math.atan2(eastKm, northKm);
+        const lat1 = lat * Math.PI / 180;
+        const lon1 = lon * Math.PI / 180;
+
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(distance) +
+            Math.cos(lat1) * Math.sin(distance) * Math.cos(bearing));
+        const lon2 = lon1 + Math.atan2(Math.sin(bearing) * Math.sin(distance) * Math.cos(lat1),
+            Math.cos(distance) - Math.sin(lat1) * Math.sin(lat2));
+
+        const lonDeg = ((lon2 * 180 / Math.PI + 540) % 360) - 180;
+        return [lat2 * 180 / Math.PI, lonDeg];
+    }
+
+    // Drift from the drop point, one step at a time (forward Euler), until landfall or
+    // until the survivor succumbs (at survivalHours, or DRIFT_MAX_HOURS without one).
+    // options: { lat, lon, day, survivalHours, currents, land, stepHours, maxHours,
+    //            coastalKm (swimming range that counts as landfall, the scenario's coastal zone) }
+    // Returns { outcome: 'LANDFALL' | 'SUCCUMBED', hours, landfall: { lat, lon } | null,
+    //           trajectory: [[lon, lat], ...] } (one trajectory point per full step)
+    //
+    // Landfall needs no polygon tests: near the shore a step is cut short so it never
+    // carries us farther than the nearest coast, so we cannot cross land, and we arrive
+    // once the current has brought us within swimming range (the coastal zone).
+    function simulateDrift(options) {
+        const stepHours = options.stepHours || DRIFT_STEP_HOURS;
+        const survivalHours = options.survivalHours !== undefined ? options.survivalHours : Infinity;
+        const endHours = Math.min(survivalHours, options.maxHours || DRIFT_MAX_HOURS);
+        const dayOfYear = dayOfYearForDay(options.day || 1);
+        const coastalKm = options.coastalKm || ZONE_COASTAL_KM;
+
+        let lat = options.lat;
+        let lon = options.lon;
+        let hours = 0;
+        const trajectory = [[lon, lat]];
+
+        // LANDFALL result once within swimming range of the coast, null otherwise
+        const landfall = (coast) => {
+            if (coast.lat === null || coast.distanceKm > coastalKm) return null;
+            trajectory.push([coast.lon, coast.lat]);
+            return { outcome: 'LANDFALL', hours, landfall: { lat: coast.lat, lon: coast.lon }, trajectory };
+        };
+
+        while (hours < endHours) {
+            const stepEnd = Math.min(hours + stepHours, endHours);
+            while (hours < stepEnd) {
+                const coast = getNearestCoast(lat, lon, options.land);
+                const arrived = landfall(coast);
+                if (arrived) return arrived;
+
+                // Stop at most halfway into the coastal zone; the next check then lands us
+                const [u, v] = sampleCurrent(options.currents, lat, lon, dayOfYear + hours / 24);
+                const speedKmh = Math.hypot(u, v) * 3.6;
+                const reachHours = coast.lat !== null && speedKmh > 0
+                    ? (coast.distanceKm - coastalKm / 2) / speedKmh
+                    : Infinity;
+                const dt = Math.min(stepEnd - hours, reachHours);
+
+                [lat, lon] = displace(lat, lon, u * 3.6 * dt, v * 3.6 * dt);
+                hours = dt === stepEnd - hours ? stepEnd : hours + dt;
+            }
+            trajectory.push([lon, lat]);
+        }
+
+        return landfall(getNearestCoast(lat, lon, options.land)) ||
+            { outcome: 'SUCCUMBED', hours: endHours, landfall: null, trajectory };
+    }
+
+    // Drift hook for OceanSimulation: (drop) => drift result, or null without currents.
+    // options go to simulateDrift, e.g. { coastalKm: scenario.zones.coastalKm }
+    function createDriftModel(currents, land, options = {}) {
+        if (!currents) return null;
+        return (drop) => simulateDrift(Object.assign({
+            lat: drop.lat,
+            lon: drop.lon,
+            day: drop.day,
+            survivalHours: drop.survivalHours,
+            currents,
+            land
+        }, options));
+    }
+
+    return {
+        DRIFT_MAX_HOURS,
+        parseCurrentGrid,
+        encodeCurrentGrid,
+        sampleCurrent,
+        simulateDrift,
+        createDriftModel
+    };
+});
@@ -0,0 +1,148 @@
+// Run export: drops plus run metadata as CSV, GeoJSON, KML or a re-loadable run file
+// (shared by browser and Node)
+//
+// meta is a plain object describing the run, e.g.
+// { seed, totalDays, exported, filter, totals: { ... }, data: { land, sst, ... } };
+// nested objects are flattened to dotted keys where a format has no nesting.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Column name -> value for each drop; the same fields go into every format
+    const DROP_FIELDS = [
+        ['day', d => d.day],
+        ['lat', d => d.lat],
+        ['lon', d => d.lon],
+        ['zone', d => d.locationType],
+        ['distance_km', d => d.distanceKm],
+        ['depth_m', d => d.depthM],
+        ['temp_c', d => d.temp],
+        ['outcome', d => d.outcome],
+        ['survival_hours', d => d.survivalHours],
+        ['outcome_hours', d => d.outcomeHours],
+        ['coast_lat', d => d.nearestCoast ? d.nearestCoast.lat : null],
+        ['coast_lon', d => d.nearestCoast ? d.nearestCoast.lon : null],
+        ['drift_outcome', d => d.drift ? d.drift.outcome : null],
+        ['drift_hours', d => d.drift ? d.drift.hours : null],
+        ['landfall_lat', d => d.drift && d.drift.landfall ? d.drift.landfall.lat : null],
+        ['landfall_lon', d => d.drift && d.drift.landfall ? d.drift.landfall.lon : null],
+        ['country', d => d.jurisdiction ? d.jurisdiction.country : null],
+        ['waters', d => d.jurisdiction ? d.jurisdiction.zone : null],
+        ['eez', d => d.jurisdiction ? d.jurisdiction.eez : null],
+        ['eez_sovereign', d => d.jurisdiction ? d.jurisdiction.sovereign : null],
+        ['basin', d => d.basin]
+    ];
+
+    function dropProperties(drop) {
+        const props = {};
+        DROP_FIELDS.forEach(([name, get]) => {
+            const value = get(drop);
+            props[name] = value === undefined || (typeof value === 'number' && !Number.isFinite(value)) ? null : value;
+        });
+        return props;
+    }
+
+    // { a: { b: 1 } } -> [['a.b', 1]]
+    function flattenMeta(meta, prefix = '') {
+        return Object.entries(meta || {}).flatMap(([key, value]) => {
+            const name = prefix + key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) return flattenMeta(value, `${name}.`);
+            return [[name, value]];
+        });
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Metadata as leading "# key: value" lines (pandas: read_csv(..., comment='#'))
+    function toCsv(drops, meta) {
+        const lines = flattenMeta(meta).map(([key, value]) => `# ${key}: ${value === null ? '' : value}`);
+        lines.push(DROP_FIELDS.map(([name]) => name).join(','));
+        drops.forEach(drop => {
+            const props = dropProperties(drop);
+            lines.push(DROP_FIELDS.map(([name]) => csvCell(props[name])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // FeatureCollection of Points; run metadata in a top-level "metadata" member
+    function toGeoJson(drops, meta) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            metadata: meta,
+            features: drops.map(drop => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [drop.lon, drop.lat] },
+                properties: dropProperties(drop)
+            }))
+        });
+    }
+
+    function xmlEscape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function kmlExtendedData(pairs, indent) {
+        const data = pairs
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `${indent}  <Data name="${xmlEscape(name)}"><value>${xmlEscape(value)}</value></Data>`);
+        return `${indent}<ExtendedData>\n${data.join('\n')}\n${indent}</ExtendedData>`;
+    }
+
+    // One Placemark per drop; metadata as the Document's ExtendedData
+    function toKml(drops, meta, name = 'Ocean Drop run') {
+        const placemarks = drops.map(drop => {
+            const props = dropProperties(drop);
+            return [
+                '    <Placemark>',
+                `      <name>Day ${drop.day}</name>`,
+                `      <description>${xmlEscape(`${props.zone}, ${props.temp_c === null ? '?' : props.temp_c.toFixed(1)}°C`)}</description>`,
+                kmlExtendedData(Object.entries(props), '      '),
+                `      <Point><coordinates>${drop.lon},${drop.lat}</coordinates></Point>`,
+                '    </Placemark>'
+            ].join('\n');
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${xmlEscape(name)}</name>`,
+            kmlExtendedData(flattenMeta(meta), '    '),
+            ...placemarks,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    // Run file: the drops as the engine made them, for replay (see engine/replay.js)
+    const RUN_FORMAT = 'ocean-drop-run';
+    const RUN_VERSION = 1;
+
+    function toRunJson(drops, meta, stats) {
+        return JSON.stringify({ format: RUN_FORMAT, version: RUN_VERSION, metadata: meta, stats, drops });
+    }
+
+    return {
+        RUN_FORMAT,
+        RUN_VERSION,
+        DROP_FIELDS,
+        dropProperties,
+        toCsv,
+        toGeoJson,
+        toKml,
+        toRunJson
+    };
+});
@@ -0,0 +1,124 @@
+// Geodesic distance helpers (shared by browser and Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanGeo = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EARTH_RADIUS_KM = 6371;
+
+    // Haversine distance between two points in km
+    function haversineDistance(lat1, lon1, lat2, lon2) {
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Initial great-circle bearing from point 1 to point 2, degrees clockwise from north
+    function initialBearing(lat1, lon1, lat2, lon2) {
+        const phi1 = lat1 * Math.PI / 180;
+        const phi2 = lat2 * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const y = Math.sin(dLon) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    // Closest point on the great-circle segment A->B to P: { lat, lon, distanceKm }
+    //
+    // Works on unit vectors: n is the pole of the great circle through A and B.
+    // Cross-track distance is the angle between P and that great circle; along-track
+    // distance is how far P's foot point lies from A along it. If the foot falls
+    // outside the segment, the nearer endpoint wins.
+    function nearestPointOnSegment(pLat, pLon, aLat, aLon, bLat, bLon) {
+        const p = toUnitVector(pLat, pLon);
+        const a = toUnitVector(aLat, aLon);
+        const b = toUnitVector(bLat, bLon);
+
+        const n = cross(a, b);
+        const nLen = Math.hypot(n[0], n[1], n[2]);
+        const segAngle = Math.atan2(nLen, dot(a, b));
+
+        // Degenerate (zero-length or antipodal) segment: fall back to endpoint A
+        if (nLen < 1e-12) {
+            return { lat: aLat, lon: aLon, distanceKm: haversineDistance(pLat, pLon, aLat, aLon) };
+        }
+        n[0] /= nLen;
+        n[1] /= nLen;
+        n[2] /= nLen;
+
+        // Foot point: P projected onto the great-circle plane
+        const pn = dot(p, n);
+        const foot = [p[0] - pn * n[0], p[1] - pn * n[1], p[2] - pn * n[2]];
+        const footLen = Math.hypot(foot[0], foot[1], foot[2]);
+
+        if (footLen > 1e-12) {
+            const alongAngle = Math.atan2(dot(cross(a, foot), n), dot(a, foot));
+            if (alongAngle >= 0 && alongAngle <= segAngle) {
+                const crossTrackAngle = Math.asin(Math.min(1, Math.abs(pn)));
+                const [lat, lon] = fromVector(foot);
+                return { lat, lon, distanceKm: crossTrackAngle * EARTH_RADIUS_KM };
+            }
+        }
+
+        const distA = haversineDistance(pLat, pLon, aLat, aLon);
+        const distB = haversineDistance(pLat, pLon, bLat, bLon);
+        return distA <= distB
+            ? { lat: aLat, lon: aLon, distanceKm: distA }
+            : { lat: bLat, lon: bLon, distanceKm: distB };
+    }
+
+    // Minimum distance from point to line segment (in km)
+    function pointToSegmentDistance(pLat, pLon, aLat, aLon, bLat, bLon) {
+        return nearestPointOnSegment(pLat, pLon, aLat, aLon, bLat, bLon).distanceKm;
+    }
+
+    // Unit vector on the sphere for [lat, lon] in degrees
+    function toUnitVector(lat, lon) {
+        const latRad = lat * Math.PI / 180;
+        const lonRad = lon * Math.PI / 180;
+        const cosLat = Math.cos(latRad);
+        return [cosLat * Math.cos(lonRad), cosLat * Math.sin(lonRad), Math.sin(latRad)];
+    }
+
+    // [lat, lon] in degrees for any non-zero vector
+    function fromVector(v) {
+        const lat = Math.atan2(v[2], Math.hypot(v[0], v[1])) * 180 / Math.PI;
+        const lon = Math.atan2(v[1], v[0]) * 180 / Math.PI;
+        return [lat, lon];
+    }
+
+    function dot(u, v) {
+        return u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    }
+
+    function cross(u, v) {
+        return [
+            u[1] * v[2] - u[2] * v[1],
+            u[2] * v[0] - u[0] * v[2],
+            u[0] * v[1] - u[1] * v[0]
+        ];
+    }
+
+    // Great-circle distance (km) <-> straight-line chord length on the unit sphere
+    function kmToChord(km) {
+        return 2 * Math.sin(Math.min(Math.PI, km / EARTH_RADIUS_KM) / 2);
+    }
+
+    return {
+        EARTH_RADIUS_KM,
+        haversineDistance,
+        initialBearing,
+        nearestPointOnSegment,
+        pointToSegmentDistance,
+        toUnitVector,
+        fromVector,
+        kmToChord
+    };
+});
@@ -0,0 +1,159 @@
+// Regular lat/lon grids packed as base64 Int16 (shared by browser and Node)
+//
+// Common header for every gridded data file in data/:
+//   "lat0", "lon0"     centre of the first cell (degrees)
+//   "dLat", "dLon"     cell size (degrees)
+//   "nLat", "nLon"     cell counts
+//   "months"           1 (static) or 12 (monthly climatology)
+//   "scale", "offset"  value = raw * scale + offset
+//   "missing"          raw value for land / no data
+// Each variable is a base64 string of little-endian Int16, laid out [month][lat][lon].
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanGrid = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MISSING_RAW = -32768;
+
+    // Day-of-year (0-based) at the middle of each month, non-leap year
+    const MONTH_MID_DAYS = [15, 45, 74, 105, 135, 166, 196, 227, 258, 288, 319, 349];
+
+    function decodeBase64(text) {
+        if (typeof Buffer !== 'undefined') {
+            const buf = Buffer.from(text, 'base64');
+            return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+        }
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes.buffer;
+    }
+
+    function encodeBase64(buffer) {
+        if (typeof Buffer !== 'undefined') return Buffer.from(buffer).toString('base64');
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    // Check format/version and pull out the shared header; throws on a bad file
+    function readGridHeader(json, format, version) {
+        if (!json || json.format !== format) throw new Error(`Not a ${format} file`);
+        if (json.version !== version) throw new Error(`Unsupported ${format} version: ${json.version}`);
+        return {
+            source: json.source || 'unknown',
+            lat0: json.lat0,
+            lon0: json.lon0,
+            dLat: json.dLat,
+            dLon: json.dLon,
+            nLat: json.nLat,
+            nLon: json.nLon,
+            months: json.months || 1
+        };
+    }
+
+    // Unpack one variable to real values (NaN = no data) so sampling is just array lookups
+    function decodeGridValues(json, header, base64) {
+        const view = new DataView(decodeBase64(base64));
+        const expected = header.nLat * header.nLon * header.months;
+        if (view.byteLength !== expected * 2) {
+            throw new Error(`Grid has ${view.byteLength / 2} values, expected ${expected}`);
+        }
+        const missing = json.missing !== undefined ? json.missing : MISSING_RAW;
+        const scale = json.scale !== undefined ? json.scale : 1;
+        const offset = json.offset || 0;
+
+        const values = new Float32Array(expected);
+        for (let i = 0; i < expected; i++) {
+            const raw = view.getInt16(i * 2, true);
+            values[i] = raw === missing ? NaN : raw * scale + offset;
+        }
+        return values;
+    }
+
+    // Pack real values (NaN = missing) as base64 Int16 with the given scale
+    function encodeGridValues(values, scale) {
+        const buffer = new ArrayBuffer(values.length * 2);
+        const view = new DataView(buffer);
+        for (let i = 0; i < values.length; i++) {
+            const raw = Number.isFinite(values[i])
+                ? Math.max(-32767, Math.min(32767, Math.round(values[i] / scale)))
+                : MISSING_RAW;
+            view.setInt16(i * 2, raw, true);
+        }
+        return encodeBase64(buffer);
+    }
+
+    // Bilinear interpolation within one month's layer; missing corners are dropped
+    // and the remaining weights renormalised (coastal cells often border land)
+    function sampleLayer(grid, values, month, lat, lon) {
+        const fy = (lat - grid.lat0) / grid.dLat;
+        let fx = (lon - grid.lon0) / grid.dLon;
+        fx = ((fx % grid.nLon) + grid.nLon) % grid.nLon; // Wrap longitude
+
+        const y0 = Math.max(0, Math.min(grid.nLat - 1, Math.floor(fy)));
+        const y1 = Math.max(0, Math.min(grid.nLat - 1, y0 + 1));
+        const ty = Math.max(0, Math.min(1, fy - y0));
+        const x0 = Math.floor(fx);
+        const x1 = (x0 + 1) % grid.nLon;
+        const tx = fx - x0;
+
+        const base = month * grid.nLat * grid.nLon;
+        const corners = [
+            [values[base + y0 * grid.nLon + x0], (1 - tx) * (1 - ty)],
+            [values[base + y0 * grid.nLon + x1], tx * (1 - ty)],
+            [values[base + y1 * grid.nLon + x0], (1 - tx) * ty],
+            [values[base + y1 * grid.nLon + x1], tx * ty]
+        ];
+
+        let sum = 0;
+        let weight = 0;
+        corners.forEach(([value, w]) => {
+            if (Number.isNaN(value)) return;
+            sum += value * w;
+            weight += w;
+        });
+        return weight > 0 ? sum / weight : NaN;
+    }
+
+    // Value at a location and day-of-year (0-364), blending the two nearest monthly
+    // layers for monthly grids. NaN if the grid has no data around the point.
+    function sampleGrid(grid, values, lat, lon, dayOfYear) {
+        if (grid.months === 1) return sampleLayer(grid, values, 0, lat, lon);
+
+        const doy = ((dayOfYear % 365) + 365) % 365;
+        let next = MONTH_MID_DAYS.findIndex(mid => mid > doy);
+        if (next === -1) next = 0;
+        const prev = (next + 11) % 12;
+        const span = (MONTH_MID_DAYS[next] - MONTH_MID_DAYS[prev] + 365) % 365;
+        const t = ((doy - MONTH_MID_DAYS[prev] + 365) % 365) / span;
+
+        const a = sampleLayer(grid, values, prev, lat, lon);
+        const b = sampleLayer(grid, values, next, lat, lon);
+        if (Number.isNaN(a)) return b;
+        if (Number.isNaN(b)) return a;
+        return a + (b - a) * t;
+    }
+
+    // Simulated day N (1-based) falls on day-of-year N-1, starting 1 January
+    function dayOfYearForDay(day) {
+        return (Math.max(1, day) - 1) % 365;
+    }
+
+    return {
+        MISSING_RAW,
+        decodeBase64,
+        encodeBase64,
+        readGridHeader,
+        decodeGridValues,
+        encodeGridValues,
+        sampleLayer,
+        sampleGrid,
+        dayOfYearForDay
+    };
+});
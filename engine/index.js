@@ -0,0 +1,23 @@
+// Node entry point: the whole engine as one CommonJS module
+module.exports = Object.assign(
+    {},
+    require('./random'),
+    require('./geo'),
+    require('./coords'),
+    require('./grid'),
+    require('./coast-index'),
+    require('./land-index'),
+    require('./land'),
+    require('./precomputed'),
+    require('./countries'),
+    require('./sst'),
+    require('./bathymetry'),
+    require('./basins'),
+    require('./survival'),
+    require('./drift'),
+    require('./simulation'),
+    require('./scenario'),
+    require('./export'),
+    require('./replay'),
+    require('./batch')
+);
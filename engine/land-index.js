@@ -0,0 +1,352 @@
+// Point-in-land acceleration (shared by browser and Node)
+//
+// The land test casts a ray along the point's meridian up to the North Pole and counts
+// the ring edges it crosses (isPointInRing). Three layers cut that work down without
+// changing a single answer:
+//   - per-ring bounding boxes: the longitude columns the ring's edges span and its
+//     latitude range (great-circle bulge included), so most rings are skipped outright;
+//   - per-ring longitude buckets: the ray only meets edges spanning its column,
+//     northernmost first, stopping once the rest lie south of the point;
+//   - a coarse global grid: cells no edge touches get their answer (WATER, LAND, LAKE)
+//     once, from the cell centre; the rest are MIXED and only ray-cast against the
+//     polygons whose edges touch them.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanLandIndex = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CELL_DEG = 1;
+    const COLS = 360 / CELL_DEG;
+    const ROWS = 180 / CELL_DEG;
+    const SPAN_EPS_DEG = 1e-7; // Slack on edge extents against rounding
+    const Z_EPS = 1e-12;
+
+    const CELL_WATER = 0;
+    const CELL_LAND = 1;
+    const CELL_LAKE = 2;
+    const CELL_MIXED = 3;
+    const CELL_NAMES = ['WATER', 'LAND', 'LAKE'];
+
+    const DEG = 180 / Math.PI;
+
+    // Height (sine of latitude) where ring edge j→i (vertex indices into packed unit
+    // vectors) crosses the half-meridian at the given longitude, NaN if it doesn't
+    function edgeCrossing(vectors, j, i, sinLon, cosLon) {
+        const ax = vectors[j * 3], ay = vectors[j * 3 + 1], az = vectors[j * 3 + 2];
+        const bx = vectors[i * 3], by = vectors[i * 3 + 1], bz = vectors[i * 3 + 2];
+
+        // Signed side of each endpoint relative to the meridian plane through the point
+        const sa = -sinLon * ax + cosLon * ay;
+        const sb = -sinLon * bx + cosLon * by;
+        if ((sa > 0) === (sb > 0)) return NaN;
+
+        // Where the edge meets the plane (the chord point projects onto the arc)
+        const t = sa / (sa - sb);
+        const x = ax + t * (bx - ax);
+        const y = ay + t * (by - ay);
+        const z = az + t * (bz - az);
+
+        // Must be on the point's half of the meridian (not the opposite side of the globe);
+        // the caller checks it is north of the point
+        if (x * cosLon + y * sinLon <= 0) return NaN;
+        return z / Math.hypot(x, y, z);
+    }
+
+    // Spherical ray casting: walk the meridian arc from the point up to the North Pole
+    // and count how many great-circle ring edges it crosses. No land ring contains the
+    // North Pole, so an odd count means inside. Working on the sphere means rings that
+    // cross ±180° (Chukotka, Fiji) or wrap around the South Pole (Antarctica) need no
+    // special handling.
+    function isPointInRing(lon, lat, vectors) {
+        const lonRad = lon * Math.PI / 180;
+        const sinLon = Math.sin(lonRad);
+        const cosLon = Math.cos(lonRad);
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        const n = vectors.length / 3;
+
+        let inside = false;
+        for (let i = 0, j = n - 1; i < n; j = i++) {
+            if (edgeCrossing(vectors, j, i, sinLon, cosLon) > sinLat) inside = !inside;
+        }
+        return inside;
+    }
+
+    // [zMin, zMax] of the great-circle arc a→b: its endpoints, or the circle's highest
+    // (lowest) point when that falls inside the arc
+    function arcZRange(vectors, j, i) {
+        const ax = vectors[j * 3], ay = vectors[j * 3 + 1], az = vectors[j * 3 + 2];
+        const bx = vectors[i * 3], by = vectors[i * 3 + 1], bz = vectors[i * 3 + 2];
+        let zMin = Math.min(az, bz);
+        let zMax = Math.max(az, bz);
+
+        const nx = ay * bz - az * by;
+        const ny = az * bx - ax * bz;
+        const nz = ax * by - ay * bx;
+        const nn = nx * nx + ny * ny + nz * nz;
+        if (nn > 1e-30) {
+            // Apex: the pole direction projected onto the circle's plane
+            const px = -nz * nx / nn;
+            const py = -nz * ny / nn;
+            const pz = 1 - nz * nz / nn;
+            // On the arc when a→apex and apex→b both turn the same way as a→b
+            const before = (ay * pz - az * py) * nx + (az * px - ax * pz) * ny + (ax * py - ay * px) * nz;
+            const after = (py * bz - pz * by) * nx + (pz * bx - px * bz) * ny + (px * by - py * bx) * nz;
+            const apexZ = Math.sqrt(Math.max(0, pz));
+            if (before >= 0 && after >= 0) zMax = Math.max(zMax, apexZ);
+            if (before <= 0 && after <= 0) zMin = Math.min(zMin, -apexZ);
+        }
+        return [zMin - Z_EPS, zMax + Z_EPS];
+    }
+
+    function vertexLon(vectors, k) {
+        return Math.atan2(vectors[k * 3 + 1], vectors[k * 3]) * DEG;
+    }
+
+    function columnOf(lon) {
+        const col = Math.floor((lon + 180) / CELL_DEG) % COLS;
+        return col < 0 ? col + COLS : col;
+    }
+
+    function rowOf(z) {
+        const lat = Math.asin(Math.max(-1, Math.min(1, z))) * DEG;
+        return Math.max(0, Math.min(ROWS - 1, Math.floor((lat + 90) / CELL_DEG)));
+    }
+
+    // [firstColumn, columnCount] the arc j→i spans (the short way round), with slack;
+    // arcs of ~180° may pass over a pole and get every column
+    function arcColumns(vectors, j, i) {
+        const aLon = vertexLon(vectors, j);
+        let delta = vertexLon(vectors, i) - aLon;
+        if (delta > 180) delta -= 360;
+        if (delta <= -180) delta += 360;
+        if (Math.abs(delta) >= 180 - SPAN_EPS_DEG) return [0, COLS];
+        const start = (delta >= 0 ? aLon : aLon + delta) - SPAN_EPS_DEG;
+        const first = Math.floor((start + 180) / CELL_DEG);
+        const last = Math.floor((start + Math.abs(delta) + 2 * SPAN_EPS_DEG + 180) / CELL_DEG);
+        return [((first % COLS) + COLS) % COLS, Math.min(COLS, last - first + 1)];
+    }
+
+    // Bounding box and longitude buckets for one ring (packed unit vectors). Edge i runs
+    // from vertex i - 1 (wrapping) to vertex i, as in isPointInRing.
+    function buildRing(vectors) {
+        const n = vectors.length / 3;
+        const edgeZMin = new Float64Array(n);
+        const edgeZMax = new Float64Array(n);
+        const edgeCol = new Uint16Array(n);
+        const edgeCols = new Uint16Array(n);
+        const covered = new Uint8Array(COLS);
+        let zMin = Infinity;
+        let zMax = -Infinity;
+
+        for (let i = 0; i < n; i++) {
+            const j = i === 0 ? n - 1 : i - 1;
+            const [lo, hi] = arcZRange(vectors, j, i);
+            const [col, cols] = arcColumns(vectors, j, i);
+            edgeZMin[i] = lo;
+            edgeZMax[i] = hi;
+            edgeCol[i] = col;
+            edgeCols[i] = cols;
+            for (let k = 0; k < cols; k++) covered[(col + k) % COLS] = 1;
+            if (lo < zMin) zMin = lo;
+            if (hi > zMax) zMax = hi;
+        }
+
+        // Smallest run of columns (round the dateline if need be) holding every edge:
+        // everything but the widest gap
+        let gapStart = 0;
+        let gapLength = 0;
+        let runStart = -1;
+        for (let c = 0; c < 2 * COLS; c++) {
+            if (covered[c % COLS]) {
+                runStart = -1;
+                continue;
+            }
+            if (runStart < 0) runStart = c;
+            const length = Math.min(COLS, c - runStart + 1);
+            if (length > gapLength) {
+                gapStart = runStart;
+                gapLength = length;
+            }
+        }
+        const col0 = (gapStart + gapLength) % COLS;
+        const nCols = COLS - gapLength;
+
+        // Buckets per column of the run, each northernmost edge first
+        const offsets = new Uint32Array(nCols + 1);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < edgeCols[i]; k++) offsets[(edgeCol[i] + k - col0 + COLS) % COLS + 1]++;
+        }
+        for (let k = 0; k < nCols; k++) offsets[k + 1] += offsets[k];
+        const fill = offsets.slice(0, nCols);
+        const edges = new Uint32Array(offsets[nCols]);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < edgeCols[i]; k++) edges[fill[(edgeCol[i] + k - col0 + COLS) % COLS]++] = i;
+        }
+        for (let k = 0; k < nCols; k++) {
+            edges.subarray(offsets[k], offsets[k + 1]).sort((a, b) => edgeZMax[b] - edgeZMax[a]);
+        }
+
+        // Points south of every edge share the South Pole's answer; ask a point in that cap
+        const southPole = zMin > -1 &&
+            isPointInRing(0, (Math.asin(zMin) * DEG - 90) / 2, vectors);
+
+        return { vectors, n, zMin, zMax, southPole, col0, nCols, offsets, edges, edgeZMin, edgeZMax, edgeCol, edgeCols };
+    }
+
+    // isPointInRing through the ring's box and buckets (same arithmetic, same answer)
+    function ringContains(ring, col, sinLon, cosLon, sinLat) {
+        if (sinLat > ring.zMax) return false;
+        if (sinLat < ring.zMin) return ring.southPole;
+        const k = (col - ring.col0 + COLS) % COLS;
+        if (k >= ring.nCols) return false;
+
+        const { vectors, n, offsets, edges, edgeZMax } = ring;
+        let inside = false;
+        for (let e = offsets[k]; e < offsets[k + 1]; e++) {
+            const i = edges[e];
+            if (edgeZMax[i] < sinLat) break; // The rest of the bucket lies south of the point
+            if (edgeCrossing(vectors, i === 0 ? n - 1 : i - 1, i, sinLon, cosLon) > sinLat) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Crossing heights of a ring's edges with a column's centre meridian, northernmost first
+    function columnCrossings(ring, col, sinLon, cosLon) {
+        const k = (col - ring.col0 + COLS) % COLS;
+        if (k >= ring.nCols) return [];
+        const crossings = [];
+        for (let e = ring.offsets[k]; e < ring.offsets[k + 1]; e++) {
+            const i = ring.edges[e];
+            const z = edgeCrossing(ring.vectors, i === 0 ? ring.n - 1 : i - 1, i, sinLon, cosLon);
+            if (!Number.isNaN(z)) crossings.push(z);
+        }
+        return crossings.sort((a, b) => b - a);
+    }
+
+    // Per-row parity of a ring at the column's cell centres, XORed into bits
+    function xorRowParity(bits, crossings, rowSinLat) {
+        let count = 0;
+        for (let row = ROWS - 1; row >= 0; row--) {
+            while (count < crossings.length && crossings[count] > rowSinLat[row]) count++;
+            bits[row] ^= count & 1;
+        }
+    }
+
+    // Index over land polygons as unit vectors ({ exterior, holes } per polygon, as in
+    // createLandData's polygonVectors)
+    function buildLandIndex(polygonVectors) {
+        const polygons = polygonVectors.map(polygon => ({
+            exterior: buildRing(polygon.exterior),
+            holes: polygon.holes.map(buildRing)
+        }));
+
+        // Cells each polygon's edges touch (those polygons are ray-cast there)
+        const touchers = new Map();
+        const lastMarked = new Int32Array(COLS * ROWS).fill(-1);
+        const columnPolygons = Array.from({ length: COLS }, () => []);
+        polygons.forEach((polygon, p) => {
+            [polygon.exterior, ...polygon.holes].forEach(ring => {
+                for (let i = 0; i < ring.n; i++) {
+                    const row0 = rowOf(ring.edgeZMin[i]);
+                    const row1 = rowOf(ring.edgeZMax[i]);
+                    for (let k = 0; k < ring.edgeCols[i]; k++) {
+                        const col = (ring.edgeCol[i] + k) % COLS;
+                        for (let row = row0; row <= row1; row++) {
+                            const cell = row * COLS + col;
+                            if (lastMarked[cell] === p) continue;
+                            lastMarked[cell] = p;
+                            if (!touchers.has(cell)) touchers.set(cell, []);
+                            touchers.get(cell).push(p);
+                        }
+                    }
+                }
+                for (let k = 0; k < ring.nCols; k++) {
+                    const list = columnPolygons[(ring.col0 + k) % COLS];
+                    if (list[list.length - 1] !== p) list.push(p);
+                }
+            });
+        });
+
+        // Each cell centre's answer from the polygons that don't touch the cell, which is
+        // the same anywhere in the cell
+        const rowSinLat = new Float64Array(ROWS);
+        for (let row = 0; row < ROWS; row++) rowSinLat[row] = Math.sin(((row + 0.5) * CELL_DEG - 90) / DEG);
+        const cells = new Uint8Array(COLS * ROWS);
+        const inHole = new Uint8Array(COLS * ROWS);
+        const exteriorBits = new Uint8Array(ROWS);
+        const holeBits = new Uint8Array(ROWS);
+        for (let col = 0; col < COLS; col++) {
+            const lonRad = ((col + 0.5) * CELL_DEG - 180) / DEG;
+            const sinLon = Math.sin(lonRad);
+            const cosLon = Math.cos(lonRad);
+            columnPolygons[col].forEach(p => {
+                const polygon = polygons[p];
+                exteriorBits.fill(0);
+                holeBits.fill(0);
+                xorRowParity(exteriorBits, columnCrossings(polygon.exterior, col, sinLon, cosLon), rowSinLat);
+                polygon.holes.forEach(hole => xorRowParity(holeBits, columnCrossings(hole, col, sinLon, cosLon), rowSinLat));
+                for (let row = 0; row < ROWS; row++) {
+                    if (!exteriorBits[row]) continue;
+                    const cell = row * COLS + col;
+                    if (touchers.has(cell) && touchers.get(cell).includes(p)) continue;
+                    if (holeBits[row]) inHole[cell] = 1;
+                    else cells[cell] = CELL_LAND;
+                }
+            });
+        }
+
+        // Cells a polygon covers entirely are LAND whatever else touches them
+        const offsets = new Uint32Array(COLS * ROWS + 1);
+        touchers.forEach((list, cell) => {
+            if (cells[cell] !== CELL_LAND) offsets[cell + 1] = list.length;
+        });
+        for (let cell = 0; cell < COLS * ROWS; cell++) offsets[cell + 1] += offsets[cell];
+        const candidates = new Uint32Array(offsets[COLS * ROWS]);
+        let mixed = 0;
+        for (let cell = 0; cell < COLS * ROWS; cell++) {
+            if (cells[cell] === CELL_LAND) continue;
+            if (offsets[cell + 1] > offsets[cell]) {
+                candidates.set(touchers.get(cell), offsets[cell]);
+                cells[cell] = CELL_MIXED;
+                mixed++;
+            } else if (inHole[cell]) {
+                cells[cell] = CELL_LAKE;
+            }
+        }
+
+        return { polygons, cells, inHole, offsets, candidates, mixedCells: mixed };
+    }
+
+    // 'LAND', 'LAKE' (inside a polygon's exterior but in one of its holes) or 'WATER',
+    // as a ray-cast over every polygon would answer
+    function locateInIndex(index, lon, lat) {
+        const col = columnOf(lon);
+        const row = Math.max(0, Math.min(ROWS - 1, Math.floor((lat + 90) / CELL_DEG)));
+        const cell = row * COLS + col;
+        const state = index.cells[cell];
+        if (state !== CELL_MIXED) return CELL_NAMES[state];
+
+        const lonRad = lon * Math.PI / 180;
+        const sinLon = Math.sin(lonRad);
+        const cosLon = Math.cos(lonRad);
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        let hole = index.inHole[cell] === 1;
+        for (let c = index.offsets[cell]; c < index.offsets[cell + 1]; c++) {
+            const polygon = index.polygons[index.candidates[c]];
+            if (!ringContains(polygon.exterior, col, sinLon, cosLon, sinLat)) continue;
+            let inside = true;
+            for (const ring of polygon.holes) {
+                if (ringContains(ring, col, sinLon, cosLon, sinLat)) inside = !inside;
+            }
+            if (inside) return 'LAND';
+            hole = true;
+        }
+        return hole ? 'LAKE' : 'WATER';
+    }
+
+    return { isPointInRing, buildLandIndex, locateInIndex };
+});
@@ -0,0 +1,371 @@
+// Land/water classification against extracted coastline polygons (shared by browser and Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geo'), require('./coast-index'), require('./land-index'));
+    } else {
+        root.OceanLand = factory(root.OceanGeo, root.OceanCoastIndex, root.OceanLandIndex);
+    }
+})(typeof self !== 'undefined' ? self : this, function (geo, coastIndex, landIndex) {
+    'use strict';
+
+    const { nearestPointOnSegment, toUnitVector } = geo;
+    const { buildCoastIndex, queryNearestCoast } = coastIndex;
+    const { isPointInRing, buildLandIndex, locateInIndex } = landIndex;
+
+    // --- Zone Thresholds (km) ---
+    const ZONE_COASTAL_KM = 1;     // 1000m (1km)
+    const ZONE_SHELF_KM = 100;     // 100km
+    const ZONE_FAR_KM = 300;       // 300km
+
+    // Depth zones (m below sea level), used instead of SHELF/FAR/DEEP_OCEAN distance
+    // bands when bathymetry is available
+    const ZONE_SHELF_DEPTH_M = 200;    // Continental shelf edge
+    const ZONE_SLOPE_DEPTH_M = 3000;   // Foot of the continental slope and rise
+    const ZONE_ABYSSAL_DEPTH_M = 6000; // Abyssal plain; deeper is hadal (trenches)
+
+    // All thresholds in the shape options.zones takes (e.g. from a scenario)
+    const DEFAULT_ZONES = {
+        coastalKm: ZONE_COASTAL_KM,
+        shelfKm: ZONE_SHELF_KM,
+        farKm: ZONE_FAR_KM,
+        shelfDepthM: ZONE_SHELF_DEPTH_M,
+        slopeDepthM: ZONE_SLOPE_DEPTH_M,
+        abyssalDepthM: ZONE_ABYSSAL_DEPTH_M
+    };
+
+    // Rings entirely poleward of this are map-projection artifacts, not coastline
+    const POLAR_CAP_LAT = 89.99;
+
+    // Polygons are kept structured, like GeoJSON: { exterior: ring, holes: [ring, ...] }
+    // where a ring is [[lon, lat], ...]. Bare rings (older precomputed files) are
+    // wrapped as hole-less polygons.
+    function normalizePolygon(polygon) {
+        if (Array.isArray(polygon)) return { exterior: polygon, holes: [] };
+        return { exterior: polygon.exterior, holes: polygon.holes || [] };
+    }
+
+    // Every ring of every polygon, exteriors and holes alike
+    function polygonRings(polygons) {
+        const rings = [];
+        polygons.forEach(polygon => {
+            rings.push(polygon.exterior);
+            polygon.holes.forEach(hole => rings.push(hole));
+        });
+        return rings;
+    }
+
+    function polygonToVectors(polygon) {
+        return {
+            exterior: ringToVectors(polygon.exterior),
+            holes: polygon.holes.map(ringToVectors)
+        };
+    }
+
+    // Land data shape used throughout the engine:
+    // {
+    //   polygons: [{ exterior, holes }],   land
+    //   lakes: [{ exterior, holes }],      optional extra inland water (e.g. Great Lakes)
+    //   polygonVectors, lakeVectors,       same, as unit vectors for spherical tests
+    //   coastlineCoords: [[lon, lat], ...],
+    //   coastIndex                         nearest-shore index over every ring above
+    //   landIndex                          point-in-land grid over the land polygons
+    // }
+    // Vectors and both indexes are built once here; pass { buildIndex: false } to skip
+    // the indexes (land tests then ray-cast every ring), or { coastIndexOrder } from a precomputed land file to restore it
+    // without partitioning (only used when there are no extra lakes, which add rings).
+    function createLandData(polygons, options = {}) {
+        polygons = polygons.map(normalizePolygon);
+        const lakes = (options.lakes || []).map(normalizePolygon);
+        const rings = polygonRings(polygons).concat(polygonRings(lakes));
+
+        const coastlineCoords = [];
+        rings.forEach(ring => {
+            ring.forEach(coord => coastlineCoords.push(coord));
+        });
+
+        const polygonVectors = polygons.map(polygonToVectors);
+        return {
+            polygons,
+            lakes,
+            polygonVectors,
+            lakeVectors: lakes.map(polygonToVectors),
+            coastlineCoords,
+            coastIndex: options.buildIndex === false ? null :
+                buildCoastIndex(rings, lakes.length === 0 ? options.coastIndexOrder : null),
+            landIndex: options.buildIndex === false ? null : buildLandIndex(polygonVectors)
+        };
+    }
+
+    // Structured polygons from any GeoJSON-ish input (FeatureCollection, Feature,
+    // GeometryCollection or bare geometry)
+    function extractPolygons(features) {
+        const polygons = [];
+        if (!features) return polygons;
+
+        const isRing = (ring) => Array.isArray(ring) && ring.length > 0 &&
+            Array.isArray(ring[0]) && typeof ring[0][0] === 'number';
+
+        // world-atlas closes Antarctica with a ring hugging the South Pole (-89.999°) so it
+        // fills flat maps. On the sphere its coastline already encloses the pole, and that
+        // ring would cut a lake out of the pole itself.
+        const isPolarCap = (ring) => ring.every(([, lat]) => Math.abs(lat) >= POLAR_CAP_LAT);
+
+        const processPolygon = (rings) => {
+            const valid = rings.filter(isRing);
+            if (valid.length === 0) return;
+            // First ring is exterior, the rest are holes (lakes, lagoons)
+            polygons.push({ exterior: valid[0], holes: valid.slice(1).filter(ring => !isPolarCap(ring)) });
+        };
+
+        const processCoords = (coords, type) => {
+            if (!coords) return;
+
+            if (type === 'Polygon') {
+                processPolygon(coords);
+            } else if (type === 'MultiPolygon') {
+                coords.forEach(polygon => processPolygon(polygon));
+            } else {
+                // Unknown structure, try to detect
+                if (isRing(coords)) {
+                    processPolygon([coords]);
+                } else if (Array.isArray(coords[0])) {
+                    coords.forEach(c => processCoords(c));
+                }
+            }
+        };
+
+        // Handle different GeoJSON structures
+        if (features.features) {
+            features.features.forEach(f => {
+                if (f.geometry) {
+                    processCoords(f.geometry.coordinates, f.geometry.type);
+                }
+            });
+        } else if (features.geometry) {
+            processCoords(features.geometry.coordinates, features.geometry.type);
+        } else if (features.geometries) {
+            features.geometries.forEach(g => {
+                processCoords(g.coordinates, g.type);
+            });
+        } else if (features.type === 'Polygon' || features.type === 'MultiPolygon') {
+            processCoords(features.coordinates, features.type);
+        }
+
+        return polygons;
+    }
+
+    // Extract coastline coordinates AND polygons from GeoJSON land features.
+    // options.lakeFeatures: optional GeoJSON of extra lakes treated as inland water.
+    function extractLandData(landFeatures, options = {}) {
+        if (!landFeatures) {
+            console.error("No landFeatures available");
+        }
+        const polygons = extractPolygons(landFeatures);
+        if (landFeatures && polygons.length === 0) {
+            console.warn("No land polygons extracted! Structure:", landFeatures);
+        }
+        return createLandData(polygons, {
+            buildIndex: options.buildIndex,
+            lakes: extractPolygons(options.lakeFeatures)
+        });
+    }
+
+    // Nearest point on any coastline segment: { distanceKm, lat, lon }
+    function getNearestCoast(lat, lon, land) {
+        if (!land) return { distanceKm: Infinity, lat: null, lon: null };
+        if (land.coastIndex) return queryNearestCoast(land.coastIndex, lat, lon);
+
+        // No index: exact but slow scan over every segment of every ring
+        const best = { distanceKm: Infinity, lat: null, lon: null };
+        polygonRings(land.polygons).concat(polygonRings(land.lakes || [])).forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [aLon, aLat] = ring[i];
+                const [bLon, bLat] = ring[i + 1];
+                if (Math.abs(bLon - aLon) > 180) continue; // Dateline artifact
+                const hit = nearestPointOnSegment(lat, lon, aLat, aLon, bLat, bLon);
+                if (hit.distanceKm < best.distanceKm) Object.assign(best, hit);
+            }
+        });
+        return best;
+    }
+
+    // Minimum distance to any coastline segment (km)
+    function getDistanceToCoast(lat, lon, land) {
+        return getNearestCoast(lat, lon, land).distanceKm;
+    }
+
+    // Ring vertices as packed unit vectors [x0, y0, z0, x1, ...] for spherical tests
+    function ringToVectors(ring) {
+        const vectors = new Float64Array(ring.length * 3);
+        ring.forEach(([lon, lat], i) => {
+            const v = toUnitVector(lat, lon);
+            vectors[i * 3] = v[0];
+            vectors[i * 3 + 1] = v[1];
+            vectors[i * 3 + 2] = v[2];
+        });
+        return vectors;
+    }
+
+    // Even-odd rule across all of a polygon's rings: inside the exterior and an even
+    // number of holes. Works for holes-within-holes no matter how rings are wound.
+    function isPointInPolygonVectors(lon, lat, polygonVectors) {
+        if (!isPointInRing(lon, lat, polygonVectors.exterior)) return false;
+        let inside = true;
+        for (const hole of polygonVectors.holes) {
+            if (isPointInRing(lon, lat, hole)) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Named areas (EEZs, seas) from a FeatureCollection: each polygon as unit vectors with
+    // a plain [west, south, east, north] box to skip most of them cheaply. describe(props,
+    // feature) gives the value a lookup returns for the feature's polygons.
+    function createPolygonLookup(features, describe) {
+        const entries = [];
+        ((features && features.features) || []).forEach(feature => {
+            const value = describe(feature.properties || {}, feature);
+            extractPolygons(feature).forEach(polygon => {
+                const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+                polygon.exterior.forEach(([lon, lat], i) => {
+                    bbox[0] = Math.min(bbox[0], lon);
+                    bbox[1] = Math.min(bbox[1], lat);
+                    bbox[2] = Math.max(bbox[2], lon);
+                    bbox[3] = Math.max(bbox[3], lat);
+                    // Rings across the dateline get the full longitude range
+                    const next = polygon.exterior[i + 1];
+                    if (next && Math.abs(next[0] - lon) > 180) [bbox[0], bbox[2]] = [-180, 180];
+                });
+                entries.push({ value, bbox, polygon: polygonToVectors(polygon) });
+            });
+        });
+        return { entries };
+    }
+
+    // Value of the first area containing the point (the earlier feature where areas
+    // overlap), or null outside all of them
+    function lookupPolygon(lookup, lat, lon) {
+        if (!lookup) return null;
+        for (const entry of lookup.entries) {
+            const [west, south, east, north] = entry.bbox;
+            if (lon < west || lon > east || lat < south || lat > north) continue;
+            if (isPointInPolygonVectors(lon, lat, entry.polygon)) return entry.value;
+        }
+        return null;
+    }
+
+    // Point-in-polygon for a structured { exterior, holes } polygon or a bare ring
+    function isPointInPolygon(lon, lat, polygon) {
+        return isPointInPolygonVectors(lon, lat, polygonToVectors(normalizePolygon(polygon)));
+    }
+
+    // 'LAND', 'LAKE' (polygon hole or extra lake polygon) or 'WATER' (open sea)
+    function locatePoint(lon, lat, land) {
+        if (land.landIndex) {
+            const location = locateInIndex(land.landIndex, lon, lat);
+            return location === 'WATER' ? locateLake(lon, lat, land) : location;
+        }
+
+        const polygonVectors = land.polygonVectors || land.polygons.map(p => polygonToVectors(normalizePolygon(p)));
+        let inHole = false;
+
+        for (const polygon of polygonVectors) {
+            if (!isPointInRing(lon, lat, polygon.exterior)) continue;
+            if (isPointInPolygonVectors(lon, lat, polygon)) return 'LAND';
+            // Inside the exterior but cut out by a hole: inland water, unless an
+            // island polygon further down the list claims the point
+            inHole = true;
+        }
+        if (inHole) return 'LAKE';
+        return locateLake(lon, lat, land);
+    }
+
+    // 'LAKE' inside one of the extra lake polygons, 'WATER' otherwise
+    function locateLake(lon, lat, land) {
+        for (const lake of land.lakeVectors || []) {
+            if (isPointInPolygonVectors(lon, lat, lake)) return 'LAKE';
+        }
+        return 'WATER';
+    }
+
+    // Check if point is on land using polygon test (more accurate than pixels).
+    // Lakes are not land here; getTerrainTypeWithDistance decides whether they are droppable.
+    function isOnLandPolygon(lon, lat, land) {
+        return locatePoint(lon, lat, land) === 'LAND';
+    }
+
+    // Can a drop land here? Open water, and lakes when options.lakes is set (the same
+    // rule as getTerrainTypeWithDistance, without the coastline search)
+    function isDropWater(lon, lat, land, options = {}) {
+        const location = locatePoint(lon, lat, land);
+        return location === 'WATER' || (location === 'LAKE' && !!options.lakes);
+    }
+
+    // Depth zone for an ocean depth in metres
+    function classifyDepth(depthM, zones = DEFAULT_ZONES) {
+        if (depthM < zones.shelfDepthM) return 'SHELF';
+        if (depthM < zones.slopeDepthM) return 'SLOPE';
+        if (depthM < zones.abyssalDepthM) return 'ABYSSAL';
+        return 'TRENCH';
+    }
+
+    // Returns { type: string, distanceKm: number, nearestCoast: { lat, lon } | null, depthM: number | null }
+    // options.lakes: treat lakes as droppable water (type 'LAKE') instead of land
+    // options.depthModel: (lat, lon) => depth in m (NaN if unknown), e.g.
+    //   OceanBathymetry.createDepthModel(grid); ocean zones then follow real depth
+    // options.zones: thresholds overriding DEFAULT_ZONES
+    function getTerrainTypeWithDistance(lon, lat, land, options = {}) {
+        const zones = options.zones || DEFAULT_ZONES;
+        // PRIMARY: Polygon-based land check (accurate geometric test)
+        const location = locatePoint(lon, lat, land);
+        if (location === 'LAND' || (location === 'LAKE' && !options.lakes)) {
+            return { type: 'LAND', distanceKm: 0, nearestCoast: null, depthM: null };
+        }
+
+        const coast = getNearestCoast(lat, lon, land);
+        const distKm = coast.distanceKm;
+        const nearestCoast = coast.lat !== null ? { lat: coast.lat, lon: coast.lon } : null;
+
+        // Lakes get their own zone; distance is to the lake shore
+        if (location === 'LAKE') return { type: 'LAKE', distanceKm: distKm, nearestCoast, depthM: null };
+
+        const depth = options.depthModel ? options.depthModel(lat, lon) : NaN;
+        const depthM = Number.isFinite(depth) ? Math.max(0, depth) : null;
+        const result = (type) => ({ type, distanceKm: distKm, nearestCoast, depthM });
+
+        // Within swimming reach of the shore stays COASTAL whatever the depth
+        if (distKm <= zones.coastalKm) return result('COASTAL');
+
+        // SECONDARY: Depth-based zones where the bathymetry knows the depth...
+        if (depthM !== null) return result(classifyDepth(depthM, zones));
+
+        // ...otherwise distance bands
+        if (distKm <= zones.shelfKm) return result('SHELF');
+        if (distKm <= zones.farKm) return result('FAR');
+        return result('DEEP_OCEAN');
+    }
+
+    return {
+        ZONE_COASTAL_KM,
+        ZONE_SHELF_KM,
+        ZONE_FAR_KM,
+        ZONE_SHELF_DEPTH_M,
+        ZONE_SLOPE_DEPTH_M,
+        ZONE_ABYSSAL_DEPTH_M,
+        DEFAULT_ZONES,
+        classifyDepth,
+        createLandData,
+        extractPolygons,
+        extractLandData,
+        getNearestCoast,
+        getDistanceToCoast,
+        ringToVectors,
+        isPointInRing,
+        isPointInPolygon,
+        createPolygonLookup,
+        lookupPolygon,
+        locatePoint,
+        isOnLandPolygon,
+        isDropWater,
+        getTerrainTypeWithDistance
+    };
+});
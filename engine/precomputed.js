@@ -0,0 +1,128 @@
+// Precomputed land file (shared by browser and Node): structured polygons plus the
+// coastline index's segment order, so a page load skips both the TopoJSON extraction and
+// the index partitioning. Built by bin/build-land-precomputed.js. Polygon bounds are not
+// stored: the land index derives its own, with great-circle bulge and dateline wrapping,
+// in one pass over the rings (see engine/land-index.js).
+//
+// Version 2 dropped the plain lon/lat bbox version 1 kept per polygon (nothing read it,
+// and it was wrong for rings crossing ±180°).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./grid'), require('./coast-index'), require('./land'));
+    } else {
+        root.OceanPrecomputed = factory(root.OceanGrid, root.OceanCoastIndex, root.OceanLand);
+    }
+})(typeof self !== 'undefined' ? self : this, function (grid, coastIndexModule, landModule) {
+    'use strict';
+
+    const { encodeBase64, decodeBase64 } = grid;
+    const { buildCoastIndex } = coastIndexModule;
+    const { extractPolygons } = landModule;
+
+    const PRECOMPUTED_FORMAT = 'ocean-drop-land';
+    const PRECOMPUTED_VERSION = 2;
+
+    // FNV-1a over the UTF-16 code units of a string, as "fnv1a32:xxxxxxxx"
+    function checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `fnv1a32:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    // The checksummed part of the file; JSON numbers round-trip exactly, so a parsed
+    // file stringifies back to the text that was hashed
+    function payloadText(polygons, coastIndex) {
+        return JSON.stringify({ polygons, coastIndex });
+    }
+
+    // Exteriors and holes in the order createLandData hands them to the coast index
+    function polygonRings(polygons) {
+        const rings = [];
+        polygons.forEach(polygon => {
+            rings.push(polygon.exterior);
+            polygon.holes.forEach(hole => rings.push(hole));
+        });
+        return rings;
+    }
+
+    // Precomputed file object from land features (a TopoJSON-converted FeatureCollection);
+    // coordinates are rounded to `precision` decimals (6: ~0.1 m)
+    function buildPrecomputedLand(landFeatures, options = {}) {
+        const precision = options.precision ?? 6;
+        const factor = 10 ** precision;
+        const round = (value) => Math.round(value * factor) / factor;
+        const roundRing = (ring) => ring.map(([lon, lat]) => [round(lon), round(lat)]);
+
+        const polygons = extractPolygons(landFeatures).map(polygon => ({
+            exterior: roundRing(polygon.exterior),
+            holes: polygon.holes.map(roundRing)
+        }));
+        const index = buildCoastIndex(polygonRings(polygons));
+        const coastIndex = { segmentCount: index.order.length, order: encodeBase64(index.order.buffer) };
+
+        return {
+            format: PRECOMPUTED_FORMAT,
+            version: PRECOMPUTED_VERSION,
+            source: options.source || 'unknown',
+            generated: new Date().toISOString(),
+            precision,
+            counts: {
+                polygons: polygons.length,
+                holes: polygons.reduce((sum, polygon) => sum + polygon.holes.length, 0),
+                points: polygons.reduce((sum, polygon) => sum + polygon.exterior.length +
+                    polygon.holes.reduce((holeSum, hole) => holeSum + hole.length, 0), 0)
+            },
+            polygons,
+            coastIndex,
+            checksum: checksum(payloadText(polygons, coastIndex))
+        };
+    }
+
+    // Check format, version, shape and checksum; throws with the reason on a file that
+    // doesn't match, so callers can fall back to extracting from TopoJSON.
+    // Returns { source, polygons, coastIndexOrder } ready for createLandData.
+    function parsePrecomputedLand(json) {
+        if (!json || json.format !== PRECOMPUTED_FORMAT) throw new Error(`Not a ${PRECOMPUTED_FORMAT} file`);
+        if (json.version !== PRECOMPUTED_VERSION) {
+            throw new Error(`Unsupported ${PRECOMPUTED_FORMAT} version: ${json.version} (expected ${PRECOMPUTED_VERSION})`);
+        }
+
+        const isRing = (ring) => Array.isArray(ring) && ring.length > 0 &&
+            Array.isArray(ring[0]) && typeof ring[0][0] === 'number' && typeof ring[0][1] === 'number';
+        if (!Array.isArray(json.polygons) || !json.polygons.every(polygon => polygon &&
+            isRing(polygon.exterior) && Array.isArray(polygon.holes) && polygon.holes.every(isRing))) {
+            throw new Error('Malformed polygons');
+        }
+        const coastIndex = json.coastIndex;
+        if (!coastIndex || typeof coastIndex.order !== 'string' || !Number.isInteger(coastIndex.segmentCount)) {
+            throw new Error('Malformed coastIndex');
+        }
+
+        const actual = checksum(payloadText(json.polygons, coastIndex));
+        if (actual !== json.checksum) throw new Error(`Checksum mismatch: file says ${json.checksum}, data is ${actual}`);
+
+        // The order must be a permutation of every segment the rings produce
+        const order = new Uint32Array(decodeBase64(coastIndex.order));
+        let segmentCount = 0;
+        polygonRings(json.polygons).forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                if (Math.abs(ring[i + 1][0] - ring[i][0]) <= 180) segmentCount++; // As collectSegments
+            }
+        });
+        if (order.length !== coastIndex.segmentCount || order.length !== segmentCount) {
+            throw new Error(`Index covers ${order.length} segments, polygons have ${segmentCount}`);
+        }
+        const seen = new Uint8Array(order.length);
+        for (let i = 0; i < order.length; i++) {
+            if (order[i] >= order.length || seen[order[i]]) throw new Error('Index order is not a permutation');
+            seen[order[i]] = 1;
+        }
+
+        return { source: json.source, polygons: json.polygons, coastIndexOrder: order };
+    }
+
+    return { PRECOMPUTED_FORMAT, PRECOMPUTED_VERSION, buildPrecomputedLand, parsePrecomputedLand };
+});
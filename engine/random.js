@@ -0,0 +1,37 @@
+// Seeded random number generation (shared by browser and Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanRandom = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Mulberry32: tiny 32-bit PRNG, good enough for sampling and fully reproducible
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Fresh random seed (unsigned 32-bit) for runs without an explicit one
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Accepts numbers or numeric strings (e.g. from the URL), returns null if invalid
+    function parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0 || n > 4294967295 || Math.floor(n) !== n) return null;
+        return n >>> 0;
+    }
+
+    return { createRng, randomSeed, parseSeed };
+});
@@ -0,0 +1,190 @@
+// Replay of a saved run (shared by browser and Node): parses run files written by
+// OceanExport.toRunJson (or a bare JSON dump of sim.drops) and plays them back with the
+// same surface as OceanSimulation, plus seek(day) for a timeline.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'), require('./export'));
+    } else {
+        root.OceanReplay = factory(root.OceanRandom, root.OceanExport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (random, exporter) {
+    'use strict';
+
+    const { parseSeed } = random;
+    const { RUN_FORMAT, RUN_VERSION } = exporter;
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isText = (value) => typeof value === 'string';
+    const isPoint = (value) => !!value && typeof value === 'object' && isNumber(value.lat) && isNumber(value.lon);
+    const optional = (check) => (value) => value === undefined || value === null || check(value);
+
+    // { outcome, hours, landfall, trajectory: [[lon, lat], ...] } as OceanDrift makes it
+    function isDrift(drift) {
+        return !!drift && typeof drift === 'object' && isText(drift.outcome) && isNumber(drift.hours) &&
+            optional(isPoint)(drift.landfall) && Array.isArray(drift.trajectory) &&
+            drift.trajectory.every(p => Array.isArray(p) && isNumber(p[0]) && isNumber(p[1]));
+    }
+
+    function isJurisdiction(jurisdiction) {
+        return !!jurisdiction && typeof jurisdiction === 'object' &&
+            ['country', 'zone', 'eez', 'sovereign'].every(key => optional(isText)(jurisdiction[key]));
+    }
+
+    // Optional drop fields the page formats, charts and draws, as the engine writes them.
+    // Older dumps may lack any of them; a field of the wrong type would only fail later,
+    // in the middle of playback, so the whole file is refused instead.
+    const DROP_FIELD_CHECKS = {
+        locationType: optional(isText),
+        distanceKm: optional(isNumber),
+        nearestCoast: optional(isPoint),
+        depthM: optional(isNumber),
+        outcome: optional(isText),
+        survivalHours: optional(isNumber),
+        timeToShoreHours: optional(isNumber),
+        outcomeHours: optional(isNumber),
+        attempts: optional(value => Number.isInteger(value) && value >= 1),
+        drift: optional(isDrift),
+        jurisdiction: optional(isJurisdiction),
+        basin: optional(isText)
+    };
+
+    // { meta, stats, drops } from a run file, a { drops, stats } object or a drops array
+    function parseRunFile(json) {
+        const file = typeof json === 'string' ? JSON.parse(json) : json;
+        const drops = Array.isArray(file) ? file : file && file.drops;
+        if (!Array.isArray(drops)) throw new Error(`Not a ${RUN_FORMAT} file`);
+        if (file.format !== undefined && file.format !== RUN_FORMAT) throw new Error(`Not a ${RUN_FORMAT} file`);
+        if (file.version !== undefined && file.version !== RUN_VERSION) {
+            throw new Error(`Unsupported ${RUN_FORMAT} version: ${file.version}`);
+        }
+        drops.forEach((drop, i) => {
+            if (!drop || ![drop.day, drop.lat, drop.lon, drop.temp].every(Number.isFinite)) {
+                throw new Error(`Drop ${i + 1} needs numeric day, lat, lon and temp`);
+            }
+            Object.entries(DROP_FIELD_CHECKS).forEach(([field, check]) => {
+                if (!check(drop[field])) throw new Error(`Drop ${i + 1} has an invalid ${field}`);
+            });
+        });
+
+        const sorted = [...drops].sort((a, b) => a.day - b.day);
+        const meta = Object.assign({}, file.metadata);
+        meta.seed = parseSeed(meta.seed); // Shown in labels and reused for new runs: only a real seed
+        const lastDay = sorted.length > 0 ? sorted[sorted.length - 1].day : 0;
+        meta.totalDays = Math.max(meta.totalDays || 0, lastDay);
+        return { meta, stats: file.stats || null, drops: sorted };
+    }
+
+    // Stats as OceanSimulation had them after these drops. Attempt counts need the per-drop
+    // `attempts` field; older dumps fall back to the saved totals once the whole run is in.
+    function statsForDrops(drops, runStats = null, complete = false) {
+        const stats = { land: 0, coastal: 0, water: drops.length, survived: 0, driftLandfalls: 0, avgTemp: 0, totalAttempts: 0, landAttempts: 0 };
+        drops.forEach(drop => {
+            if (drop.locationType === 'COASTAL') stats.coastal++;
+            if (drop.outcome === 'SURVIVED') stats.survived++;
+            if (drop.drift && drop.drift.outcome === 'LANDFALL') stats.driftLandfalls++;
+            stats.avgTemp += drop.temp / drops.length;
+            if (drop.attempts) {
+                stats.totalAttempts += drop.attempts;
+                stats.landAttempts += drop.attempts - 1;
+            }
+        });
+        if (stats.totalAttempts === 0 && complete && runStats) {
+            stats.totalAttempts = runStats.totalAttempts || 0;
+            stats.landAttempts = runStats.landAttempts || 0;
+        }
+        return stats;
+    }
+
+    class ReplaySimulation {
+        // run: parseRunFile() result
+        // config: { onTick(drop, stats), onFinish(), onSeek(drops, stats) }
+        constructor(run, config = {}) {
+            this.run = run;
+            this.meta = run.meta;
+            this.seed = run.meta.seed ?? null;
+            this.totalDays = run.meta.totalDays;
+            this.currentDay = 0;
+            this.drops = [];
+            this.next = 0; // Index of the next drop to play in run.drops
+            this.stats = statsForDrops([]);
+            this.delay = 50; // ms
+            this.isRunning = false;
+            this.timer = null;
+            this.onTick = config.onTick || (() => { });
+            this.onFinish = config.onFinish || (() => { });
+            this.onSeek = config.onSeek || (() => { });
+        }
+
+        start() {
+            if (!this.isRunning && this.currentDay < this.totalDays) {
+                this.isRunning = true;
+                this.loop();
+            }
+        }
+
+        pause() {
+            this.isRunning = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Back to day 0
+        reset() {
+            this.pause();
+            this.currentDay = 0;
+            this.drops = [];
+            this.next = 0;
+            this.stats = statsForDrops([]);
+            this.onTick(null, this.stats);
+        }
+
+        // A saved run keeps its seed
+        setSeed() {
+            return false;
+        }
+
+        setSpeed(speedVal) {
+            const v = parseInt(speedVal);
+            this.delay = v >= 100 ? 0 : 200 - (v / 100 * 199);
+        }
+
+        // Jump to the end of a day: every drop up to it, in one go (onSeek, not onTick)
+        seek(day) {
+            this.currentDay = Math.max(0, Math.min(this.totalDays, Math.round(day)));
+            this.drops = this.run.drops.filter(d => d.day <= this.currentDay);
+            this.next = this.drops.length;
+            this.stats = statsForDrops(this.drops, this.run.stats, this.currentDay >= this.totalDays);
+            this.onSeek(this.drops, this.stats);
+        }
+
+        loop() {
+            this.timer = null;
+            if (!this.isRunning) return;
+            if (this.currentDay >= this.totalDays) {
+                this.isRunning = false;
+                this.onFinish();
+                return;
+            }
+
+            // Days without a drop (e.g. a filtered export) pass silently
+            this.currentDay++;
+            const dayDrops = [];
+            while (this.next < this.run.drops.length && this.run.drops[this.next].day <= this.currentDay) {
+                dayDrops.push(this.run.drops[this.next++]);
+            }
+            if (dayDrops.length > 0) {
+                this.drops.push(...dayDrops);
+                this.stats = statsForDrops(this.drops, this.run.stats, this.currentDay >= this.totalDays);
+                dayDrops.forEach(drop => this.onTick(drop, this.stats));
+            }
+
+            this.timer = setTimeout(() => this.loop(), dayDrops.length > 0 ? this.delay : 0);
+        }
+    }
+
+    return {
+        parseRunFile,
+        statsForDrops,
+        ReplaySimulation
+    };
+});
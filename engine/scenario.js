@@ -0,0 +1,286 @@
+// Scenarios (shared by browser and Node): run length, zone thresholds, temperature
+// bands and an optional sampling region, as one plain JSON object:
+// {
+//   name, totalDays,
+//   zones: { coastalKm, shelfKm, farKm, shelfDepthM, slopeDepthM, abyssalDepthM },
+//   temperature: { coldC, warmC },
+//   region: null
+//         | { type: 'bbox', west, south, east, north }     west > east crosses ±180°
+//         | { type: 'polygon', ring: [[lon, lat], ...] }   great-circle edges
+//         | { type: 'basin', basin: 'NORTH_ATLANTIC' }      see OceanBasins.BASINS
+// }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geo'), require('./land'), require('./basins'));
+    } else {
+        root.OceanScenario = factory(root.OceanGeo, root.OceanLand, root.OceanBasins);
+    }
+})(typeof self !== 'undefined' ? self : this, function (geo, landModule, basins) {
+    'use strict';
+
+    const { toUnitVector, fromVector } = geo;
+    const { DEFAULT_ZONES, ringToVectors, isPointInRing } = landModule;
+    const { BASINS, basinAt } = basins;
+
+    // Below/above these a drop counts as cold/warm water
+    const COLD_WATER_C = 4;
+    const WARM_WATER_C = 24;
+
+    // Region samplers give up after this many misses in a row (region all but empty)
+    const MAX_REGION_TRIES = 100000;
+    // Regions expected to get fewer hits than this in MAX_REGION_TRIES draws are refused
+    // up front: a miss streak that long then comes about once in e^20 drops
+    const MIN_EXPECTED_HITS = 20;
+    // Rows and columns of the lattice that looks for water in a region
+    const WATER_PROBE_STEPS = 64;
+
+    // Names end up in labels and run files; longer ones are cut
+    const MAX_NAME_LENGTH = 60;
+
+    const DEFAULT_SCENARIO = {
+        name: "Default",
+        totalDays: 1825,
+        zones: DEFAULT_ZONES,
+        temperature: { coldC: COLD_WATER_C, warmC: WARM_WATER_C },
+        region: null
+    };
+
+    // Built-in presets (user presets are saved alongside these by the page)
+    const PRESETS = [
+        DEFAULT_SCENARIO,
+        { name: "One Year", totalDays: 365 },
+        { name: "Ten Years", totalDays: 3650 },
+        { name: "North Atlantic Year", totalDays: 365, region: { type: 'basin', basin: 'NORTH_ATLANTIC' } },
+        { name: "Mediterranean Year", totalDays: 365, region: { type: 'bbox', west: -6, south: 30, east: 36, north: 46 } },
+        { name: "Southern Ocean Year", totalDays: 365, region: { type: 'basin', basin: 'SOUTHERN' } },
+        { name: "Swimmable Coast (5 km)", zones: { coastalKm: 5 } }
+    ].map(preset => normalizeScenario(preset));
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function normalizeRegion(region) {
+        if (!region) return null;
+        if (region.type === 'bbox') {
+            const { west, south, east, north } = region;
+            if (![west, south, east, north].every(isNumber)) throw new Error('Bounding box needs west, south, east and north');
+            if (south >= north || south < -90 || north > 90) throw new Error('Bounding box needs -90 <= south < north <= 90');
+            if (west < -180 || west > 180 || east < -180 || east > 180 || west === east) {
+                throw new Error('Bounding box needs distinct west and east in -180..180');
+            }
+            return { type: 'bbox', west, south, east, north };
+        }
+        if (region.type === 'polygon') {
+            const ring = region.ring;
+            if (!Array.isArray(ring) || ring.length < 3 || !ring.every(p => Array.isArray(p) && isNumber(p[0]) && isNumber(p[1]))) {
+                throw new Error('Polygon needs at least 3 [lon, lat] points');
+            }
+            return { type: 'polygon', ring: ring.map(([lon, lat]) => [lon, lat]) };
+        }
+        if (region.type === 'basin') {
+            if (!BASINS[region.basin]) throw new Error(`Unknown ocean basin: ${region.basin}`);
+            return { type: 'basin', basin: region.basin };
+        }
+        throw new Error(`Unknown region type: ${region.type}`);
+    }
+
+    // Scenarios also come from run files and storage: anything but a non-blank string is "Custom"
+    function normalizeName(name) {
+        const text = typeof name === 'string' ? name.trim() : '';
+        return text ? text.slice(0, MAX_NAME_LENGTH) : "Custom";
+    }
+
+    // Full scenario from a partial one (missing fields from DEFAULT_SCENARIO); throws on
+    // values the engine can't run with
+    function normalizeScenario(input = {}) {
+        const scenario = {
+            name: normalizeName(input.name),
+            totalDays: input.totalDays ?? DEFAULT_SCENARIO.totalDays,
+            zones: Object.assign({}, DEFAULT_SCENARIO.zones, input.zones),
+            temperature: Object.assign({}, DEFAULT_SCENARIO.temperature, input.temperature),
+            region: normalizeRegion(input.region)
+        };
+        if (!Number.isInteger(scenario.totalDays) || scenario.totalDays < 1) throw new Error('Duration must be a whole number of days');
+
+        const z = scenario.zones;
+        if (![z.coastalKm, z.shelfKm, z.farKm, z.shelfDepthM, z.slopeDepthM, z.abyssalDepthM].every(isNumber)) {
+            throw new Error('Zone thresholds must be numbers');
+        }
+        if (!(z.coastalKm >= 0 && z.coastalKm < z.shelfKm && z.shelfKm < z.farKm)) {
+            throw new Error('Distance zones must increase: coastal < shelf < far');
+        }
+        if (!(z.shelfDepthM > 0 && z.shelfDepthM < z.slopeDepthM && z.slopeDepthM < z.abyssalDepthM)) {
+            throw new Error('Depth zones must increase: shelf < slope < abyssal');
+        }
+
+        const t = scenario.temperature;
+        if (!isNumber(t.coldC) || !isNumber(t.warmC) || t.coldC >= t.warmC) {
+            throw new Error('Cold water cutoff must be below the warm water cutoff');
+        }
+        return scenario;
+    }
+
+    // Is a point inside the region? (No region: everywhere)
+    function regionContains(region, lon, lat) {
+        if (!region) return true;
+        switch (region.type) {
+            case 'bbox':
+                if (lat < region.south || lat > region.north) return false;
+                return region.west < region.east
+                    ? lon >= region.west && lon <= region.east
+                    : lon >= region.west || lon <= region.east;
+            case 'polygon':
+                return isPointInRing(lon, lat, region.vectors || ringToVectors(region.ring));
+            case 'basin':
+                return basinAt(lon, lat) === region.basin;
+        }
+        return false;
+    }
+
+    // Latitude band a polygon's great-circle edges stay within (edges sampled along
+    // their arc, since they bulge poleward of their end points)
+    function polygonLatBand(ring) {
+        let south = 90;
+        let north = -90;
+        ring.forEach((a, i) => {
+            const va = toUnitVector(a[1], a[0]);
+            const b = ring[(i + 1) % ring.length];
+            const vb = toUnitVector(b[1], b[0]);
+            for (let k = 0; k <= 16; k++) {
+                const t = k / 16;
+                const [lat] = fromVector([0, 1, 2].map(c => va[c] * (1 - t) + vb[c] * t));
+                south = Math.min(south, lat);
+                north = Math.max(north, lat);
+            }
+        });
+        return { south: Math.max(-90, south - 0.5), north: Math.min(90, north + 0.5) };
+    }
+
+    // Area of a polygon region in steradians: the side of the ring without the North Pole,
+    // as isPointInRing counts it. Sums the signed triangles fanned out from the pole; a
+    // ring that winds around the pole leaves the pole's side, so the region is the rest.
+    function polygonArea(ring) {
+        let sum = 0;
+        let winding = 0;
+        ring.forEach((a, i) => {
+            const b = ring[(i + 1) % ring.length];
+            const va = toUnitVector(a[1], a[0]);
+            const vb = toUnitVector(b[1], b[0]);
+            // Solid angle of (pole, a, b): 2 atan2(pole . (a x b), 1 + pole . a + pole . b + a . b)
+            const triple = va[0] * vb[1] - va[1] * vb[0];
+            const dot = va[0] * vb[0] + va[1] * vb[1] + va[2] * vb[2];
+            sum += 2 * Math.atan2(triple, 1 + va[2] + vb[2] + dot);
+            let dLon = b[0] - a[0];
+            if (dLon > 180) dLon -= 360;
+            else if (dLon < -180) dLon += 360;
+            winding += dLon;
+        });
+        const area = Math.abs(sum);
+        return Math.abs(winding) > 180 ? 4 * Math.PI - area : area;
+    }
+
+    // [west, span] of longitudes a ring's edges stay within: all of them for rings around
+    // a pole, else the complement of the widest gap between vertices (an edge's longitude
+    // runs monotonically between its end points')
+    function ringLonSpan(ring) {
+        let winding = 0;
+        ring.forEach((a, i) => {
+            let dLon = ring[(i + 1) % ring.length][0] - a[0];
+            if (dLon > 180) dLon -= 360;
+            else if (dLon < -180) dLon += 360;
+            winding += dLon;
+        });
+        if (Math.abs(winding) > 180) return [-180, 360];
+
+        const lons = ring.map(p => p[0]).sort((a, b) => a - b);
+        let gap = lons[0] + 360 - lons[lons.length - 1];
+        let west = lons[0];
+        for (let i = 1; i < lons.length; i++) {
+            if (lons[i] - lons[i - 1] > gap) {
+                gap = lons[i] - lons[i - 1];
+                west = lons[i];
+            }
+        }
+        return [west, 360 - gap];
+    }
+
+    // Does the region hold any water? Probes a WATER_PROBE_STEPS square lattice over the
+    // candidate area (rows evenly spaced in sin(lat), as the sampler draws). true when
+    // no lattice point falls in the region at all: too thin to tell, so not refused.
+    function regionHasWater(region, sinSouth, sinNorth, west, span, isWater) {
+        let inRegion = 0;
+        for (let i = 0; i < WATER_PROBE_STEPS; i++) {
+            const lat = Math.asin(sinSouth + (i + 0.5) / WATER_PROBE_STEPS * (sinNorth - sinSouth)) * 180 / Math.PI;
+            for (let j = 0; j < WATER_PROBE_STEPS; j++) {
+                let lon = west + (j + 0.5) / WATER_PROBE_STEPS * span;
+                if (lon >= 180) lon -= 360;
+                if (!regionContains(region, lon, lat)) continue;
+                if (isWater(lon, lat)) return true;
+                inRegion++;
+            }
+        }
+        return inRegion === 0;
+    }
+
+    // (random) => [lon, lat], uniform on the sphere within the region, or null without
+    // one (the simulation then samples the whole globe). Draws candidates from the
+    // region's latitude band (and longitude span, for boxes) and rejects the misses.
+    // Throws for polygons too small to sample and, given isWater(lon, lat) (e.g.
+    // OceanLand.isDropWater), for regions that are all land, so a scenario can be
+    // checked up front.
+    function createRegionSampler(region, isWater = null) {
+        if (!region) return null;
+
+        let band = { south: -90, north: 90 };
+        let west = -180;
+        let span = 360;
+        if (region.type === 'bbox') {
+            band = region;
+            west = region.west;
+            span = region.west < region.east ? region.east - region.west : region.east + 360 - region.west;
+        } else if (region.type === 'polygon') {
+            band = polygonLatBand(region.ring);
+            region = Object.assign({ vectors: ringToVectors(region.ring) }, region);
+        } else if (region.type === 'basin') {
+            band = BASINS[region.basin];
+        }
+        const sinSouth = Math.sin(band.south * Math.PI / 180);
+        const sinNorth = Math.sin(band.north * Math.PI / 180);
+
+        // Boxes are their own candidate area and basins are built in: only polygons can
+        // be degenerate or too small for the rejection loop, which their area tells
+        if (region.type === 'polygon') {
+            const candidateArea = 2 * Math.PI * (sinNorth - sinSouth);
+            if (polygonArea(region.ring) / candidateArea * MAX_REGION_TRIES < MIN_EXPECTED_HITS) {
+                throw new Error('Polygon region is empty or too small to drop into');
+            }
+        }
+        if (isWater) {
+            const [probeWest, probeSpan] = region.type === 'polygon' ? ringLonSpan(region.ring) : [west, span];
+            if (!regionHasWater(region, sinSouth, sinNorth, probeWest, probeSpan, isWater)) {
+                throw new Error('Region has no water to drop into');
+            }
+        }
+
+        return (random) => {
+            for (let i = 0; i < MAX_REGION_TRIES; i++) {
+                const lat = Math.asin(sinSouth + random() * (sinNorth - sinSouth)) * 180 / Math.PI;
+                let lon = west + random() * span;
+                if (lon >= 180) lon -= 360;
+                if (regionContains(region, lon, lat)) return [lon, lat];
+            }
+            throw new Error('Sampling region is empty or too small');
+        };
+    }
+
+    return {
+        COLD_WATER_C,
+        WARM_WATER_C,
+        DEFAULT_SCENARIO,
+        PRESETS,
+        normalizeScenario,
+        regionContains,
+        createRegionSampler
+    };
+});
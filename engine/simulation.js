@@ -0,0 +1,255 @@
+// Daily drop simulation engine (shared by browser and Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'), require('./sst'), require('./survival'), require('./basins'));
+    } else {
+        root.OceanSim = factory(root.OceanRandom, root.OceanSST, root.OceanSurvival, root.OceanBasins);
+    }
+})(typeof self !== 'undefined' ? self : this, function (random, sst, survival, basins) {
+    'use strict';
+
+    const { createRng, randomSeed, parseSeed } = random;
+    const { cosineTemperature } = sst;
+    const { assessSurvival } = survival;
+    const { createBasinModel } = basins;
+
+    class OceanSimulation {
+        constructor(config) {
+            this.totalDays = config.totalDays || 1825;
+            this.seed = parseSeed(config.seed) ?? randomSeed();
+            // Injected PRNG factory (seed -> () => [0, 1)), defaults to Mulberry32
+            this.createRng = config.createRng || createRng;
+            this.seedRandom();
+            this.currentDay = 0;
+            this.delay = 50; // ms
+            this.isRunning = false;
+            this.drops = [];
+            this.stats = {
+                land: 0,
+                coastal: 0,
+                water: 0,
+                survived: 0,
+                driftLandfalls: 0,
+                avgTemp: 0,
+                totalAttempts: 0,  // Track total random point attempts
+                landAttempts: 0   // Track how many hit land
+            };
+
+            // Callbacks
+            this.onTick = config.onTick || (() => { });
+            this.onFinish = config.onFinish || (() => { });
+            // (message) => void when a timer-driven run stops on an error (see loop)
+            this.onError = config.onError || ((message) => console.error("Simulation:", message));
+            this.onCheckLand = config.onCheckLand || (() => false); // External dependency
+            // (lat, lon, day) => °C, e.g. OceanSST.createTemperatureModel(grid)
+            this.temperatureModel = config.temperatureModel || null;
+            // (tempC, distanceKm) => { outcome, survivalHours, timeToShoreHours, outcomeHours }
+            this.assessSurvival = config.assessSurvival || assessSurvival;
+            // Optional (drop) => drift result, e.g. OceanDrift.createDriftModel(currents, land)
+            this.driftModel = config.driftModel || null;
+            // Optional (drop) => { country, zone, eez, sovereign },
+            // e.g. OceanCountries.createJurisdictionModel(countryIndex, eezIndex)
+            this.jurisdictionModel = config.jurisdictionModel || null;
+            // (drop) => sea or basin name, e.g. OceanBasins.createBasinModel(seaIndex);
+            // defaults to the ocean basins alone
+            this.basinModel = config.basinModel || createBasinModel(null);
+            // Optional (random) => [lon, lat] to sample a region instead of the whole globe,
+            // e.g. OceanScenario.createRegionSampler(region)
+            this.samplePoint = config.samplePoint || null;
+        }
+
+        start() {
+            if (!this.isRunning && this.currentDay < this.totalDays) {
+                this.isRunning = true;
+                this.loop();
+            }
+        }
+
+        pause() {
+            this.isRunning = false;
+        }
+
+        reset() {
+            this.isRunning = false;
+            this.currentDay = 0;
+            this.drops = [];
+            this.stats = { land: 0, coastal: 0, water: 0, survived: 0, driftLandfalls: 0, avgTemp: 0, totalAttempts: 0, landAttempts: 0 };
+            this.seedRandom(); // Same seed replays the same run
+            this.onTick(null, this.stats);
+        }
+
+        // Fresh PRNG for the seed; draws are counted so a checkpoint can pick up the stream
+        seedRandom() {
+            const rng = this.createRng(this.seed);
+            this.rngDraws = 0;
+            this.random = () => {
+                this.rngDraws++;
+                return rng();
+            };
+        }
+
+        // Plain-object snapshot of the run so far (JSON/structured-clone safe)
+        checkpoint() {
+            return {
+                seed: this.seed,
+                currentDay: this.currentDay,
+                rngDraws: this.rngDraws,
+                stats: Object.assign({}, this.stats),
+                drops: this.drops
+            };
+        }
+
+        // Continue from a checkpoint: same seed, PRNG advanced past the draws already made,
+        // so the rest of the run matches an uninterrupted one
+        restore(checkpoint) {
+            this.isRunning = false;
+            this.seed = parseSeed(checkpoint.seed) ?? this.seed;
+            this.seedRandom();
+            for (let i = 0; i < checkpoint.rngDraws; i++) this.random();
+            this.currentDay = checkpoint.currentDay;
+            this.drops = checkpoint.drops ? [...checkpoint.drops] : [];
+            this.stats = Object.assign({}, checkpoint.stats);
+        }
+
+        setSeed(seed) {
+            const parsed = parseSeed(seed);
+            if (parsed === null) return false;
+            this.seed = parsed;
+            this.reset();
+            return true;
+        }
+
+        setSpeed(speedVal) {
+            // speedVal 1-100.
+            // 1 = slow (200ms), 99 = fast (~3ms), 100 = as fast as possible (no delay;
+            // the worker host then simulates days in batches)
+            this.delay = speedVal >= 100 ? 0 : 200 - ((speedVal / 100) * 199);
+        }
+
+        // Run the remaining days synchronously (headless/batch use, no timers)
+        runToEnd() {
+            while (this.currentDay < this.totalDays) {
+                this.simulateDay(); // Throws rather than spin when no water turns up
+            }
+            this.isRunning = false;
+            this.onFinish();
+            return this.drops;
+        }
+
+        loop() {
+            if (!this.isRunning) return;
+
+            if (this.currentDay >= this.totalDays) {
+                this.isRunning = false;
+                this.onFinish();
+                return;
+            }
+
+            try {
+                this.simulateDay();
+            } catch (err) {
+                this.isRunning = false;
+                this.onError(err.message);
+                return;
+            }
+
+            setTimeout(() => this.loop(), this.delay);
+        }
+
+        simulateDay() {
+            let drop = null;
+            let attempts = 0;
+
+            // Retry loop (max attempts to prevent infinite freeze if map is broken)
+            while (attempts < 100) {
+                attempts++;
+
+                const [lon, lat] = this.samplePoint ? this.samplePoint(this.random) : this.sampleGlobe();
+
+                // Check location type - now returns { type, distanceKm }
+                const terrainInfo = this.onCheckLand(lon, lat);
+                const locationType = typeof terrainInfo === 'object' ? terrainInfo.type : terrainInfo;
+                const distanceKm = typeof terrainInfo === 'object' ? terrainInfo.distanceKm : null;
+                const nearestCoast = typeof terrainInfo === 'object' ? (terrainInfo.nearestCoast || null) : null;
+                const depthM = typeof terrainInfo === 'object' && terrainInfo.depthM !== undefined ? terrainInfo.depthM : null;
+
+                // Track attempts
+                this.stats.totalAttempts++;
+
+                if (locationType === 'LAND') {
+                    // Track land hit and retry
+                    this.stats.landAttempts++;
+                    continue;
+                }
+
+                // If we are here, it's WATER or COASTAL
+                this.currentDay++; // Only increment day on success
+
+                const temp = this.calculateTemperature(lat, lon, this.currentDay);
+                const fate = this.assessSurvival(temp, distanceKm);
+
+                drop = {
+                    day: this.currentDay,
+                    lon,
+                    lat,
+                    locationType,
+                    distanceKm, // Store distance for display
+                    nearestCoast, // { lat, lon } of closest coastline point
+                    depthM, // Ocean depth (m) from bathymetry, null if unknown
+                    temp,
+                    outcome: fate.outcome, // SURVIVED | DIED
+                    survivalHours: fate.survivalHours, // Expected time until hypothermia/exhaustion
+                    timeToShoreHours: fate.timeToShoreHours,
+                    outcomeHours: fate.outcomeHours, // Time of landfall or death
+                    attempts // Points tried for this drop; all but the last hit land
+                };
+                // { outcome: LANDFALL | SUCCUMBED, hours, landfall, trajectory }
+                drop.drift = this.driftModel ? this.driftModel(drop) : null;
+                drop.jurisdiction = this.jurisdictionModel ? this.jurisdictionModel(drop) : null;
+                drop.basin = this.basinModel(drop);
+
+                break;
+            }
+
+            // The day would never advance (a region or map with no water): stop the run
+            if (!drop) {
+                throw new Error(`No water found in ${attempts} tries on day ${this.currentDay + 1}: ` +
+                    "the sampling region may be all land");
+            }
+
+            this.drops.push(drop);
+
+            // Update stats
+            this.stats.water++;
+            if (drop.locationType === 'COASTAL') this.stats.coastal++;
+            if (drop.outcome === 'SURVIVED') this.stats.survived++;
+            if (drop.drift && drop.drift.outcome === 'LANDFALL') this.stats.driftLandfalls++;
+
+            // Running average for temp
+            this.stats.avgTemp += (drop.temp - this.stats.avgTemp) / this.currentDay;
+
+            this.onTick(drop, this.stats);
+        }
+
+        // Spherical Sampling: uniform over the whole globe
+        sampleGlobe() {
+            const u = this.random();
+            const v = this.random();
+
+            const latRad = Math.asin(2 * u - 1);
+            const lonRad = 2 * Math.PI * v;
+
+            const lat = latRad * (180 / Math.PI);
+            const lon = (lonRad * (180 / Math.PI)) - 180;
+            return [lon, lat];
+        }
+
+        calculateTemperature(lat, lon, day) {
+            if (this.temperatureModel) return this.temperatureModel(lat, lon, day);
+            // No grid loaded: latitude-only cosine model
+            return cosineTemperature(lat);
+        }
+    }
+
+    return { OceanSimulation };
+});
@@ -0,0 +1,77 @@
+// Sea surface temperature: gridded monthly climatology with cosine fallback (shared by browser and Node)
+//
+// Grid file format (data/sst-grid.json, see bin/build-sst-grid.js), on top of the
+// common grid header described in engine/grid.js:
+// {
+//   "format": "sst-grid", "version": 1, "source": "...",
+//   "lat0": -89.5, "lon0": -179.5, "dLat": 1, "dLon": 1, "nLat": 180, "nLon": 360,
+//   "months": 12, "scale": 0.01, "offset": 0, "missing": -32768,
+//   "data": "<base64>"                  °C
+// }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./grid'));
+    } else {
+        root.OceanSST = factory(root.OceanGrid);
+    }
+})(typeof self !== 'undefined' ? self : this, function (gridModule) {
+    'use strict';
+
+    const { readGridHeader, decodeGridValues, encodeGridValues, sampleGrid, dayOfYearForDay } = gridModule;
+
+    const SST_FORMAT = 'sst-grid';
+    const SST_VERSION = 1;
+    const SST_SCALE = 0.01;
+
+    // Simple model:
+    // Equator (0) = ~30C
+    // Poles (90) = ~-2C
+    // Cosine approximation: T = -2 + 32 * cos(latRad)
+    function cosineTemperature(lat) {
+        const latRad = lat * (Math.PI / 180);
+        return -2 + (32 * Math.cos(latRad));
+    }
+
+    // Validate a parsed grid file and unpack its values; throws on a bad file
+    function parseSstGrid(json) {
+        const grid = readGridHeader(json, SST_FORMAT, SST_VERSION);
+        grid.values = decodeGridValues(json, grid, json.data);
+        return grid;
+    }
+
+    // Pack °C values ([month][lat][lon], NaN = missing) into the grid file format
+    function encodeSstGrid(header, values) {
+        return Object.assign({ format: SST_FORMAT, version: SST_VERSION }, header, {
+            scale: SST_SCALE,
+            offset: 0,
+            missing: gridModule.MISSING_RAW,
+            data: encodeGridValues(values, SST_SCALE)
+        });
+    }
+
+    // SST (°C) at a location and day-of-year (0-364), blending the two nearest
+    // monthly means. NaN if the grid has no data around the point.
+    function sampleSst(grid, lat, lon, dayOfYear) {
+        return sampleGrid(grid, grid.values, lat, lon, dayOfYear);
+    }
+
+    // Temperature model (lat, lon, day) => °C: the grid where it has data, cosine elsewhere
+    function createTemperatureModel(grid) {
+        return (lat, lon, day) => {
+            if (grid) {
+                const sst = sampleSst(grid, lat, lon, dayOfYearForDay(day));
+                if (!Number.isNaN(sst)) return sst;
+            }
+            return cosineTemperature(lat);
+        };
+    }
+
+    return {
+        cosineTemperature,
+        parseSstGrid,
+        encodeSstGrid,
+        sampleSst,
+        dayOfYearForDay,
+        createTemperatureModel
+    };
+});
@@ -0,0 +1,82 @@
+// Survival-time model: how long until cold or exhaustion wins vs. how long to reach shore
+// (shared by browser and Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OceanSurvival = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Expected survival time in water (hours) by temperature (°C), midpoints of the
+    // US Coast Guard cold-water immersion table (after Hayward et al., 1975):
+    //   < 0.3°C: 15-45 min, 0.3-4.5°C: 30-90 min, 4.5-10°C: 1-3 h, 10-15.5°C: 1-6 h,
+    //   15.5-21°C: 2-40 h, 21-26.5°C: 3 h to indefinite, > 26.5°C: indefinite
+    // Interpolated log-linearly between points so the curve has no steps. Below the
+    // first point it stays flat; above the last ("indefinite") it keeps rising at the
+    // last segment's rate until the exhaustion limit takes over, near 29°C.
+    const IMMERSION_CURVE = [
+        [-2, 0.25],
+        [0.3, 0.5],
+        [4.5, 1],
+        [10, 2],
+        [15.5, 3.5],
+        [21, 12],
+        [26.5, 40]
+    ];
+
+    // Even in warm water nobody treads water forever: exhaustion and dehydration
+    const EXHAUSTION_LIMIT_HOURS = 72;
+
+    // Sustained open-water swimming speed for a fit adult, no current assistance
+    const SWIM_SPEED_KMH = 2;
+
+    // Expected time (hours) until hypothermia or exhaustion at a water temperature
+    function expectedSurvivalHours(tempC) {
+        const curve = IMMERSION_CURVE;
+        let hours;
+        if (tempC <= curve[0][0]) {
+            hours = curve[0][1];
+        } else if (tempC >= curve[curve.length - 1][0]) {
+            const [t0, h0] = curve[curve.length - 2];
+            const [t1, h1] = curve[curve.length - 1];
+            hours = Math.exp(Math.log(h1) + (tempC - t1) * (Math.log(h1) - Math.log(h0)) / (t1 - t0));
+        } else {
+            const i = curve.findIndex(([t]) => t > tempC);
+            const [t0, h0] = curve[i - 1];
+            const [t1, h1] = curve[i];
+            const f = (tempC - t0) / (t1 - t0);
+            hours = Math.exp(Math.log(h0) + f * (Math.log(h1) - Math.log(h0)));
+        }
+        return Math.min(hours, EXHAUSTION_LIMIT_HOURS);
+    }
+
+    // Straight-line swim to the nearest coast (hours); Infinity if no coast is known
+    function timeToShoreHours(distanceKm) {
+        if (distanceKm === null || distanceKm === undefined) return Infinity;
+        return distanceKm / SWIM_SPEED_KMH;
+    }
+
+    // { outcome: 'SURVIVED' | 'DIED', survivalHours, timeToShoreHours, outcomeHours }
+    // outcomeHours is when you reach shore (SURVIVED) or when you succumb (DIED)
+    function assessSurvival(tempC, distanceKm) {
+        const survivalHours = expectedSurvivalHours(tempC);
+        const shoreHours = timeToShoreHours(distanceKm);
+        const survived = shoreHours <= survivalHours;
+        return {
+            outcome: survived ? 'SURVIVED' : 'DIED',
+            survivalHours,
+            timeToShoreHours: shoreHours,
+            outcomeHours: survived ? shoreHours : survivalHours
+        };
+    }
+
+    return {
+        EXHAUSTION_LIMIT_HOURS,
+        SWIM_SPEED_KMH,
+        expectedSurvivalHours,
+        timeToShoreHours,
+        assessSurvival
+    };
+});
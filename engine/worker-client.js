@@ -0,0 +1,164 @@
+// Page-side stand-in for OceanSimulation that runs the engine in engine/worker.js
+// (browser only). Same surface as OceanSimulation as far as app.js is concerned:
+// seed, totalDays, currentDay, drops, stats, isRunning, start/pause/reset/setSeed/setSpeed,
+// checkpoint/restore, onTick(drop, stats) per drop and onFinish().
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'));
+    } else {
+        root.OceanWorkerClient = factory(root.OceanRandom);
+    }
+})(typeof self !== 'undefined' ? self : this, function (random) {
+    'use strict';
+
+    const { parseSeed, randomSeed } = random;
+
+    function emptyStats() {
+        return { land: 0, coastal: 0, water: 0, survived: 0, driftLandfalls: 0, avgTemp: 0, totalAttempts: 0, landAttempts: 0 };
+    }
+
+    // Workers need http(s): browsers refuse to start them from file:// pages
+    function canUseWorker() {
+        return typeof Worker !== 'undefined' && typeof location !== 'undefined' && location.protocol !== 'file:';
+    }
+
+    class WorkerSimulation {
+        // config: { workerUrl, data: { polygons, coastIndexOrder, lakes, sstGrid, bathymetry, currents,
+        //                               countryFeatures, eezFeatures, basinFeatures },
+        //           seed, lakes, drift, scenario, speed, onTick, onFinish, onError }
+        constructor(config) {
+            this.totalDays = config.scenario ? config.scenario.totalDays : 1825;
+            this.seed = parseSeed(config.seed) ?? randomSeed();
+            this.currentDay = 0;
+            this.drops = [];
+            this.stats = emptyStats();
+            this.rngDraws = 0; // Worker's PRNG position as of the last batch, for checkpoints
+            this.isRunning = false;
+            this.onTick = config.onTick || (() => { });
+            this.onFinish = config.onFinish || (() => { });
+            this.onError = config.onError || ((message) => console.error("Simulation worker:", message));
+            this.generation = 0; // Bumped on every reset; older batches still in flight are ignored
+
+            this.worker = new Worker(config.workerUrl || 'engine/worker.js');
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.onError(event.message);
+            this.worker.postMessage({
+                type: 'init',
+                data: config.data,
+                seed: this.seed,
+                lakes: !!config.lakes,
+                drift: !!config.drift,
+                scenario: config.scenario,
+                speed: config.speed !== undefined ? config.speed : 50
+            });
+        }
+
+        start() {
+            if (!this.isRunning && this.currentDay < this.totalDays) {
+                this.isRunning = true;
+                this.worker.postMessage({ type: 'start' });
+            }
+        }
+
+        pause() {
+            this.isRunning = false;
+            this.worker.postMessage({ type: 'pause' });
+        }
+
+        // Clear local state; the worker is told separately (reset, setSeed or configure)
+        clear() {
+            this.isRunning = false;
+            this.currentDay = 0;
+            this.drops = [];
+            this.stats = emptyStats();
+            this.rngDraws = 0;
+            this.generation++;
+            this.onTick(null, this.stats);
+        }
+
+        reset() {
+            this.clear();
+            this.worker.postMessage({ type: 'reset', generation: this.generation });
+        }
+
+        setSeed(seed) {
+            const parsed = parseSeed(seed);
+            if (parsed === null) return false;
+            this.seed = parsed;
+            this.clear();
+            this.worker.postMessage({ type: 'setSeed', seed: parsed, generation: this.generation });
+            return true;
+        }
+
+        // Run setup that changes the drops (lakes droppable, current drift, scenario, land
+        // polygons as { polygons, coastIndexOrder } when the resolution changes); restarts the run
+        configure(options) {
+            if (options.scenario) this.totalDays = options.scenario.totalDays;
+            this.clear();
+            this.worker.postMessage({
+                type: 'configure',
+                lakes: !!options.lakes,
+                drift: !!options.drift,
+                scenario: options.scenario,
+                land: options.land || null,
+                generation: this.generation
+            });
+        }
+
+        // Same shape as OceanSimulation.checkpoint(); matches the batches received so far
+        checkpoint() {
+            return {
+                seed: this.seed,
+                currentDay: this.currentDay,
+                rngDraws: this.rngDraws,
+                stats: Object.assign({}, this.stats),
+                drops: this.drops
+            };
+        }
+
+        // Continue from a checkpoint; the worker only needs the PRNG position and stats
+        restore(checkpoint) {
+            this.clear();
+            this.seed = parseSeed(checkpoint.seed) ?? this.seed;
+            this.currentDay = checkpoint.currentDay;
+            this.rngDraws = checkpoint.rngDraws;
+            this.drops = checkpoint.drops ? [...checkpoint.drops] : [];
+            this.stats = Object.assign({}, checkpoint.stats);
+            this.worker.postMessage({
+                type: 'restore',
+                checkpoint: Object.assign({}, checkpoint, { seed: this.seed, drops: [] }),
+                generation: this.generation
+            });
+        }
+
+        setSpeed(speedVal) {
+            this.worker.postMessage({ type: 'setSpeed', speed: +speedVal });
+        }
+
+        handleMessage(msg) {
+            if (msg.type === 'error') {
+                // The worker stops on errors; mirror that so start() can retry
+                this.isRunning = false;
+                this.onError(msg.message);
+                return;
+            }
+            if (msg.generation !== undefined && msg.generation !== this.generation) return;
+
+            if (msg.type === 'drops') {
+                // Stats only come per batch; hand them over with the batch's last drop
+                this.stats = msg.stats;
+                this.rngDraws = msg.rngDraws;
+                msg.drops.forEach((drop, i) => {
+                    this.drops.push(drop);
+                    this.currentDay = drop.day;
+                    this.onTick(drop, i === msg.drops.length - 1 ? this.stats : null);
+                });
+            } else if (msg.type === 'finish') {
+                this.isRunning = false;
+                this.onFinish();
+            }
+        }
+    }
+
+    return { WorkerSimulation, canUseWorker };
+});
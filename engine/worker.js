@@ -0,0 +1,175 @@
+// Web Worker host for the simulation (browser only, see engine/worker-client.js).
+// Land checks, drift and the day loop run here; drops and stats are posted back to
+// the page in batches so rendering never waits on the engine.
+//
+// Messages in:  init { data, seed, lakes, drift, scenario, speed }, start, pause,
+//               reset { generation }, setSeed { seed, generation },
+//               configure { lakes, drift, scenario, generation }, setSpeed { speed },
+//               restore { checkpoint, generation }
+// Messages out: ready, drops { drops, stats, rngDraws, generation }, finish { generation },
+//               error { message }
+importScripts(
+    'random.js', 'geo.js', 'grid.js', 'coast-index.js', 'land-index.js', 'land.js', 'countries.js',
+    'sst.js', 'bathymetry.js', 'basins.js', 'survival.js', 'drift.js', 'simulation.js', 'scenario.js'
+);
+
+(function () {
+    'use strict';
+
+    const { createLandData, getTerrainTypeWithDistance, isDropWater } = OceanLand;
+    const { createTemperatureModel } = OceanSST;
+    const { createDepthModel } = OceanBathymetry;
+    const { createDriftModel } = OceanDrift;
+    const { createCountryIndex, createEezIndex, createJurisdictionModel } = OceanCountries;
+    const { createSeaIndex, createBasinModel } = OceanBasins;
+    const { OceanSimulation } = OceanSim;
+    const { normalizeScenario, createRegionSampler } = OceanScenario;
+
+    // At full speed, simulate this long before posting a batch back
+    const BATCH_MS = 30;
+
+    let sim = null;
+    let land = null;
+    let lakePolygons = [];
+    let currents = null;
+    let depthModel = null;
+    let lakes = false;
+    let drift = false;
+    let zones = null;
+    let generation = 0; // Echoed on every batch so the page can drop stale ones after a reset
+    let pending = [];
+    let timer = null;
+
+    function stop() {
+        sim.isRunning = false;
+        clearTimeout(timer);
+        timer = null;
+        pending = [];
+    }
+
+    function flush() {
+        if (pending.length === 0) return;
+        self.postMessage({ type: 'drops', drops: pending, stats: sim.stats, rngDraws: sim.rngDraws, generation });
+        pending = [];
+    }
+
+    // One tick: a single day at normal speeds, as many days as fit in BATCH_MS at full speed.
+    // Runs from setTimeout, outside onmessage's try/catch, so it reports its own errors.
+    function step() {
+        timer = null;
+        if (!sim.isRunning) return;
+
+        try {
+            const started = Date.now();
+            do {
+                sim.simulateDay();
+            } while (sim.delay === 0 && sim.currentDay < sim.totalDays && Date.now() - started < BATCH_MS);
+            flush();
+        } catch (err) {
+            stop();
+            self.postMessage({ type: 'error', message: err.message });
+            return;
+        }
+
+        if (sim.currentDay >= sim.totalDays) {
+            sim.isRunning = false;
+            self.postMessage({ type: 'finish', generation });
+            return;
+        }
+        timer = setTimeout(step, sim.delay);
+    }
+
+    // Duration, zone thresholds and sampling region (see engine/scenario.js); the drift
+    // model follows, as landfall means reaching the scenario's coastal zone
+    function applyScenario(input) {
+        const scenario = normalizeScenario(input);
+        sim.totalDays = scenario.totalDays;
+        zones = scenario.zones;
+        sim.driftModel = drift ? createDriftModel(currents, land, { coastalKm: zones.coastalKm }) : null;
+        try {
+            sim.samplePoint = createRegionSampler(scenario.region, (lon, lat) => isDropWater(lon, lat, land, { lakes }));
+        } catch (err) {
+            // A region with no water: report it now, and again on every start
+            sim.samplePoint = () => { throw err; };
+            self.postMessage({ type: 'error', message: err.message });
+        }
+    }
+
+    function init(msg) {
+        const data = msg.data;
+        lakePolygons = data.lakes || [];
+        land = createLandData(data.polygons, { lakes: lakePolygons, coastIndexOrder: data.coastIndexOrder });
+        currents = data.currents || null;
+        depthModel = createDepthModel(data.bathymetry);
+        lakes = !!msg.lakes;
+        drift = !!msg.drift;
+
+        sim = new OceanSimulation({
+            seed: msg.seed,
+            temperatureModel: createTemperatureModel(data.sstGrid),
+            jurisdictionModel: createJurisdictionModel(
+                data.countryFeatures ? createCountryIndex(data.countryFeatures) : null,
+                data.eezFeatures ? createEezIndex(data.eezFeatures) : null
+            ),
+            basinModel: createBasinModel(data.basinFeatures ? createSeaIndex(data.basinFeatures) : null),
+            onCheckLand: (lon, lat) => getTerrainTypeWithDistance(lon, lat, land, { lakes, depthModel, zones }),
+            onTick: (drop) => {
+                if (drop) pending.push(drop);
+            }
+        });
+        applyScenario(msg.scenario);
+        sim.setSpeed(msg.speed);
+        self.postMessage({ type: 'ready' });
+    }
+
+    self.onmessage = (event) => {
+        const msg = event.data;
+        try {
+            switch (msg.type) {
+                case 'init':
+                    init(msg);
+                    break;
+                case 'start':
+                    if (!sim.isRunning && sim.currentDay < sim.totalDays) {
+                        sim.isRunning = true;
+                        step();
+                    }
+                    break;
+                case 'pause':
+                    stop();
+                    break;
+                case 'reset':
+                    stop();
+                    generation = msg.generation;
+                    sim.reset();
+                    break;
+                case 'setSeed':
+                    stop();
+                    generation = msg.generation;
+                    sim.setSeed(msg.seed);
+                    break;
+                case 'configure':
+                    stop();
+                    generation = msg.generation;
+                    lakes = !!msg.lakes;
+                    if (msg.land) {
+                        land = createLandData(msg.land.polygons, { lakes: lakePolygons, coastIndexOrder: msg.land.coastIndexOrder });
+                    }
+                    drift = !!msg.drift;
+                    applyScenario(msg.scenario);
+                    sim.reset();
+                    break;
+                case 'setSpeed':
+                    sim.setSpeed(msg.speed);
+                    break;
+                case 'restore':
+                    stop();
+                    generation = msg.generation;
+                    sim.restore(msg.checkpoint);
+                    break;
+            }
+        } catch (err) {
+            self.postMessage({ type: 'error', message: err.message });
+        }
+    };
+})();
@@ -0,0 +1,142 @@
+// Hexbin map mode: aggregates drops into hexagonal cells (in projected viewBox units)
+// drawn as SVG paths inside the zoom group, coloured by a per-cell metric.
+class HexLayer {
+    // options: { projection, radius (viewBox units), onSelect(cell) }
+    constructor(parent, options) {
+        this.projection = options.projection;
+        this.radius = options.radius || 8;
+        this.onSelect = options.onSelect || (() => { });
+        this.g = parent.append("g")
+            .attr("class", "hex-layer")
+            .style("display", "none");
+        this.visible = false;
+        this.selectedKey = null;
+    }
+
+    // Takes effect on the next update()
+    setProjection(projection) {
+        this.projection = projection;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.g.style("display", visible ? null : "none");
+    }
+
+    // Outline one cell (by key), e.g. the one the log is filtered to; null clears
+    select(key) {
+        this.selectedKey = key;
+        this.g.selectAll("path").classed("selected", d => d.key === key);
+    }
+
+    // Pointy-top hex grid (same layout as d3-hexbin): cell indices for a point
+    cellFor(x, y) {
+        const dx = this.radius * Math.sqrt(3);
+        const dy = this.radius * 1.5;
+        let py = y / dy;
+        let pj = Math.round(py);
+        let px = x / dx - (pj & 1) / 2;
+        let pi = Math.round(px);
+        const py1 = py - pj;
+
+        // Near a row boundary the neighbouring row's centre may be closer
+        if (Math.abs(py1) * 3 > 1) {
+            const px1 = px - pi;
+            const pi2 = pi + (px < pi ? -1 : 1) / 2;
+            const pj2 = pj + (py < pj ? -1 : 1);
+            const px2 = px - pi2;
+            const py2 = py - pj2;
+            if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+                pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+                pj = pj2;
+            }
+        }
+        return { i: pi, j: pj, x: (pi + (pj & 1) / 2) * dx, y: pj * dy };
+    }
+
+    hexagon() {
+        const r = this.radius;
+        const corners = d3.range(6).map(k => {
+            const angle = k * Math.PI / 3;
+            return [Math.sin(angle) * r, -Math.cos(angle) * r];
+        });
+        return `M${corners.map(c => c.join(",")).join("L")}Z`;
+    }
+
+    // Group drops into cells: [{ key, x, y, drops, days }]
+    bin(drops) {
+        const cells = new Map();
+        drops.forEach(drop => {
+            const projected = DropLayer.projectVisible(this.projection, [drop.lon, drop.lat]);
+            if (!projected) return;
+            const c = this.cellFor(projected[0], projected[1]);
+            const key = `${c.i},${c.j}`;
+            if (!cells.has(key)) cells.set(key, { key, x: c.x, y: c.y, drops: [] });
+            cells.get(key).drops.push(drop);
+        });
+        return [...cells.values()].map(cell => Object.assign(cell, { days: new Set(cell.drops.map(d => d.day)) }));
+    }
+
+    // Redraw for the given drops and metric key (see HexLayer.METRICS);
+    // returns the metric's colour domain for the legend, or null when empty
+    update(drops, metricKey) {
+        const metric = HexLayer.METRICS[metricKey] || HexLayer.METRICS.count;
+        const cells = this.bin(drops);
+        cells.forEach(cell => { cell.value = metric.value(cell.drops); });
+
+        const domain = metric.domain(cells.map(c => c.value));
+        const color = d3.scaleSequential(metric.interpolator).domain(domain).clamp(true);
+        const hex = this.hexagon();
+
+        this.g.selectAll("path")
+            .data(cells, d => d.key)
+            .join("path")
+            .attr("class", "hex-cell")
+            .attr("d", hex)
+            .attr("transform", d => `translate(${d.x},${d.y})`)
+            .attr("fill", d => color(d.value))
+            .classed("selected", d => d.key === this.selectedKey)
+            .on("click", (event, d) => {
+                event.stopPropagation(); // Not a drop click on the map underneath
+                this.onSelect(d);
+            })
+            .selectAll("title")
+            .data(d => [d])
+            .join("title")
+            .text(d => `${d.drops.length} drops, ${metric.label}: ${metric.format(d.value)}`);
+
+        return cells.length > 0 ? { domain, metric } : null;
+    }
+}
+
+// Cell metrics: value over the cell's drops, colour domain over all cells
+HexLayer.METRICS = {
+    count: {
+        label: "Drops",
+        value: drops => drops.length,
+        domain: values => [0, d3.max(values) || 1],
+        interpolator: d3.interpolateYlOrRd,
+        format: v => `${v}`
+    },
+    temp: {
+        label: "Mean temp",
+        value: drops => d3.mean(drops, d => d.temp),
+        domain: () => [-2, 30],
+        interpolator: t => d3.interpolateRdYlBu(1 - t),
+        format: v => `${v.toFixed(1)}°C`
+    },
+    distance: {
+        label: "Mean distance to coast",
+        value: drops => d3.mean(drops, d => d.distanceKm || 0),
+        domain: values => [0, d3.max(values) || 1],
+        interpolator: d3.interpolateViridis,
+        format: v => `${v.toFixed(0)}km`
+    },
+    coastal: {
+        label: "Coastal hits",
+        value: drops => drops.filter(d => d.locationType === 'COASTAL').length / drops.length,
+        domain: values => [0, d3.max(values) || 1],
+        interpolator: d3.interpolateReds,
+        format: v => `${(v * 100).toFixed(0)}%`
+    }
+};
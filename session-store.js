@@ -0,0 +1,81 @@
+// Run history in IndexedDB: checkpoints of live runs, so a reload can pick a run up again.
+// Two stores keep the history list cheap to read: "runs" holds one summary record per run
+// (everything but the drops), "drops" holds each run's drops under the same id.
+class SessionStore {
+    constructor(name = 'ocean-drop') {
+        this.name = name;
+        this.db = null;
+    }
+
+    // False where IndexedDB is missing (old browsers, some private modes)
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, SessionStore.VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('runs')) db.createObjectStore('runs', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('drops')) db.createObjectStore('drops');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run the callback on the stores inside one transaction; resolves with its result
+    // once the transaction has committed
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['runs', 'drops'], mode);
+            const request = callback(tx.objectStore('runs'), tx.objectStore('drops'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // record: { id, ..., drops }
+    save(record) {
+        const { drops, ...summary } = record;
+        return this.transaction('readwrite', (runs, dropStore) => {
+            runs.put(summary);
+            dropStore.put(drops, record.id);
+        });
+    }
+
+    // Summary records, most recently updated first
+    async list() {
+        const records = await this.transaction('readonly', runs => runs.getAll());
+        return records.sort((a, b) => b.updated - a.updated);
+    }
+
+    // Full record with its drops, or null
+    async load(id) {
+        let summary = null;
+        let drops = null;
+        await this.transaction('readonly', (runs, dropStore) => {
+            const summaryRequest = runs.get(id);
+            const dropsRequest = dropStore.get(id);
+            summaryRequest.onsuccess = () => { summary = summaryRequest.result || null; };
+            dropsRequest.onsuccess = () => { drops = dropsRequest.result || []; };
+        });
+        return summary ? Object.assign(summary, { drops }) : null;
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', (runs, dropStore) => {
+            runs.delete(id);
+            dropStore.delete(id);
+        });
+    }
+}
+
+SessionStore.VERSION = 1;
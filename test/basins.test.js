@@ -0,0 +1,52 @@
+// Ocean basins: the lon/lat partition, marginal seas from data/basins.json, and batch shares
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { BASINS, basinAt, createSeaIndex, createBasinModel, summarizeBatch } = require('../engine');
+
+const SEAS = createSeaIndex(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'basins.json'), 'utf8')));
+
+test('open water falls in the basin its coasts bound', () => {
+    const cases = [
+        [-40, 30, 'NORTH_ATLANTIC'], // Mid-Atlantic
+        [-20, -30, 'SOUTH_ATLANTIC'],
+        [-150, 20, 'NORTH_PACIFIC'], // Off Hawaii
+        [-120, -30, 'SOUTH_PACIFIC'],
+        [179.9, -20, 'SOUTH_PACIFIC'], // Either side of the dateline
+        [-179.9, -20, 'SOUTH_PACIFIC'],
+        [80, -20, 'INDIAN'],
+        [0, -65, 'SOUTHERN'],
+        [0, 85, 'ARCTIC'],
+        [-95, 10, 'NORTH_PACIFIC'], // Off Central America, Pacific side
+        [-80, 25, 'NORTH_ATLANTIC'] // Florida Straits, Atlantic side
+    ];
+    cases.forEach(([lon, lat, basin]) => assert.strictEqual(basinAt(lon, lat), basin, `${lon}, ${lat}`));
+});
+
+test('marginal seas take their own name, other water its ocean', () => {
+    const model = createBasinModel(SEAS);
+    const basin = (lon, lat, locationType = 'DEEP_OCEAN') => model({ lon, lat, locationType });
+    assert.strictEqual(basin(18, 35), "Mediterranean Sea");
+    assert.strictEqual(basin(-75, 15), "Caribbean Sea");
+    assert.strictEqual(basin(114, 12), "South China Sea");
+    assert.strictEqual(basin(3, 56), "North Sea");
+    assert.strictEqual(basin(-40, 30), BASINS.NORTH_ATLANTIC.name);
+    assert.strictEqual(basin(-150, 20), BASINS.NORTH_PACIFIC.name);
+    assert.strictEqual(basin(50, 42, 'LAKE'), null, 'lakes are in no basin');
+
+    // Without outlines the seas fold into their oceans
+    assert.strictEqual(createBasinModel(null)({ lon: 18, lat: 35, locationType: 'DEEP_OCEAN' }), BASINS.NORTH_ATLANTIC.name);
+});
+
+test('a basin no drop of a run reached counts as a share of 0 for it', () => {
+    const summary = summarizeBatch([
+        { seed: 1, metrics: { 'basinShare_North Sea': 0.5, meanDepthM: 100 } },
+        { seed: 2, metrics: {} }
+    ]);
+    assert.strictEqual(summary.metrics['basinShare_North Sea'].mean, 0.25);
+    assert.strictEqual(summary.metrics['basinShare_North Sea'].min, 0);
+    assert.strictEqual(summary.metrics.meanDepthM.mean, 100, 'other optional metrics skip the run');
+});
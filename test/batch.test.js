@@ -0,0 +1,37 @@
+// Batch statistics: per-run metrics and their summary when runs have no drops or no distances
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeRun, summarizeBatch } = require('../engine');
+
+function drop(distanceKm) {
+    return { distanceKm, temp: 15, outcome: 'DIED', survivalHours: 3, outcomeHours: 3, locationType: 'ABYSSAL' };
+}
+
+function run(drops) {
+    return { seed: 1, drops, stats: { totalAttempts: drops.length, landAttempts: 0 } };
+}
+
+test('minDistanceKm is null without drops and skips drops with no distance', () => {
+    assert.strictEqual(summarizeRun(run([])).metrics.minDistanceKm, null);
+    assert.strictEqual(summarizeRun(run([drop(null), drop(null)])).metrics.minDistanceKm, null);
+    assert.strictEqual(summarizeRun(run([drop(null), drop(250), drop(40)])).metrics.minDistanceKm, 40);
+    assert.strictEqual(summarizeRun(run([drop(0), drop(12)])).metrics.minDistanceKm, 0);
+});
+
+test('the summary leaves null metrics out, and is all null when no run had one', () => {
+    const summary = summarizeBatch([
+        summarizeRun(run([drop(100)])),
+        summarizeRun(run([])),
+        summarizeRun(run([drop(300)]))
+    ]);
+    assert.strictEqual(summary.runs, 3);
+    assert.strictEqual(summary.metrics.minDistanceKm.mean, 200);
+    assert.strictEqual(summary.metrics.minDistanceKm.min, 100);
+    assert.strictEqual(summary.metrics.minDistanceKm.max, 300);
+
+    const empty = summarizeBatch([summarizeRun(run([]))]);
+    assert.deepStrictEqual(empty.metrics.minDistanceKm, { mean: null, sd: null, ci95Low: null, ci95High: null, min: null, max: null });
+    assert.strictEqual(empty.metrics.days.mean, 0);
+});
@@ -0,0 +1,68 @@
+// Depth zones: CSV -> bin/build-bathymetry-grid.js -> depth model -> getTerrainTypeWithDistance
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseBathymetryGrid, createDepthModel, classifyDepth, createLandData, getTerrainTypeWithDistance } = require('../engine');
+
+const BUILD = path.join(__dirname, '..', 'bin', 'build-bathymetry-grid.js');
+
+// Elevation (m) by 10° cell centre: a few marked cells, 4000 m deep elsewhere, land at (5, 85)
+const MARKED = { '5,5': -150, '5,25': -1000, '5,45': -4500, '5,65': -7000, '5,85': 120 };
+
+test('a built bathymetry grid zones drops by depth', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocean-depth-'));
+    try {
+        const rows = ['latitude,longitude,elevation'];
+        for (let lat = -85; lat < 90; lat += 10) {
+            for (let lon = -175; lon < 180; lon += 10) rows.push(`${lat},${lon},${MARKED[`${lat},${lon}`] ?? -4000}`);
+        }
+        const csv = path.join(dir, 'etopo.csv');
+        const out = path.join(dir, 'bathymetry-grid.json');
+        fs.writeFileSync(csv, rows.join('\n'));
+
+        const result = spawnSync(process.execPath, [BUILD, csv, '--res', '10', '--out', out, '--source', 'test'],
+            { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(result.status, 0, result.stderr);
+
+        const depthModel = createDepthModel(parseBathymetryGrid(JSON.parse(fs.readFileSync(out, 'utf8'))));
+        assert.strictEqual(depthModel(5, 45), 4500);
+        assert.ok(Number.isNaN(depthModel(5, 85)), 'land cell has no depth');
+
+        // A small island far from every test point, so distance bands alone would say DEEP_OCEAN
+        const land = createLandData([{ exterior: [[-100, -40], [-99, -40], [-99, -39], [-100, -39], [-100, -40]], holes: [] }]);
+        const zone = (lat, lon) => getTerrainTypeWithDistance(lon, lat, land, { depthModel });
+        assert.strictEqual(zone(5, 5).type, 'SHELF');
+        assert.strictEqual(zone(5, 5).depthM, 150);
+        assert.strictEqual(zone(5, 25).type, 'SLOPE');
+        assert.strictEqual(zone(5, 45).type, 'ABYSSAL');
+        assert.strictEqual(zone(5, 65).type, 'TRENCH');
+        assert.strictEqual(getTerrainTypeWithDistance(5, 5, land).type, 'DEEP_OCEAN', 'no depth model: distance bands');
+
+        // Within swimming reach of a shore stays COASTAL whatever the depth
+        assert.strictEqual(getTerrainTypeWithDistance(-99 + 0.005, -39.5, land, { depthModel }).type, 'COASTAL');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseBathymetryGrid rejects monthly grids', () => {
+    assert.throws(() => parseBathymetryGrid({ format: 'bathymetry-grid', version: 1, months: 12 }), /single layer/);
+});
+
+test('the shipped idealized grid puts the zones in the right places', () => {
+    const grid = parseBathymetryGrid(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'bathymetry-grid.json'), 'utf8')));
+    assert.match(grid.source, /not observations/);
+
+    const depth = createDepthModel(grid);
+    const zone = (lat, lon) => classifyDepth(depth(lat, lon));
+    assert.strictEqual(zone(11.35, 142.2), 'TRENCH', 'Challenger Deep');
+    assert.strictEqual(zone(-23, -71.5), 'TRENCH', 'Atacama Trench');
+    assert.strictEqual(zone(0, -150), 'ABYSSAL', 'central Pacific');
+    assert.strictEqual(zone(56, 3), 'SHELF', 'North Sea');
+    assert.ok(Number.isNaN(depth(20, 10)), 'Sahara');
+});
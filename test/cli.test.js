@@ -0,0 +1,113 @@
+// Headless batch CLI (bin/ocean-drop.js) output
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ocean-drop.js');
+
+function runCli(args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 120000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('JSON output summarizes every run and is reproducible for a seed', () => {
+    const args = ['--runs', '2', '--days', '30', '--seed', '5'];
+    const first = runCli(args);
+    assert.strictEqual(first.status, 0, first.stderr);
+    const output = JSON.parse(first.stdout);
+    assert.strictEqual(output.seed, 5);
+    assert.strictEqual(output.totalDays, 30);
+    assert.strictEqual(output.data, 'land-50m.json');
+    assert.strictEqual(output.summary.runs, 2);
+    const survival = output.summary.metrics.survivalRate;
+    assert.ok(survival, 'survivalRate metric');
+    assert.ok(survival.min >= 0 && survival.max <= 1);
+    assert.ok(survival.mean >= survival.min && survival.mean <= survival.max);
+
+    const second = runCli(args);
+    assert.strictEqual(second.stdout, first.stdout);
+});
+
+test('CSV output has one row per metric', () => {
+    const { status, stdout, stderr } = runCli(['--runs', '1', '--days', '10', '--seed', '3', '--format', 'csv']);
+    assert.strictEqual(status, 0, stderr);
+    const lines = stdout.trim().split('\n');
+    assert.strictEqual(lines[0], 'metric,mean,sd,ci95_low,ci95_high,min,max');
+    assert.ok(lines.length > 1);
+    lines.slice(1).forEach(line => assert.strictEqual(line.split(',').length, 7, line));
+});
+
+test('--runs-detail adds per-run metrics', () => {
+    const { status, stdout, stderr } = runCli(['--runs', '2', '--days', '10', '--seed', '3', '--runs-detail']);
+    assert.strictEqual(status, 0, stderr);
+    const output = JSON.parse(stdout);
+    assert.strictEqual(output.runs.length, 2);
+    assert.notStrictEqual(output.runs[0].seed, output.runs[1].seed);
+});
+
+test('bad options print the usage and exit with status 1', () => {
+    const unknown = runCli(['--bogus']);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown option: --bogus/);
+    assert.match(unknown.stderr, /Usage: ocean-drop/);
+
+    const runs = runCli(['--runs', '0']);
+    assert.strictEqual(runs.status, 1);
+    assert.match(runs.stderr, /--runs must be a positive integer/);
+});
+
+test('a scenario region with no water fails with status 1', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocean-drop-'));
+    const file = path.join(dir, 'sahara.json');
+    fs.writeFileSync(file, JSON.stringify({ name: "Sahara", totalDays: 10, region: { type: 'bbox', west: 5, south: 18, east: 25, north: 28 } }));
+    try {
+        const { status, stdout, stderr } = runCli(['--runs', '1', '--scenario', file]);
+        assert.strictEqual(status, 1);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, /Simulation failed: Region has no water to drop into/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a missing or malformed data file names it and exits with status 1', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocean-drop-'));
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(bad, '{ not json');
+    try {
+        const currents = runCli(['--runs', '1', '--days', '10', '--drift', '--currents', path.join(dir, 'missing.json')]);
+        assert.strictEqual(currents.status, 1);
+        assert.strictEqual(currents.stdout, '');
+        assert.match(currents.stderr, /Currents .*missing\.json: ENOENT/);
+
+        const eez = runCli(['--runs', '1', '--days', '10', '--eez', bad]);
+        assert.strictEqual(eez.status, 1);
+        assert.strictEqual(eez.stdout, '');
+        assert.match(eez.stderr, /EEZs .*bad\.json: .*JSON/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--help prints the usage', () => {
+    const { status, stdout } = runCli(['--help']);
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^Usage: ocean-drop/);
+});
+
+test('drops are counted by marginal sea from data/basins.json, then by ocean', () => {
+    const seas = runCli(['--runs', '1', '--days', '300', '--seed', '3']);
+    assert.strictEqual(seas.status, 0, seas.stderr);
+    const output = JSON.parse(seas.stdout);
+    assert.strictEqual(output.basins, 'basins.json');
+    const names = Object.keys(output.summary.metrics).filter(name => name.startsWith('basinShare_'));
+    assert.ok(names.includes('basinShare_North Pacific'), names.join());
+    assert.ok(names.some(name => / (Sea|Gulf|Bay)$/.test(name)), names.join());
+    const total = names.reduce((sum, name) => sum + output.summary.metrics[name].mean, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9, `shares add up to ${total}`);
+});
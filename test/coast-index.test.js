@@ -0,0 +1,39 @@
+// Nearest-coastline index: pruning must never change the answer of a full scan
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createRng, buildCoastIndex, queryNearestCoast, getNearestCoast, haversineDistance } = require('../engine');
+const { loadLandData } = require('../bin/lib/land-file');
+
+test('index queries match a full scan of the 50m coastline', () => {
+    const land = loadLandData(path.join(__dirname, '..', 'data', 'land-50m.json'));
+    const scan = Object.assign({}, land, { coastIndex: null });
+    const random = createRng(3);
+    const points = [[89.9, 0], [-89.9, 0], [65.5, 179.99], [65.5, -179.99], [-16.5, 179.9], [0, 0]];
+    for (let i = 0; i < 60; i++) {
+        points.push([Math.asin(2 * random() - 1) * 180 / Math.PI, random() * 360 - 180]);
+    }
+    points.forEach(([lat, lon]) => {
+        const indexed = getNearestCoast(lat, lon, land);
+        const scanned = getNearestCoast(lat, lon, scan);
+        assert.ok(Math.abs(indexed.distanceKm - scanned.distanceKm) < 1e-6,
+            `(${lat}, ${lon}): index ${indexed.distanceKm} km, scan ${scanned.distanceKm} km`);
+    });
+});
+
+test('distances are great-circle distances to the coastline point found', () => {
+    // One long east-west edge at 70°N: the great circle bulges poleward of the parallel
+    const index = buildCoastIndex([[[-30, 70], [30, 70]]]);
+    const hit = queryNearestCoast(index, 75, 0);
+    assert.ok(hit.lat > 70, `foot point ${hit.lat} should lie north of the parallel`);
+    assert.ok(Math.abs(hit.distanceKm - haversineDistance(75, 0, hit.lat, hit.lon)) < 1e-6);
+    assert.ok(hit.distanceKm < haversineDistance(75, 0, 70, 0));
+});
+
+test('an empty index finds nothing', () => {
+    const hit = queryNearestCoast(buildCoastIndex([]), 10, 10);
+    assert.strictEqual(hit.distanceKm, Infinity);
+    assert.strictEqual(hit.ring, -1);
+});
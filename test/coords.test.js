@@ -0,0 +1,66 @@
+// Coordinate formats: DMS with rounding carries, UTM with its zone exceptions, geohash
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toDms, toUtm, formatUtm, encodeGeohash } = require('../engine');
+
+test('DMS: hemispheres, zero padding and seconds that round up to the next minute', () => {
+    assert.strictEqual(toDms(12.5827, 45.1021), `12°34'57.7"N 45°06'07.6"E`);
+    assert.strictEqual(toDms(-33.8568, -70.5), `33°51'24.5"S 70°30'00.0"W`);
+    assert.strictEqual(toDms(0, 0), `0°00'00.0"N 0°00'00.0"E`);
+
+    // 10°59'59.9999" rounds to 60.0": carried into minutes, then into degrees
+    const almost = 10 + 59 / 60 + 59.9999 / 3600;
+    assert.strictEqual(toDms(almost, -almost), `11°00'00.0"N 11°00'00.0"W`);
+    assert.strictEqual(toDms(10 + 4 / 60 + 59.96 / 3600, 0), `10°05'00.0"N 0°00'00.0"E`);
+    assert.strictEqual(toDms(10 + 4 / 60 + 59.94 / 3600, 0), `10°04'59.9"N 0°00'00.0"E`);
+});
+
+test('UTM: the Eiffel Tower, and both hemispheres', () => {
+    assert.strictEqual(formatUtm(toUtm(48.8583, 2.2945)), '31U 448252E 5411944N');
+
+    // On a central meridian the easting is exactly the false easting
+    const central = toUtm(0, 9);
+    assert.deepStrictEqual([central.zone, central.band, central.easting, central.northing, central.hemisphere], [32, 'N', 500000, 0, 'N']);
+    const south = toUtm(-0.000001, 9);
+    assert.strictEqual(south.hemisphere, 'S');
+    assert.ok(Math.abs(south.northing - 10000000) < 1, 'false northing south of the equator');
+
+    assert.strictEqual(toUtm(84, 0).band, 'X');
+    assert.strictEqual(toUtm(-80, 0).band, 'C');
+    assert.strictEqual(toUtm(84.01, 0), null);
+    assert.strictEqual(toUtm(-80.01, 0), null);
+    assert.strictEqual(formatUtm(null), null);
+});
+
+test('UTM zones: the Norway and Svalbard exceptions', () => {
+    // Southwest Norway is widened into zone 32V
+    assert.strictEqual(toUtm(60, 5).zone, 32);
+    assert.strictEqual(toUtm(60, 5).band, 'V');
+    assert.strictEqual(toUtm(60, 2.9).zone, 31, 'west of 3°E');
+    assert.strictEqual(toUtm(55.9, 5).zone, 31, 'south of 56°N');
+    assert.strictEqual(toUtm(64, 5).zone, 31, 'north of 64°N');
+
+    // Svalbard uses only the odd zones 31X, 33X, 35X and 37X
+    [[5, 31], [8.9, 31], [9, 33], [20.9, 33], [21, 35], [32.9, 35], [33, 37], [41.9, 37], [42, 38]].forEach(([lon, zone]) => {
+        const utm = toUtm(78, lon);
+        assert.strictEqual(`${utm.zone}${utm.band}`, `${zone}X`, `78°N ${lon}°E`);
+    });
+    assert.strictEqual(toUtm(71.9, 5).zone, 31, 'south of 72°N');
+});
+
+test('UTM zone 60 wraps into zone 1 at the dateline', () => {
+    assert.strictEqual(toUtm(0, 179.9).zone, 60);
+    assert.strictEqual(toUtm(0, 180).zone, 1);
+    assert.strictEqual(toUtm(0, -180).zone, 1);
+});
+
+test('geohash: the reference example and its prefixes', () => {
+    assert.strictEqual(encodeGeohash(57.64911, 10.40744), 'u4pruydqq');
+    assert.strictEqual(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.strictEqual(encodeGeohash(57.64911, 10.40744, 5), 'u4pru');
+    assert.strictEqual(encodeGeohash(0, 0, 4), 's000');
+    assert.strictEqual(encodeGeohash(-90, -180, 4), '0000');
+    assert.strictEqual(encodeGeohash(89.99999, 179.99999, 4), 'zzzz');
+});
@@ -0,0 +1,76 @@
+// Jurisdiction: nearest country from its outlines, EEZ waters, and the labels charts use
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+const {
+    INTERNATIONAL_WATERS, createCountryIndex, nearestCountry, createEezIndex, createJurisdictionModel, jurisdictionLabel
+} = require('../engine');
+
+const square = (west, south, east, north) => [[[west, south], [east, south], [east, north], [west, north], [west, south]]];
+const feature = (properties, coordinates, id) => ({ type: 'Feature', id, properties, geometry: { type: 'Polygon', coordinates } });
+
+// Two island countries 10° apart along the equator, and an EEZ 3° around the western one
+const COUNTRIES = {
+    type: 'FeatureCollection',
+    features: [feature({ name: "Westland" }, square(0, 0, 2, 2), '1'), feature({ name: "Eastland" }, square(12, 0, 14, 2), '2')]
+};
+const EEZS = {
+    type: 'FeatureCollection',
+    features: [feature({ GEONAME: "Westland EEZ", SOVEREIGN1: "Westland" }, square(-3, -3, 5, 5))]
+};
+
+test('the shipped country outlines name the nearest country', () => {
+    const world = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'world-50m.json'), 'utf8'));
+    const index = createCountryIndex(topojson.feature(world, world.objects.countries));
+    assert.ok(index.countries.length > 200);
+    assert.strictEqual(nearestCountry(index, 38.7, -9.6).name, "Portugal", 'off Lisbon');
+    assert.strictEqual(nearestCountry(index, -33.9, 151.4).name, "Australia", 'off Sydney');
+    assert.strictEqual(nearestCountry(index, -17.8, 178.5).name, "Fiji", 'beside the dateline');
+});
+
+test('nearest country is the nearest outline, not the nearest centre', () => {
+    const index = createCountryIndex(COUNTRIES);
+    const west = nearestCountry(index, 1, 6.9);
+    assert.strictEqual(west.id, '1');
+    assert.strictEqual(west.name, "Westland");
+    assert.ok(Math.abs(west.distanceKm - 4.9 * 111.19) < 1, west.distanceKm);
+    assert.strictEqual(nearestCountry(index, 1, 7.1).name, "Eastland");
+    assert.strictEqual(nearestCountry(createCountryIndex(null), 1, 1), null);
+    assert.strictEqual(nearestCountry(null, 1, 1), null);
+});
+
+test('drops get the EEZ they fell in, international waters outside, inland on lakes', () => {
+    const model = createJurisdictionModel(createCountryIndex(COUNTRIES), createEezIndex(EEZS));
+    const drop = (lat, lon, locationType = 'DEEP_OCEAN') => model({ lat, lon, locationType, nearestCoast: null });
+
+    assert.deepStrictEqual(drop(1, 4), { country: "Westland", zone: 'EEZ', eez: "Westland EEZ", sovereign: "Westland" });
+    assert.deepStrictEqual(drop(1, 10), { country: "Eastland", zone: 'HIGH_SEAS', eez: null, sovereign: null });
+    assert.deepStrictEqual(drop(1, 4, 'LAKE'), { country: "Westland", zone: 'INLAND', eez: null, sovereign: null });
+
+    // The country comes from the coastline point when the drop has one
+    const coastal = model({ lat: 1, lon: 10, locationType: 'DEEP_OCEAN', nearestCoast: { lat: 1, lon: 2 } });
+    assert.strictEqual(coastal.country, "Westland");
+});
+
+test('without EEZ data only the nearest country is known', () => {
+    const countriesOnly = createJurisdictionModel(createCountryIndex(COUNTRIES), null);
+    assert.deepStrictEqual(countriesOnly({ lat: 1, lon: 10 }), { country: "Eastland", zone: null, eez: null, sovereign: null });
+
+    const eezOnly = createJurisdictionModel(null, createEezIndex(EEZS));
+    assert.deepStrictEqual(eezOnly({ lat: 1, lon: 10 }), { country: null, zone: 'HIGH_SEAS', eez: null, sovereign: null });
+
+    assert.strictEqual(createJurisdictionModel(null, null), null);
+});
+
+test('labels: the sovereign, international waters, or the nearest country', () => {
+    assert.strictEqual(jurisdictionLabel({ country: "Eastland", zone: 'EEZ', eez: "Westland EEZ", sovereign: "Westland" }), "Westland");
+    assert.strictEqual(jurisdictionLabel({ country: "Eastland", zone: 'HIGH_SEAS', eez: null, sovereign: null }), INTERNATIONAL_WATERS);
+    assert.strictEqual(jurisdictionLabel({ country: "Eastland", zone: 'INLAND', eez: null, sovereign: null }), "Eastland");
+    assert.strictEqual(jurisdictionLabel({ country: "Eastland", zone: null, eez: null, sovereign: null }), "Eastland");
+    assert.strictEqual(jurisdictionLabel({ country: null, zone: null, eez: null, sovereign: null }), null);
+    assert.strictEqual(jurisdictionLabel(null), null);
+});
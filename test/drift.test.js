@@ -0,0 +1,90 @@
+// Current drift: landfall only when the current reaches the coast, never across land
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    EARTH_RADIUS_KM, ZONE_COASTAL_KM, EXHAUSTION_LIMIT_HOURS, createLandData, locatePoint,
+    encodeCurrentGrid, parseCurrentGrid, simulateDrift, createDriftModel
+} = require('../engine');
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+// Island from 0° to 10° on both axes: its south coast runs along the equator
+const land = createLandData([{ exterior: [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], holes: [] }]);
+
+// Uniform static current (m/s) on a 10° grid, through the file format and back
+function uniformCurrents(u, v) {
+    const header = { source: 'test', lat0: -85, lon0: -175, dLat: 10, dLon: 10, nLat: 18, nLon: 36, months: 1 };
+    const size = header.nLat * header.nLon;
+    const json = JSON.parse(JSON.stringify(encodeCurrentGrid(header, new Float32Array(size).fill(u), new Float32Array(size).fill(v))));
+    return parseCurrentGrid(json);
+}
+
+test('a current along the shore never makes landfall, even within one step of it', () => {
+    // 2 m/s covers 7.2 km an hour; the coast is 5.6 km away the whole time
+    const drift = simulateDrift({
+        lat: -0.05, lon: 1, day: 1, survivalHours: 48, currents: uniformCurrents(2, 0), land
+    });
+    assert.strictEqual(drift.outcome, 'SUCCUMBED');
+    assert.strictEqual(drift.hours, 48);
+    assert.strictEqual(drift.landfall, null);
+    assert.strictEqual(drift.trajectory.length, 49);
+    const [lon] = drift.trajectory[drift.trajectory.length - 1];
+    assert.ok(Math.abs((lon - 1) * KM_PER_DEGREE - 2 * 3.6 * 48) < 1, `drifted to ${lon}°E`);
+});
+
+test('an onshore current makes landfall when it reaches the coastal zone', () => {
+    const startKm = 0.5 * KM_PER_DEGREE;
+    const drift = simulateDrift({
+        lat: -0.5, lon: 5, day: 1, survivalHours: 72, currents: uniformCurrents(0, 0.5), land
+    });
+    assert.strictEqual(drift.outcome, 'LANDFALL');
+    // Arrives somewhere inside the coastal zone: between 1 km and 0.5 km from the shore
+    const speedKmh = 0.5 * 3.6;
+    assert.ok(drift.hours >= (startKm - ZONE_COASTAL_KM) / speedKmh - 1e-9, `${drift.hours} h`);
+    assert.ok(drift.hours <= (startKm - ZONE_COASTAL_KM / 2) / speedKmh + 1e-9, `${drift.hours} h`);
+    assert.ok(Math.abs(drift.landfall.lat) < 1e-6 && Math.abs(drift.landfall.lon - 5) < 1e-6);
+    drift.trajectory.slice(0, -1).forEach(([lon, lat]) => {
+        assert.strictEqual(locatePoint(lon, lat, land), 'WATER', `(${lat}, ${lon})`);
+    });
+});
+
+test('a fast current toward the coast cannot jump over it', () => {
+    // 3 m/s is 10.8 km an hour; start 5 km off, so a full step would end ashore
+    const drift = simulateDrift({
+        lat: -5 / KM_PER_DEGREE, lon: 5, day: 1, survivalHours: 72, currents: uniformCurrents(0, 3), land
+    });
+    assert.strictEqual(drift.outcome, 'LANDFALL');
+    assert.ok(drift.hours < 1);
+});
+
+test('drift ends when the survivor succumbs, capped at the exhaustion limit', () => {
+    const currents = uniformCurrents(0, -0.2); // Away from the island
+    const short = simulateDrift({ lat: -1, lon: 5, day: 1, survivalHours: 3.5, currents, land });
+    assert.strictEqual(short.outcome, 'SUCCUMBED');
+    assert.strictEqual(short.hours, 3.5);
+    assert.strictEqual(short.trajectory.length, 5);
+
+    const unbounded = simulateDrift({ lat: -1, lon: 5, day: 1, currents, land });
+    assert.strictEqual(unbounded.outcome, 'SUCCUMBED');
+    assert.strictEqual(unbounded.hours, EXHAUSTION_LIMIT_HOURS);
+});
+
+test('landfall follows the scenario coastal zone', () => {
+    // The shore-parallel drift 5.6 km off: out of reach at 1 km, ashore at once at 10 km
+    const currents = uniformCurrents(2, 0);
+    const wide = simulateDrift({ lat: -0.05, lon: 1, day: 1, survivalHours: 48, currents, land, coastalKm: 10 });
+    assert.strictEqual(wide.outcome, 'LANDFALL');
+    assert.strictEqual(wide.hours, 0);
+
+    // Onshore from 0.5°: arrives between 20 km and 10 km out with a 20 km zone
+    const startKm = 0.5 * KM_PER_DEGREE;
+    const speedKmh = 0.5 * 3.6;
+    const drift = createDriftModel(uniformCurrents(0, 0.5), land, { coastalKm: 20 })({ lat: -0.5, lon: 5, day: 1, survivalHours: 72 });
+    assert.strictEqual(drift.outcome, 'LANDFALL');
+    assert.ok(drift.hours >= (startKm - 20) / speedKmh - 1e-9, `${drift.hours} h`);
+    assert.ok(drift.hours <= (startKm - 10) / speedKmh + 1e-9, `${drift.hours} h`);
+    const [lon, lat] = drift.trajectory[drift.trajectory.length - 2];
+    assert.ok(lat * KM_PER_DEGREE < -10 + 1e-6, `stopped ${-lat * KM_PER_DEGREE} km out, at ${lon}°E`);
+});
@@ -0,0 +1,94 @@
+// Great-circle distance to coastline segments and the zone classification built on it
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+    EARTH_RADIUS_KM, haversineDistance, nearestPointOnSegment, pointToSegmentDistance,
+    createLandData, getTerrainTypeWithDistance, ZONE_COASTAL_KM, ZONE_SHELF_KM, ZONE_FAR_KM
+} = require('../engine');
+const { loadLandData } = require('../bin/lib/land-file');
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+test('haversineDistance: one degree of a meridian', () => {
+    assertClose(haversineDistance(0, 0, 1, 0), KM_PER_DEGREE, 1e-9);
+    assertClose(haversineDistance(10, 179.5, 10, -179.5), haversineDistance(10, 0, 10, 1), 1e-9, 'across the dateline');
+});
+
+test('high-latitude segment follows the great circle over the pole, not the parallel', () => {
+    // 80°N, 90°W to 80°N, 90°E: the great circle runs through the North Pole
+    const hit = nearestPointOnSegment(89, 0, 80, -90, 80, 90);
+    assertClose(hit.distanceKm, KM_PER_DEGREE, 1e-6, 'one degree from the pole');
+    assert.ok(hit.lat > 89.9, `foot point near the pole, got ${hit.lat}`);
+});
+
+test('long segment: cross-track distance to the middle of a quarter of the equator', () => {
+    const hit = nearestPointOnSegment(10, 45, 0, 0, 0, 90);
+    assertClose(hit.distanceKm, 10 * KM_PER_DEGREE, 1e-6);
+    assertClose(hit.lat, 0, 1e-9);
+    assertClose(hit.lon, 45, 1e-9);
+});
+
+test('foot point inside the segment vs. past an endpoint', () => {
+    const inside = nearestPointOnSegment(5, 5, 0, 0, 0, 10);
+    assertClose(inside.lon, 5, 1e-9);
+    assertClose(inside.distanceKm, 5 * KM_PER_DEGREE, 1e-6);
+
+    // Beyond A: the endpoint wins, at its haversine distance
+    const before = nearestPointOnSegment(1, -5, 0, 0, 0, 10);
+    assert.deepStrictEqual([before.lat, before.lon], [0, 0]);
+    assertClose(before.distanceKm, haversineDistance(1, -5, 0, 0), 1e-9);
+
+    // Beyond B
+    const after = nearestPointOnSegment(-2, 14, 0, 0, 0, 10);
+    assert.deepStrictEqual([after.lat, after.lon], [0, 10]);
+    assertClose(after.distanceKm, haversineDistance(-2, 14, 0, 10), 1e-9);
+});
+
+test('zero-length segment falls back to the endpoint', () => {
+    const hit = nearestPointOnSegment(3, 4, 1, 1, 1, 1);
+    assert.deepStrictEqual([hit.lat, hit.lon], [1, 1]);
+    assertClose(pointToSegmentDistance(3, 4, 1, 1, 1, 1), haversineDistance(3, 4, 1, 1), 1e-9);
+});
+
+test('zone thresholds around a square island', () => {
+    // Island from 0° to 1° on both axes; points due east of its east coast (lon 1°)
+    const land = createLandData([{ exterior: [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]], holes: [] }]);
+    const eastOf = (km) => getTerrainTypeWithDistance(1 + km / KM_PER_DEGREE, 0.5, land);
+
+    assert.strictEqual(getTerrainTypeWithDistance(0.5, 0.5, land).type, 'LAND');
+    assert.strictEqual(eastOf(ZONE_COASTAL_KM * 0.5).type, 'COASTAL');
+    assert.strictEqual(eastOf(ZONE_COASTAL_KM + 0.5).type, 'SHELF');
+    assert.strictEqual(eastOf(ZONE_SHELF_KM - 1).type, 'SHELF');
+    assert.strictEqual(eastOf(ZONE_SHELF_KM + 1).type, 'FAR');
+    assert.strictEqual(eastOf(ZONE_FAR_KM - 1).type, 'FAR');
+    assert.strictEqual(eastOf(ZONE_FAR_KM + 1).type, 'DEEP_OCEAN');
+    assertClose(eastOf(50).distanceKm, 50, 0.01);
+});
+
+test('known places on the 50m coastline', () => {
+    const land = loadLandData(path.join(__dirname, '..', 'data', 'land-50m.json'));
+    const places = [
+        // [name, lat, lon, zone, min km, max km]
+        ['Paris', 48.85, 2.35, 'LAND', 0, 0],
+        ['Santorini caldera', 36.4, 25.4, 'COASTAL', 0, ZONE_COASTAL_KM],
+        ['Off Sydney Heads', -33.85, 151.4, 'SHELF', 5, 20],
+        ['Bay of Biscay', 45.5, -4, 'FAR', ZONE_SHELF_KM, ZONE_FAR_KM],
+        ['Point Nemo', -48.88, -123.39, 'DEEP_OCEAN', 2600, 2800]
+    ];
+    places.forEach(([name, lat, lon, zone, minKm, maxKm]) => {
+        const result = getTerrainTypeWithDistance(lon, lat, land);
+        assert.strictEqual(result.type, zone, name);
+        assert.ok(result.distanceKm >= minKm && result.distanceKm <= maxKm, `${name}: ${result.distanceKm} km`);
+    });
+
+    // The Caspian is a hole in Eurasia: land unless lakes are droppable
+    assert.strictEqual(getTerrainTypeWithDistance(50.5, 42, land).type, 'LAND');
+    assert.strictEqual(getTerrainTypeWithDistance(50.5, 42, land, { lakes: true }).type, 'LAKE');
+});
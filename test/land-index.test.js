@@ -0,0 +1,63 @@
+// Land index: the same LAND / LAKE / WATER answer as ray-casting every ring, for a seeded sample
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createRng, createLandData, locatePoint } = require('../engine');
+const { loadLandData } = require('../bin/lib/land-file');
+
+// Poles, the dateline, Antarctic ice shelves, the Caspian and index cell corners
+const AWKWARD_POINTS = [
+    [0, 90], [0, -90], [180, -89.5], [-180, -85], [180, 66], [-180, 66],
+    [179.9, -16.5], [-179.9, -16.5], [50, 42], [-75, -77.5], [166.67, -77.85], [-60, -75],
+    [-180, 0], [180, 0], [0, 0], [-1, -1], [12, 56], [-45, 60]
+];
+
+// Uniform over the sphere, plus jittered coastline points where the index has to ray-cast
+function samplePoints(land, count, seed) {
+    const random = createRng(seed);
+    const points = AWKWARD_POINTS.slice();
+    for (let i = 0; i < count; i++) {
+        points.push([random() * 360 - 180, Math.asin(2 * random() - 1) * 180 / Math.PI]);
+        const [lon, lat] = land.coastlineCoords[Math.floor(random() * land.coastlineCoords.length)];
+        points.push([lon + (random() - 0.5) * 0.2, Math.max(-90, Math.min(90, lat + (random() - 0.5) * 0.2))]);
+    }
+    return points;
+}
+
+function assertSameAnswers(land, points) {
+    const bruteForce = Object.assign({}, land, { landIndex: null });
+    const counts = { LAND: 0, LAKE: 0, WATER: 0 };
+    points.forEach(([lon, lat]) => {
+        const expected = locatePoint(lon, lat, bruteForce);
+        assert.strictEqual(locatePoint(lon, lat, land), expected, `${lon}, ${lat}`);
+        counts[expected]++;
+    });
+    return counts;
+}
+
+test('the index agrees with every ring on the 50m coastline', () => {
+    const land = loadLandData(path.join(__dirname, '..', 'data', 'land-50m.json'));
+    assert.ok(land.landIndex);
+    const counts = assertSameAnswers(land, samplePoints(land, 300, 1));
+    assert.ok(counts.LAND > 100 && counts.WATER > 100 && counts.LAKE > 0, JSON.stringify(counts));
+});
+
+test('the index agrees with every ring for holes, islands in them and the dateline', () => {
+    const square = (lon, lat, size) => [
+        [lon - size, lat - size], [lon + size, lat - size], [lon + size, lat + size], [lon - size, lat + size], [lon - size, lat - size]
+    ];
+    const land = createLandData([
+        { exterior: square(10.5, 20.5, 8), holes: [square(10.5, 20.5, 4)] }, // Edges off the 1° grid
+        { exterior: square(10.5, 20.5, 2), holes: [] }, // Island in the lake
+        { exterior: [[175, -20], [-175, -20], [-175, -10], [175, -10], [175, -20]], holes: [] },
+        { exterior: [[-180, -80], [-90, -80], [0, -80], [90, -80], [180, -80]], holes: [] }
+    ]);
+    const random = createRng(7);
+    const points = [];
+    for (let i = 0; i < 3000; i++) points.push([random() * 360 - 180, random() * 180 - 90]);
+    for (let i = 0; i < 1000; i++) points.push([random() * 24 - 1.5, random() * 24 + 8.5]);
+    const counts = assertSameAnswers(land, points);
+    assert.ok(counts.LAND > 100 && counts.WATER > 100 && counts.LAKE > 20, JSON.stringify(counts));
+});
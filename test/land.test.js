@@ -0,0 +1,111 @@
+// Land test on the sphere: rings across the dateline, around the poles, and real coastlines there
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ringToVectors, isPointInRing, createLandData, isOnLandPolygon, locatePoint } = require('../engine');
+const { loadLandData } = require('../bin/lib/land-file');
+
+const LAND_50M = loadLandData(path.join(__dirname, '..', 'data', 'land-50m.json'));
+
+// Both ways of answering: through the land index, and ray-casting every ring
+function assertLocation(land, lon, lat, expected, message) {
+    assert.strictEqual(locatePoint(lon, lat, land), expected, `${message} (index)`);
+    assert.strictEqual(locatePoint(lon, lat, Object.assign({}, land, { landIndex: null })), expected, `${message} (every ring)`);
+}
+
+test('a ring across the dateline contains the points on both sides of it', () => {
+    const ring = ringToVectors([[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]);
+    for (const [lon, lat] of [[180, 0], [-180, 0], [175, 5], [-175, -5], [179.999, 9.9]]) {
+        assert.ok(isPointInRing(lon, lat, ring), `${lon}, ${lat}`);
+    }
+    for (const [lon, lat] of [[160, 0], [-160, 0], [0, 0], [10, 0], [180, 11], [180, -11]]) {
+        assert.ok(!isPointInRing(lon, lat, ring), `${lon}, ${lat}`);
+    }
+});
+
+test('rings around a pole contain it whichever way they wind', () => {
+    const around = [[-180, -70], [-90, -70], [0, -70], [90, -70], [180, -70]];
+    for (const ring of [around, around.slice().reverse()]) {
+        const vectors = ringToVectors(ring);
+        for (const [lon, lat] of [[0, -90], [180, -90], [45, -89.9999], [-135, -76]]) {
+            assert.ok(isPointInRing(lon, lat, vectors), `${lon}, ${lat}`);
+        }
+        // Edges are great-circle arcs, which bow towards the pole (to 75.6°S at 135°W here)
+        for (const [lon, lat] of [[-135, -75], [0, -60], [0, 90], [123, 0]]) {
+            assert.ok(!isPointInRing(lon, lat, vectors), `${lon}, ${lat}`);
+        }
+    }
+
+    // Land near the North Pole stops short of it: the pole stays water
+    const land = createLandData([{ exterior: [[-30, 85], [30, 85], [30, 88], [-30, 88], [-30, 85]], holes: [] }]);
+    assert.ok(isOnLandPolygon(0, 86, land));
+    assert.ok(!isOnLandPolygon(0, 90, land));
+    assert.ok(!isOnLandPolygon(180, 86, land), 'the meridian past the pole');
+});
+
+test('Fiji and Chukotka straddle the dateline on the 50m coastline', () => {
+    const places = [
+        ['Vanua Levu', 179.2, -16.6, 'LAND'],
+        ['Taveuni, east of 180°', -179.95, -16.85, 'LAND'],
+        ['East of Fiji', -179.5, -16.5, 'WATER'],
+        ['Lau Group waters', -179.2, -17.8, 'WATER'],
+        ['Chukotka, west of 180°', 179, 66, 'LAND'],
+        ['Chukotka, east of 180°', -175, 66, 'LAND'],
+        ['Gulf of Anadyr', -177, 64.5, 'WATER'],
+        ['Bering Strait', -169.5, 65.8, 'WATER'],
+        ['Wrangel Island, east of 180°', -179.8, 71.2, 'LAND'],
+        ['Wrangel Island, west of 180°', 179.5, 71.2, 'LAND']
+    ];
+    places.forEach(([name, lon, lat, expected]) => assertLocation(LAND_50M, lon, lat, expected, name));
+});
+
+test('the poles on the 50m coastline: Antarctica is land to the pole, the Arctic is sea', () => {
+    const places = [
+        ['South Pole', 0, -90, 'LAND'],
+        ['South Pole, other meridian', 180, -90, 'LAND'],
+        ['Next to the South Pole', 45, -89.999999, 'LAND'],
+        ['Polar plateau', 45, -88, 'LAND'],
+        ['Ross Sea', -175, -75, 'WATER'],
+        ['Weddell Sea', -40, -70, 'WATER'],
+        ['Amundsen Sea', -110, -72, 'WATER'],
+        ['North Pole', 0, 90, 'WATER'],
+        ['Near the North Pole', 100, 89, 'WATER']
+    ];
+    places.forEach(([name, lon, lat, expected]) => assertLocation(LAND_50M, lon, lat, expected, name));
+    assert.ok(isOnLandPolygon(0, -90, LAND_50M));
+});
+
+test('the Caspian is a lake: a hole in Eurasia, land only while lakes are off', () => {
+    for (const [lon, lat] of [[50.5, 42], [51, 40], [49.5, 45.5]]) {
+        assertLocation(LAND_50M, lon, lat, 'LAKE', `Caspian ${lon}, ${lat}`);
+        assert.ok(!isOnLandPolygon(lon, lat, LAND_50M), 'a lake is not land');
+    }
+    assertLocation(LAND_50M, 47, 42, 'LAND', 'Dagestan, beside it');
+});
+
+test('holes follow the even-odd rule, islands in lakes included', () => {
+    // A continent with a lake; in the lake an island, in that a pond, in that an islet:
+    // once as nested holes of one polygon, once as a polygon per landmass
+    const square = (size) => [[-size, -size], [size, -size], [size, size], [-size, size], [-size, -size]];
+    const nested = createLandData([{ exterior: square(10), holes: [square(8), square(6), square(4), square(2)] }]);
+    const separate = createLandData([
+        { exterior: square(10), holes: [square(8)] },
+        { exterior: square(6), holes: [square(4)] },
+        { exterior: square(2), holes: [] }
+    ]);
+    for (const land of [nested, separate]) {
+        assertLocation(land, 11, 0, 'WATER', 'sea');
+        assertLocation(land, 9, 0, 'LAND', 'continent');
+        assertLocation(land, 7, 0, 'LAKE', 'lake');
+        assertLocation(land, 5, 0, 'LAND', 'island in the lake');
+        assertLocation(land, 3, 0, 'LAKE', 'pond on the island');
+        assertLocation(land, 0, 0, 'LAND', 'islet in the pond');
+    }
+
+    // Hole winding doesn't matter
+    const reversed = createLandData([{ exterior: square(10), holes: [square(8).slice().reverse()] }]);
+    assertLocation(reversed, 7, 0, 'LAKE', 'clockwise hole');
+    assertLocation(reversed, 9, 0, 'LAND', 'around it');
+});
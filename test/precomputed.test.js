@@ -0,0 +1,83 @@
+// Precomputed land files: round trip, checksum and the files that must be refused
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    PRECOMPUTED_VERSION, buildPrecomputedLand, parsePrecomputedLand, createLandData, locatePoint, getNearestCoast
+} = require('../engine');
+
+// An island with a lake, and one straddling the dateline as TopoJSON cuts it
+const FEATURES = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            geometry: {
+                type: 'Polygon',
+                coordinates: [
+                    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                    [[4, 4], [4, 6], [6, 6], [6, 4], [4, 4]]
+                ]
+            }
+        },
+        {
+            type: 'Feature',
+            geometry: {
+                type: 'MultiPolygon',
+                coordinates: [
+                    [[[175, -20], [180, -20], [180, -15], [175, -15], [175, -20]]],
+                    [[[-180, -20], [-175, -20], [-175, -15], [-180, -15], [-180, -20]]]
+                ]
+            }
+        }
+    ]
+};
+
+function build() {
+    return JSON.parse(JSON.stringify(buildPrecomputedLand(FEATURES, { source: 'test' })));
+}
+
+test('a built file parses back into the same land', () => {
+    const file = build();
+    assert.strictEqual(file.version, PRECOMPUTED_VERSION);
+    assert.match(file.checksum, /^fnv1a32:[0-9a-f]{8}$/);
+    assert.deepStrictEqual(file.counts, { polygons: 3, holes: 1, points: 20 });
+    file.polygons.forEach(polygon => assert.deepStrictEqual(Object.keys(polygon), ['exterior', 'holes']));
+
+    const parsed = parsePrecomputedLand(file);
+    assert.strictEqual(parsed.source, 'test');
+    const fromFile = createLandData(parsed.polygons, { coastIndexOrder: parsed.coastIndexOrder });
+    const fromFeatures = createLandData(file.polygons);
+    for (const [lon, lat, expected] of [[2, 2, 'LAND'], [5, 5, 'LAKE'], [20, 5, 'WATER'], [179, -17, 'LAND'], [-179, -17, 'LAND']]) {
+        assert.strictEqual(locatePoint(lon, lat, fromFile), expected, `${lon}, ${lat}`);
+    }
+    for (const [lon, lat] of [[12, 5], [5, 5], [-170, -17]]) {
+        assert.deepStrictEqual(getNearestCoast(lat, lon, fromFile), getNearestCoast(lat, lon, fromFeatures));
+    }
+});
+
+test('the checksum catches a corrupted file', () => {
+    const coordinate = build();
+    coordinate.polygons[0].exterior[1][0] = 10.5;
+    assert.throws(() => parsePrecomputedLand(coordinate), /Checksum mismatch/);
+
+    const hole = build();
+    hole.polygons[0].holes = [];
+    assert.throws(() => parsePrecomputedLand(hole), /Checksum mismatch/);
+
+    const order = build();
+    order.coastIndex.order = Buffer.from(order.coastIndex.order, 'base64').reverse().toString('base64');
+    assert.throws(() => parsePrecomputedLand(order), /Checksum mismatch/);
+
+    const stated = build();
+    stated.checksum = 'fnv1a32:00000000';
+    assert.throws(() => parsePrecomputedLand(stated), /Checksum mismatch/);
+});
+
+test('other formats, versions and shapes are refused', () => {
+    assert.throws(() => parsePrecomputedLand({ type: 'Topology' }), /Not a ocean-drop-land file/);
+    assert.throws(() => parsePrecomputedLand(Object.assign(build(), { version: 1 })), /Unsupported ocean-drop-land version: 1/);
+    assert.throws(() => parsePrecomputedLand(Object.assign(build(), { polygons: [{ exterior: [] }] })), /Malformed polygons/);
+    assert.throws(() => parsePrecomputedLand(Object.assign(build(), { coastIndex: { order: 1 } })), /Malformed coastIndex/);
+});
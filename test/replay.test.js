@@ -0,0 +1,82 @@
+// Run files: parsing what OceanExport.toRunJson writes, and rejecting what it doesn't
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toRunJson, parseRunFile, ReplaySimulation, OceanSimulation } = require('../engine');
+
+const DROPS = [
+    { day: 2, lat: 10, lon: 20, temp: 25 },
+    { day: 1, lat: -5, lon: 140, temp: 28 }
+];
+
+test('a run file round-trips, sorted by day', () => {
+    const run = parseRunFile(toRunJson(DROPS, { seed: 42, totalDays: 10 }, null));
+    assert.strictEqual(run.meta.seed, 42);
+    assert.strictEqual(run.meta.totalDays, 10);
+    assert.deepStrictEqual(run.drops.map(d => d.day), [1, 2]);
+});
+
+test('a seed that is not an unsigned 32-bit integer is dropped', () => {
+    for (const seed of ['<img src=x onerror=alert(1)>', -1, 1.5, 2 ** 32, { x: 1 }]) {
+        const run = parseRunFile(toRunJson(DROPS, { seed }, null));
+        assert.strictEqual(run.meta.seed, null, JSON.stringify(seed));
+        assert.strictEqual(new ReplaySimulation(run).seed, null);
+    }
+    assert.strictEqual(parseRunFile(DROPS).meta.seed, null);
+});
+
+test('files that are not runs are rejected', () => {
+    assert.throws(() => parseRunFile({ format: 'other', drops: [] }), /Not a ocean-drop-run file/);
+    assert.throws(() => parseRunFile({ drops: [{ day: 1, lat: 'x', lon: 0, temp: 20 }] }), /Drop 1/);
+});
+
+test('basins must be names', () => {
+    const withBasin = (basin) => [Object.assign({}, DROPS[0], { basin })];
+    assert.strictEqual(parseRunFile(withBasin('<b>North Pacific</b>')).drops[0].basin, '<b>North Pacific</b>');
+    assert.strictEqual(parseRunFile(withBasin(null)).drops[0].basin, null);
+    assert.throws(() => parseRunFile(withBasin({ name: 'x' })), /Drop 1 has an invalid basin/);
+    assert.throws(() => parseRunFile(withBasin(7)), /Drop 1 has an invalid basin/);
+});
+
+// Every field the engine writes, as it writes them
+const FULL_DROP = {
+    day: 1, lon: 20, lat: 10, locationType: 'COASTAL', distanceKm: 3.2, nearestCoast: { lat: 10.02, lon: 20.01 },
+    depthM: null, temp: 25, outcome: 'SURVIVED', survivalHours: 40, timeToShoreHours: 2.5, outcomeHours: 2.5, attempts: 2,
+    drift: { outcome: 'LANDFALL', hours: 30, landfall: { lat: 10.1, lon: 20.2 }, trajectory: [[20, 10], [20.2, 10.1]] },
+    jurisdiction: { country: "Chad", zone: 'EEZ', eez: "Chadian EEZ", sovereign: null },
+    basin: "North Atlantic"
+};
+
+test('a drop with every engine field loads, and so does one from a real run', () => {
+    assert.deepStrictEqual(parseRunFile([FULL_DROP]).drops[0], FULL_DROP);
+
+    const sim = new OceanSimulation({
+        seed: 4,
+        totalDays: 20,
+        onCheckLand: (lon, lat) => lat > 50 ? { type: 'LAND', distanceKm: 0 } : { type: 'DEEP_OCEAN', distanceKm: (50 - lat) * 111 }
+    });
+    sim.runToEnd();
+    assert.strictEqual(parseRunFile(toRunJson(sim.drops, { seed: sim.seed }, sim.stats)).drops.length, 20);
+});
+
+test('a field of the wrong type refuses the whole file', () => {
+    const bad = {
+        distanceKm: "12", depthM: {}, survivalHours: "long", outcomeHours: [1], timeToShoreHours: true,
+        locationType: 3, outcome: false, attempts: 0, nearestCoast: { lat: "1", lon: 2 },
+        drift: { outcome: 'LANDFALL', hours: 3 },
+        jurisdiction: "Chad"
+    };
+    Object.entries(bad).forEach(([field, value]) => {
+        const drop = Object.assign({}, FULL_DROP, { [field]: value });
+        assert.throws(() => parseRunFile([FULL_DROP, drop]), new RegExp(`Drop 2 has an invalid ${field}`), field);
+    });
+
+    const drift = (changes) => Object.assign({}, FULL_DROP, { drift: Object.assign({}, FULL_DROP.drift, changes) });
+    for (const changes of [{ trajectory: [[20, 10], "20,10"] }, { trajectory: [[20, null]] }, { hours: "30" }, { landfall: { lat: 1 } }]) {
+        assert.throws(() => parseRunFile([drift(changes)]), /Drop 1 has an invalid drift/, JSON.stringify(changes));
+    }
+    const jurisdiction = Object.assign({}, FULL_DROP, { jurisdiction: { country: { name: "Chad" } } });
+    assert.throws(() => parseRunFile([jurisdiction]), /Drop 1 has an invalid jurisdiction/);
+    assert.throws(() => parseRunFile([null]), /Drop 1 needs numeric/);
+});
@@ -0,0 +1,64 @@
+// Scenarios: what the engine accepts from presets, storage and run files, and region sampling
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, DEFAULT_SCENARIO, normalizeScenario, regionContains, createRegionSampler } = require('../engine');
+
+test('missing fields come from the default scenario', () => {
+    const scenario = normalizeScenario({ name: "Short", totalDays: 10 });
+    assert.strictEqual(scenario.name, "Short");
+    assert.strictEqual(scenario.totalDays, 10);
+    assert.deepStrictEqual(scenario.zones, DEFAULT_SCENARIO.zones);
+    assert.strictEqual(scenario.region, null);
+});
+
+test('names are trimmed, bounded strings', () => {
+    assert.strictEqual(normalizeScenario({ name: "  One Year " }).name, "One Year");
+    assert.strictEqual(normalizeScenario({ name: "x".repeat(500) }).name.length, 60);
+    for (const name of [undefined, "", "   ", 42, { toString: () => "<b>" }, ["a"]]) {
+        assert.strictEqual(normalizeScenario({ name }).name, "Custom");
+    }
+});
+
+test('polygons too small or flat to drop into are refused when the sampler is built', () => {
+    const sampler = (ring) => createRegionSampler(normalizeScenario({ region: { type: 'polygon', ring } }).region);
+    for (const ring of [
+        [[0, 0], [1, 0], [2, 0]], // Points on one great circle
+        [[5, 5], [5, 5], [5, 5]],
+        [[0, 0], [0.2, 0], [0.2, 0.2], [0, 0.2]]
+    ]) {
+        assert.throws(() => sampler(ring), /too small/, JSON.stringify(ring));
+    }
+
+    // Either winding, across the dateline and around a pole
+    for (const ring of [
+        [[0, 0], [1, 0], [1, 1], [0, 1]],
+        [[0, 1], [1, 1], [1, 0], [0, 0]],
+        [[170, 10], [-170, 10], [-170, -10], [170, -10]],
+        [[0, -80], [90, -80], [180, -80], [-90, -80]]
+    ]) {
+        const [lon, lat] = sampler(ring)(createRng(1));
+        assert.ok(regionContains({ type: 'polygon', ring }, lon, lat), JSON.stringify(ring));
+    }
+});
+
+test('boxes and basins always have room', () => {
+    assert.ok(createRegionSampler({ type: 'bbox', west: 10, south: 0, east: 10.01, north: 0.01 }));
+    assert.ok(createRegionSampler({ type: 'basin', basin: 'NORTH_ATLANTIC' }));
+    assert.strictEqual(createRegionSampler(null), null);
+});
+
+test('regions with no water are refused when given a water check', () => {
+    const southOfEquator = (lon, lat) => lat < 0; // Water only in the south
+    const sahara = { type: 'bbox', west: 5, south: 18, east: 25, north: 28 };
+    assert.ok(createRegionSampler(sahara), 'no water check, no refusal');
+    assert.throws(() => createRegionSampler(sahara, southOfEquator), /no water/);
+    assert.throws(() => createRegionSampler({ type: 'polygon', ring: [[0, 5], [10, 5], [10, 15], [0, 15]] }, southOfEquator), /no water/);
+    assert.throws(() => createRegionSampler({ type: 'basin', basin: 'NORTH_ATLANTIC' }, southOfEquator), /no water/);
+
+    // Some water is enough, even a strip of it
+    assert.ok(createRegionSampler({ type: 'bbox', west: 5, south: -1, east: 25, north: 28 }, southOfEquator));
+    assert.ok(createRegionSampler({ type: 'polygon', ring: [[170, 5], [-170, 5], [-170, -5], [170, -5]] }, southOfEquator));
+    assert.ok(createRegionSampler({ type: 'polygon', ring: [[0, -80], [90, -80], [180, -80], [-90, -80]] }, southOfEquator));
+});
@@ -0,0 +1,94 @@
+// Seeded determinism and checkpoint/restore of the simulation engine
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, parseSeed, OceanSimulation } = require('../engine');
+
+// Land north of 50°N, coastal band within 5° of it, open water elsewhere: cheap and
+// deterministic, so the tests don't need the coastline data
+function checkLand(lon, lat) {
+    if (lat > 50) return { type: 'LAND', distanceKm: 0 };
+    const distanceKm = (50 - lat) * 111;
+    return { type: distanceKm < 20 ? 'COASTAL' : 'DEEP_OCEAN', distanceKm };
+}
+
+function runSimulation(seed, totalDays = 200) {
+    const sim = new OceanSimulation({ seed, totalDays, onCheckLand: checkLand });
+    sim.runToEnd();
+    return sim;
+}
+
+test('createRng repeats its sequence for a seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+    const first = Array.from({ length: 5 }, () => a());
+    assert.deepStrictEqual(Array.from({ length: 5 }, () => b()), first);
+    assert.notDeepStrictEqual(Array.from({ length: 5 }, () => c()), first);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('parseSeed accepts unsigned 32-bit integers only', () => {
+    assert.strictEqual(parseSeed('12345'), 12345);
+    assert.strictEqual(parseSeed(4294967295), 4294967295);
+    [null, undefined, '', 'abc', -1, 1.5, 4294967296, '<b>1</b>'].forEach(value => {
+        assert.strictEqual(parseSeed(value), null, String(value));
+    });
+});
+
+test('the same seed produces the same drops and stats', () => {
+    const a = runSimulation(7);
+    const b = runSimulation(7);
+    assert.strictEqual(a.drops.length, 200);
+    assert.deepStrictEqual(b.drops, a.drops);
+    assert.deepStrictEqual(b.stats, a.stats);
+    assert.ok(a.stats.landAttempts > 0, 'some samples should hit land');
+});
+
+test('different seeds produce different drops', () => {
+    const a = runSimulation(7, 20);
+    const b = runSimulation(8, 20);
+    assert.notDeepStrictEqual(b.drops.map(d => [d.lat, d.lon]), a.drops.map(d => [d.lat, d.lon]));
+});
+
+test('reset replays the seed from the start', () => {
+    const sim = runSimulation(11, 50);
+    const drops = sim.drops;
+    sim.reset();
+    sim.runToEnd();
+    assert.deepStrictEqual(sim.drops, drops);
+});
+
+test('restore from a checkpoint continues like an uninterrupted run', () => {
+    const full = runSimulation(99);
+
+    const partial = new OceanSimulation({ seed: 99, totalDays: 200, onCheckLand: checkLand });
+    for (let i = 0; i < 80; i++) partial.simulateDay();
+    const checkpoint = JSON.parse(JSON.stringify(partial.checkpoint()));
+    assert.strictEqual(checkpoint.currentDay, 80);
+
+    const resumed = new OceanSimulation({ seed: 1, totalDays: 200, onCheckLand: checkLand });
+    resumed.restore(checkpoint);
+    assert.strictEqual(resumed.seed, 99);
+    assert.strictEqual(resumed.rngDraws, checkpoint.rngDraws);
+    resumed.runToEnd();
+
+    assert.deepStrictEqual(resumed.drops, full.drops);
+    assert.deepStrictEqual(resumed.stats, full.stats);
+});
+
+test('a day with no water stops the run instead of spinning', async () => {
+    const allLand = () => ({ type: 'LAND', distanceKm: 0 });
+    const headless = new OceanSimulation({ seed: 3, totalDays: 10, onCheckLand: allLand });
+    assert.throws(() => headless.runToEnd(), /No water found in 100 tries on day 1/);
+    assert.strictEqual(headless.currentDay, 0);
+
+    const errors = [];
+    const timed = new OceanSimulation({ seed: 3, totalDays: 10, onCheckLand: allLand, onError: (message) => errors.push(message) });
+    timed.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(timed.isRunning, false);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /all land/);
+});
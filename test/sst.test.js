@@ -0,0 +1,60 @@
+// SST grid path: CSV -> bin/build-sst-grid.js -> parseSstGrid -> temperature model
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseSstGrid, createTemperatureModel, cosineTemperature } = require('../engine');
+
+const BUILD = path.join(__dirname, '..', 'bin', 'build-sst-grid.js');
+
+test('a built grid drives the temperature model, cosine elsewhere', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocean-sst-'));
+    try {
+        // 10° cells around (5, 5): 20 °C in January up to 31 °C in December
+        const rows = ['latitude,longitude,month,sst'];
+        for (let month = 1; month <= 12; month++) {
+            [[-5, -5], [-5, 5], [5, -5], [5, 5], [15, 5], [5, 15], [-5, 15], [15, -5], [15, 15]].forEach(([lat, lon]) => {
+                rows.push(`${lat},${lon},${month},${19 + month}`);
+            });
+        }
+        const csv = path.join(dir, 'sst.csv');
+        const out = path.join(dir, 'sst-grid.json');
+        fs.writeFileSync(csv, rows.join('\n'));
+
+        const result = spawnSync(process.execPath, [BUILD, csv, '--res', '10', '--out', out, '--source', 'test'],
+            { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(result.status, 0, result.stderr);
+
+        const grid = parseSstGrid(JSON.parse(fs.readFileSync(out, 'utf8')));
+        assert.strictEqual(grid.source, 'test');
+        assert.strictEqual(grid.months, 12);
+
+        const model = createTemperatureModel(grid);
+        assert.ok(Math.abs(model(5, 5, 16) - 20) < 0.01, 'mid-January');
+        assert.ok(Math.abs(model(5, 5, 197) - 26) < 0.01, 'mid-July');
+        assert.strictEqual(model(-60, -120, 16), cosineTemperature(-60), 'no data: cosine');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseSstGrid rejects other files', () => {
+    assert.throws(() => parseSstGrid({ format: 'bathymetry-grid', version: 1 }), /Not a sst-grid file/);
+    assert.throws(() => parseSstGrid({ format: 'sst-grid', version: 2 }), /Unsupported sst-grid version/);
+});
+
+test('the shipped idealized grid covers every cell and has seasons', () => {
+    const grid = parseSstGrid(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'sst-grid.json'), 'utf8')));
+    assert.match(grid.source, /not observations/);
+    assert.ok(grid.values.every(Number.isFinite), 'no missing cells, so coasts never fall back');
+
+    const model = createTemperatureModel(grid);
+    assert.ok(model(45, -40, 227) > model(45, -40, 45) + 4, 'northern summer in August');
+    assert.ok(model(-45, 0, 45) > model(-45, 0, 227) + 2, 'southern summer in February');
+    assert.ok(model(0, 150, 100) > model(0, -95, 100) + 2, 'warm west Pacific, cool east');
+    assert.ok(model(85, 0, 16) >= -1.8 && model(0, 150, 16) < 31);
+});
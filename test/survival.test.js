@@ -0,0 +1,62 @@
+// Survival model: the immersion curve, its ends, the exhaustion cap and the swim to shore
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXHAUSTION_LIMIT_HOURS, SWIM_SPEED_KMH, expectedSurvivalHours, timeToShoreHours, assessSurvival } = require('../engine');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+
+test('the curve passes through the table and is log-linear between its points', () => {
+    [[-2, 0.25], [0.3, 0.5], [4.5, 1], [10, 2], [15.5, 3.5], [21, 12], [26.5, 40]].forEach(([tempC, hours]) => {
+        close(expectedSurvivalHours(tempC), hours, `${tempC}°C`);
+    });
+    // Halfway in temperature is the geometric mean in time
+    close(expectedSurvivalHours((4.5 + 10) / 2), Math.sqrt(1 * 2), 'between 4.5 and 10°C');
+    close(expectedSurvivalHours((21 + 26.5) / 2), Math.sqrt(12 * 40), 'between 21 and 26.5°C');
+
+    // Warmer is never worse
+    let previous = 0;
+    for (let tempC = -5; tempC <= 35; tempC += 0.25) {
+        const hours = expectedSurvivalHours(tempC);
+        assert.ok(hours >= previous, `${tempC}°C`);
+        previous = hours;
+    }
+});
+
+test('below the table it stays at the coldest entry', () => {
+    assert.strictEqual(expectedSurvivalHours(-2), 0.25);
+    assert.strictEqual(expectedSurvivalHours(-10), 0.25);
+    assert.strictEqual(expectedSurvivalHours(-Infinity), 0.25);
+});
+
+test('above the table it keeps rising until exhaustion caps it', () => {
+    const hours = expectedSurvivalHours(28);
+    assert.ok(hours > 40 && hours < EXHAUSTION_LIMIT_HOURS, String(hours));
+    assert.strictEqual(expectedSurvivalHours(30), EXHAUSTION_LIMIT_HOURS);
+    assert.strictEqual(expectedSurvivalHours(40), EXHAUSTION_LIMIT_HOURS);
+    assert.strictEqual(EXHAUSTION_LIMIT_HOURS, 72);
+});
+
+test('reaching the shore in time survives, otherwise the outcome is the time of death', () => {
+    assert.deepStrictEqual(assessSurvival(10, 3), {
+        outcome: 'SURVIVED', survivalHours: 2, timeToShoreHours: 3 / SWIM_SPEED_KMH, outcomeHours: 3 / SWIM_SPEED_KMH
+    });
+    assert.deepStrictEqual(assessSurvival(10, 5), {
+        outcome: 'DIED', survivalHours: 2, timeToShoreHours: 5 / SWIM_SPEED_KMH, outcomeHours: 2
+    });
+    assert.strictEqual(assessSurvival(10, 4).outcome, 'SURVIVED', 'arriving just as time runs out counts');
+    assert.strictEqual(assessSurvival(35, 2 * 72).outcome, 'SURVIVED');
+    assert.strictEqual(assessSurvival(35, 2 * 72 + 1).outcome, 'DIED');
+});
+
+test('with no known coast there is no reaching it', () => {
+    for (const distanceKm of [null, undefined]) {
+        assert.strictEqual(timeToShoreHours(distanceKm), Infinity);
+        assert.deepStrictEqual(assessSurvival(20, distanceKm), {
+            outcome: 'DIED', survivalHours: expectedSurvivalHours(20), timeToShoreHours: Infinity, outcomeHours: expectedSurvivalHours(20)
+        });
+    }
+    assert.strictEqual(timeToShoreHours(0), 0);
+    assert.strictEqual(assessSurvival(-2, 0).outcome, 'SURVIVED', 'dropped on the coast');
+});